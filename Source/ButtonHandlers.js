@@ -77,6 +77,13 @@
           return;
         }
 
+        // A scanned PDF has no text until it is read with OCR
+        if (contentType === 'pdf' && !currentVideoInfo.text && currentVideoInfo.scannedPdf) {
+          const text = await this.readScannedPdf(currentVideoInfo, summarizeButton);
+          if (!text) return;
+          currentVideoInfo.text = text;
+        }
+
         summarizeButton.disabled = true;
         summarizeButton.textContent = 'Generating...';
         
@@ -114,6 +121,57 @@
       });
     }
 
+    /**
+     * Read the text of a scanned PDF with OCR, after the user accepts the credit cost
+     * The background script saves the text as the current content, so the quiz,
+     * flashcards and chat can use it too.
+     * @param {Object} contentInfo - Current content, with scannedPdf { pages, ocrPages, cost }
+     * @param {HTMLElement} summarizeButton
+     * @returns {Promise<string|null>} The text, or null if cancelled or failed
+     */
+    async readScannedPdf(contentInfo, summarizeButton) {
+      const { pages, ocrPages, cost } = contentInfo.scannedPdf;
+      const pageText = ocrPages < pages ? `the first ${ocrPages} of its ${pages} pages` : `its ${ocrPages} pages`;
+      if (!confirm(`This PDF is scanned, so its text has to be read with OCR first. Reading ${pageText} uses ${cost} credit${cost === 1 ? '' : 's'}. Continue?`)) {
+        return null;
+      }
+
+      summarizeButton.disabled = true;
+      summarizeButton.textContent = 'Reading PDF...';
+      if (this.summaryContainer) this.summaryContainer.classList.remove('hidden');
+      if (this.summaryContent) {
+        this.summaryContent.style.display = 'block';
+        this.summaryContent.innerHTML = '<div class="summary-text">Reading scanned pages...</div>';
+      }
+
+      try {
+        const result = await window.StreamClient.request({ action: 'read-scanned-pdf' }, {
+          onProgress: (progress) => {
+            const status = this.summaryContent?.querySelector('.summary-text');
+            if (status && progress.message) status.textContent = progress.message;
+          }
+        });
+
+        this.contentDisplayManager?.setCurrentVideoInfo({
+          ...contentInfo,
+          text: result.text,
+          needsServerExtraction: false,
+          scannedPdf: null
+        });
+        if (window.usageManager) {
+          await window.usageManager.updateStatusCards();
+        }
+        return result.text;
+      } catch (error) {
+        console.error('Error reading scanned PDF:', error);
+        if (this.summaryContent) this.summaryContent.innerHTML = '';
+        alert(`Could not read the scanned PDF: ${error.message}`);
+        summarizeButton.disabled = false;
+        summarizeButton.textContent = 'Summarize';
+        return null;
+      }
+    }
+
     setupMakeTestButton() {
       const makeTestButton = document.getElementById('make-test-button');
       if (!makeTestButton) return;
@@ -143,12 +201,8 @@
           }
 
           const videoId = this.getVideoId(currentVideoInfo.url);
-          if (videoId) {
-            chrome.storage.local.remove([
-              `summary_${videoId}`,
-              `quiz_${videoId}`,
-              `chat_${videoId}`
-            ]);
+          if (videoId && window.contentGenerator) {
+            await window.contentGenerator.clearGeneratedContent(videoId);
           }
 
           const userContext = this.contentDisplayManager?.getUserContext();
@@ -6,6 +6,16 @@
 (function() {
   'use strict';
 
+  // Replies are model output: escape them before adding the formatting markup
+  function escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   class ChatManager {
     constructor(container, input, sendButton, suggestionsContainer, chatSection) {
       this.container = container;
@@ -195,8 +205,73 @@
       }, 5000);
     }
 
-    addMessage(message, isUser = false) {
-      if (!this.container) return;
+    formatAssistantMessage(message, citations) {
+      let formattedMessage = escapeHtml(message);
+      
+      // Parse numbered lists: Convert "1. text 2. text" to proper list format
+      // Match patterns like "1. ", "2. ", etc. at start of lines
+      formattedMessage = formattedMessage.replace(/(\d+\.\s+[^\n]+(?:\n(?!(?:\d+\.|\*\*|$))[^\n]+)*)/g, (match) => {
+        // Split by line breaks and number patterns
+        const lines = match.split(/(?=\d+\.\s+)/);
+        return lines.map(line => {
+          const trimmed = line.trim();
+          if (trimmed && /^\d+\.\s+/.test(trimmed)) {
+            return `<p style="margin: 8px 0;">${trimmed}</p>`;
+          }
+          return trimmed ? `<p style="margin: 8px 0;">${trimmed}</p>` : '';
+        }).join('');
+      });
+      
+      // Convert markdown-style bold (**text**) to <strong>
+      formattedMessage = formattedMessage.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+      
+      // Detect section headers (lines ending with ":" followed by content)
+      formattedMessage = formattedMessage.replace(/^([^:\n]+:)(?=\s*\n)/gm, '<strong>$1</strong>');
+      
+      // Turn [S1]-style citation markers into chips linking back to the content
+      if (window.CitationChips) {
+        formattedMessage = window.CitationChips.render(formattedMessage, citations);
+      }
+      
+      // Wrap in div with left alignment
+      return `<div style="text-align: left; width: 100%;">${formattedMessage}</div>`;
+    }
+
+    /**
+     * Re-render an assistant message, e.g. once its streamed reply has finished
+     * @param {HTMLElement} messageElement - Element returned by addMessage
+     * @param {string} message - Full message text
+     * @param {Array<Object>} [citations] - Citations of the finished reply, rendered as chips
+     */
+    updateMessage(messageElement, message, citations) {
+      if (!messageElement) return;
+      messageElement.style.whiteSpace = '';
+      messageElement.innerHTML = this.formatAssistantMessage(message, citations);
+      
+      if (this.container) {
+        this.container.scrollTop = this.container.scrollHeight;
+      }
+    }
+
+    /**
+     * Show a reply as plain text while it streams in
+     * Streamed text has not been checked by the backend yet, so nothing in it is
+     * rendered as markup until the finished reply arrives (updateMessage)
+     * @param {HTMLElement} messageElement - Element returned by addMessage
+     * @param {string} text - Text so far
+     */
+    showStreamingMessage(messageElement, text) {
+      if (!messageElement) return;
+      messageElement.style.whiteSpace = 'pre-wrap';
+      messageElement.textContent = text;
+      
+      if (this.container) {
+        this.container.scrollTop = this.container.scrollHeight;
+      }
+    }
+
+    addMessage(message, isUser = false, citations) {
+      if (!this.container) return null;
       
       // Create wrapper for assistant messages to position copy button outside
       const messageWrapper = document.createElement('div');
@@ -209,31 +284,9 @@
       messageElement.className = `chat-message ${isUser ? 'user' : 'assistant'}`;
       
       // Format message content for assistant messages (left-align, parse lists, etc.)
-      if (!isUser && message) {
-        let formattedMessage = message;
-        
-        // Parse numbered lists: Convert "1. text 2. text" to proper list format
-        // Match patterns like "1. ", "2. ", etc. at start of lines
-        formattedMessage = formattedMessage.replace(/(\d+\.\s+[^\n]+(?:\n(?!(?:\d+\.|\*\*|$))[^\n]+)*)/g, (match) => {
-          // Split by line breaks and number patterns
-          const lines = match.split(/(?=\d+\.\s+)/);
-          return lines.map(line => {
-            const trimmed = line.trim();
-            if (trimmed && /^\d+\.\s+/.test(trimmed)) {
-              return `<p style="margin: 8px 0;">${trimmed}</p>`;
-            }
-            return trimmed ? `<p style="margin: 8px 0;">${trimmed}</p>` : '';
-          }).join('');
-        });
-        
-        // Convert markdown-style bold (**text**) to <strong>
-        formattedMessage = formattedMessage.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-        
-        // Detect section headers (lines ending with ":" followed by content)
-        formattedMessage = formattedMessage.replace(/^([^:\n]+:)(?=\s*\n)/gm, '<strong>$1</strong>');
-        
-        // Wrap in div with left alignment
-        messageElement.innerHTML = `<div style="text-align: left; width: 100%;">${formattedMessage}</div>`;
+      // An empty assistant message is a placeholder that is filled in as the reply streams
+      if (!isUser) {
+        messageElement.innerHTML = this.formatAssistantMessage(message, citations);
         
         // Add copy button for assistant messages (outside the bubble)
         const copyButton = document.createElement('button');
@@ -247,9 +300,7 @@
           e.stopPropagation();
           try {
             // Get plain text version of message (strip HTML)
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = formattedMessage;
-            const plainText = tempDiv.textContent || tempDiv.innerText || message;
+            const plainText = messageElement.textContent || messageElement.innerText || message;
             
             await navigator.clipboard.writeText(plainText);
             
@@ -283,6 +334,8 @@
       
       // Hide suggestions when message is added
       this.hideSuggestions();
+      
+      return messageElement;
     }
 
     async generateSuggestions() {
@@ -878,10 +931,10 @@
           throw new Error('Chrome runtime not available');
         }
         
-        // Get combined context via FileManager if available
-        let combinedContext = '';
+        // Full text of the open content and uploaded files; the backend picks the relevant passages
+        let contextSources = [];
         if (window.fileManager) {
-          combinedContext = await window.fileManager.getCombinedContext();
+          contextSources = await window.fileManager.getContextSources();
         }
         
         // Get chat history
@@ -931,14 +984,35 @@
           imageDataToSend = await this.compressImage(fileContext.imageData);
         }
         
-        const response = await chrome.runtime.sendMessage({
+        const chatRequest = {
           action: 'sidechat',
           message: messageToSend,
           chatHistory: chatHistory,
-          context: combinedContext,
+          sources: contextSources,
           useVisionModel: !!hasImageOrFile, // Request vision model if image/file is present
           imageData: imageDataToSend // Send compressed image data (full data URL format)
-        });
+        };
+
+        // Stream the reply into the chat as it is generated
+        let response;
+        let replyElement = null;
+        if (window.StreamClient) {
+          try {
+            response = await window.StreamClient.request(chatRequest, {
+              onToken: (textSoFar) => {
+                if (!replyElement) {
+                  replyElement = this.addMessage('', false);
+                }
+                this.showStreamingMessage(replyElement, textSoFar);
+              }
+            });
+          } catch (streamError) {
+            // Keep whatever arrived before the stream dropped
+            response = { error: streamError.message, code: streamError.code, partial: streamError.partial };
+          }
+        } else {
+          response = await chrome.runtime.sendMessage(chatRequest);
+        }
 
         // Clear storage after sending (previews already cleared above)
         if (hasUploadedFile || screenshotToSend) {
@@ -949,10 +1023,33 @@
           this.hideFilePreview();
         }
 
-        if (response?.error) {
+        if (response?.code === 'CONTENT_BLOCKED') {
+          // Refused by the account's moderation policy: the message is written for the student
+          if (replyElement) {
+            this.updateMessage(replyElement, response.error);
+          } else {
+            this.addMessage(response.error, false);
+          }
+        } else if (response?.error && response.partial) {
+          if (!replyElement) {
+            replyElement = this.addMessage('', false);
+          }
+          this.showStreamingMessage(replyElement, `${response.partial}\n\n[Response interrupted: ${response.error}]`);
+        } else if (response?.error) {
           this.addMessage(`Error: ${response.error}`, false);
         } else if (response?.reply) {
-          this.addMessage(response.reply, false);
+          // The backend flags content that tries to give the AI instructions
+          let reply = response.reply;
+          if (response.safety?.responseFlagged) {
+            reply += '\n\n[Warning: this reply may have followed instructions hidden in the content. Double-check it.]';
+          } else if (response.safety?.injectionSuspected) {
+            reply += '\n\n[Note: the content contains text addressed to AI assistants. It was ignored.]';
+          }
+          if (replyElement) {
+            this.updateMessage(replyElement, reply, response.citations);
+          } else {
+            this.addMessage(reply, false, response.citations);
+          }
         } else {
           this.addMessage('Sorry, I encountered an error while processing your question.', false);
         }
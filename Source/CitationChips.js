@@ -0,0 +1,100 @@
+/**
+ * Citation Chips Module
+ * Turns the [S1]-style markers in chat answers and summaries into chips that
+ * jump to the cited spot: seek the YouTube video, open the PDF page or scroll
+ * the webpage to the section
+ */
+
+(function() {
+  'use strict';
+
+  const MARKER_PATTERN = /\[(S\d+)\]/g;
+
+  function escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Tooltip for a chip
+   */
+  function describeCitation(citation) {
+    const where = citation.type === 'timestamp'
+      ? `Jump to ${citation.label} in the video`
+      : citation.type === 'page'
+        ? `Open ${citation.label}`
+        : `Scroll to "${citation.quote || citation.label}"`;
+    if (citation.sourceId === 'upload') {
+      return `${citation.source || 'Uploaded file'}: ${citation.label}`;
+    }
+    return citation.source ? `${citation.source}: ${where}` : where;
+  }
+
+  window.CitationChips = {
+    /**
+     * Replace citation markers in rendered HTML with chips
+     * Markers without a matching citation are removed. The chip label comes
+     * from CSS (data-label), so copied text and textContent stay free of it.
+     * @param {string} html - Rendered message or summary
+     * @param {Array<Object>} [citations] - From the API response (`citations`)
+     * @returns {string}
+     */
+    render(html, citations) {
+      if (!html || !Array.isArray(citations)) {
+        return html;
+      }
+
+      const byId = new Map(citations.map(citation => [citation.id, citation]));
+      return html.replace(MARKER_PATTERN, (match, id) => {
+        const citation = byId.get(id);
+        if (!citation) {
+          return '';
+        }
+        // Uploaded files are not open in a tab, so there is nothing to jump to
+        const disabled = citation.sourceId === 'upload' ? ' disabled' : '';
+        return `<button type="button" class="citation-chip citation-chip--${escapeHtml(citation.type)}"`
+          + ` data-label="${escapeHtml(citation.label)}" data-citation="${escapeHtml(JSON.stringify(citation))}"`
+          + ` title="${escapeHtml(describeCitation(citation))}" aria-label="${escapeHtml(describeCitation(citation))}"${disabled}></button>`;
+      });
+    },
+
+    /**
+     * Jump to a citation in the active tab
+     * @param {Object} citation - { type, seconds | page | anchor, quote }
+     */
+    async open(citation) {
+      try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        const currentTab = tabs?.[0];
+        if (!currentTab?.id) {
+          return;
+        }
+
+        const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'seek-citation', citation });
+        if (response && !response.success) {
+          console.warn('[Eureka AI] Could not open citation:', response.error);
+        }
+      } catch (error) {
+        console.warn('[Eureka AI] Could not open citation:', error.message);
+      }
+    }
+  };
+
+  // Chips are re-rendered with their message, so listen once for all of them
+  document.addEventListener('click', (event) => {
+    const chip = event.target.closest?.('.citation-chip');
+    if (!chip || chip.disabled) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    try {
+      window.CitationChips.open(JSON.parse(chip.dataset.citation));
+    } catch (error) {
+      console.warn('[Eureka AI] Invalid citation:', error);
+    }
+  });
+})();
@@ -64,11 +64,17 @@
               const response = await chrome.runtime.sendMessage({
                 action: 'sidechat',
                 message: systemPrompt,
+                selection: textToClarify,
                 chatHistory: [],
                 context: combinedContext ? combinedContext.substring(0, 5000) : ''
               });
               
-              if (response?.error) {
+              if (response?.code === 'CONTENT_BLOCKED') {
+                // Refused by the account's moderation policy: the message is written for the student
+                if (window.addChatMessage) {
+                  window.addChatMessage(response.error, false);
+                }
+              } else if (response?.error) {
                 if (window.addChatMessage) {
                   window.addChatMessage(`Error: ${response.error}`, false);
                 }
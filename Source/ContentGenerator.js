@@ -8,6 +8,8 @@
   'use strict';
 
   const CACHE_EXPIRY_TIME = 24 * 60 * 60 * 1000; // 24 hours
+  // Content at least this long is summarized as a background job
+  const BACKGROUND_JOB_MIN_CHARS = 12000;
 
   class ContentGenerator {
     constructor(options = {}) {
@@ -17,13 +19,27 @@
       
       // Clear expired content on initialization
       this.clearExpiredContent();
+      // Pick up summaries that were still running when the side panel was closed
+      this.resumeSummaryJobs();
     }
 
     // Cache management
+    /**
+     * Build the cache key for generated content
+     * Output language and reading level are part of the key, so switching either
+     * setting generates new content instead of showing the cached variant
+     */
+    async getCacheKey(videoId, type) {
+      const settings = await chrome.storage.local.get(['outputLanguage', 'readingLevel']);
+      const outputLanguage = settings.outputLanguage || 'auto';
+      const readingLevel = settings.readingLevel || 'elementary';
+      return `${type}_${videoId}_${outputLanguage}_${readingLevel}`;
+    }
+
     async saveGeneratedContent(videoId, type, content) {
       if (!videoId) return;
       
-      const key = `${type}_${videoId}`;
+      const key = await this.getCacheKey(videoId, type);
       const data = {
         content: content,
         timestamp: Date.now(),
@@ -41,7 +57,7 @@
     async loadGeneratedContent(videoId, type) {
       if (!videoId) return null;
       
-      const key = `${type}_${videoId}`;
+      const key = await this.getCacheKey(videoId, type);
       
       try {
         const result = await chrome.storage.local.get([key]);
@@ -62,6 +78,28 @@
       }
     }
 
+    /**
+     * Remove cached content for a video in every language and reading level
+     * @param {string} videoId
+     * @param {string[]} [types] - Content types to clear
+     */
+    async clearGeneratedContent(videoId, types = ['summary', 'quiz', 'chat']) {
+      if (!videoId) return;
+
+      try {
+        const allData = await chrome.storage.local.get(null);
+        const keysToRemove = Object.keys(allData).filter(key =>
+          types.some(type => key === `${type}_${videoId}` || key.startsWith(`${type}_${videoId}_`))
+        );
+
+        if (keysToRemove.length > 0) {
+          await chrome.storage.local.remove(keysToRemove);
+        }
+      } catch (error) {
+        console.error('Error clearing cached content:', error);
+      }
+    }
+
     async clearExpiredContent() {
       try {
         const allData = await chrome.storage.local.get(null);
@@ -345,11 +383,39 @@
             throw new Error('Chrome runtime not available');
           }
           
-          response = await chrome.runtime.sendMessage({ 
+          const summarizeRequest = { 
             action: 'summarize', 
             transcript: text,
-            context: effectiveContext
-          });
+            context: effectiveContext,
+            refresh: forceRegenerate // Skip the shared server cache when regenerating
+          };
+
+          // Long content runs as a background job, so closing the side panel does not lose it
+          if (window.JobClient && text && text.length >= BACKGROUND_JOB_MIN_CHARS) {
+            response = await this.runSummaryJob(summarizeRequest, currentVideoInfo, summaryTextElement);
+          } else if (window.StreamClient) {
+            // Stream the summary into the view as it is generated
+            try {
+              response = await window.StreamClient.request(summarizeRequest, {
+                // Long content is read in parts before the summary starts
+                onProgress: (progress) => {
+                  if (summaryTextElement && progress?.message) {
+                    summaryTextElement.textContent = progress.message;
+                  }
+                },
+                // Shown as plain text until the checked summary arrives with the done event
+                onToken: (textSoFar) => {
+                  if (summaryTextElement) {
+                    summaryTextElement.textContent = window.StreamClient.plainText(textSoFar);
+                  }
+                }
+              });
+            } catch (streamError) {
+              response = { error: streamError.message, code: streamError.code, partial: streamError.partial };
+            }
+          } else {
+            response = await chrome.runtime.sendMessage(summarizeRequest);
+          }
 
           if (currentVideoInfo && !currentVideoInfo.transcript) {
             currentVideoInfo.transcript = text;
@@ -364,154 +430,257 @@
           return;
         }
 
-        if (response?.error) {
-          console.error('Summary error:', response.error);
+        if (response?.code === 'CONTENT_BLOCKED') {
+          // Refused by the account's moderation policy: the message is written for the student
           if (summaryTextElement) {
-            summaryTextElement.textContent = `Failed to generate summary: ${response.error}`;
+            summaryTextElement.textContent = response.error;
             summaryInfoCenter?.classList.add('hidden');
           }
-        } else {
+        } else if (response?.error && response.partial) {
+          // Keep the partial summary that arrived before the stream dropped (not cached or checked, so plain text)
+          console.error('Summary stream interrupted:', response.error);
           if (summaryTextElement) {
-            summaryTextElement.innerHTML = response.summary;
-            summaryInfoCenter?.classList.remove('hidden');
-            this.updateInfoCenter(currentVideoInfo?.duration, response.summary);
-          }
-          
-          if (videoId) {
-            await this.saveGeneratedContent(videoId, 'summary', response.summary);
-          }
-          
-          if (window.showCompletionBadge) {
-            window.showCompletionBadge(this.summaryContainer);
+            summaryTextElement.textContent = window.StreamClient.plainText(response.partial);
+            const notice = document.createElement('p');
+            notice.className = 'summary-interrupted';
+            notice.textContent = `Summary interrupted: ${response.error}. Please try again.`;
+            summaryTextElement.appendChild(notice);
+            summaryInfoCenter?.classList.add('hidden');
           }
-          
-          // Refresh usage counter after enhancement is used (force refresh for accurate count)
-          if (window.usageManager && window.usageManager.updateStatusCards) {
-            await window.usageManager.updateStatusCards(true);
+        } else if (response?.error) {
+          console.error('Summary error:', response.error);
+          if (summaryTextElement) {
+            summaryTextElement.textContent = `Failed to generate summary: ${response.error}`;
+            summaryInfoCenter?.classList.add('hidden');
           }
-          
-          const summarizeButton = document.getElementById('summarize-button');
-          const regenerateSummaryButton = document.getElementById('regenerate-summary-button');
-          if (summarizeButton) summarizeButton.style.display = 'none';
-          if (regenerateSummaryButton) regenerateSummaryButton.style.display = 'block';
-          
-          // Add "Save to notes" and "Copy" buttons after summary generation
-          if (summaryTextElement && window.SumVidNotesManager) {
-            // Remove existing buttons if present
-            const existingSaveButton = document.getElementById('save-summary-to-notes-button');
-            const existingCopyButton = document.getElementById('copy-summary-button');
-            const existingButtonContainer = document.getElementById('summary-buttons-container');
-            if (existingSaveButton) existingSaveButton.remove();
-            if (existingCopyButton) existingCopyButton.remove();
-            if (existingButtonContainer) existingButtonContainer.remove();
+        } else {
+          await this.showGeneratedSummary(response, currentVideoInfo, videoId);
+        }
+      } catch (error) {
+        console.error('Summary error:', error);
+        const summaryTextElement = document.querySelector('#summary-content .summary-text');
+        if (summaryTextElement) {
+          summaryTextElement.textContent = `Failed to generate summary: ${error.message}`;
+        }
+      }
+    }
+
+    /**
+     * Show a generated summary and cache it for the content it was generated for
+     * @param {Object} response - { summary, citations } from the summarize request or job
+     * @param {Object} currentVideoInfo - Content the summary is for
+     * @param {string|null} videoId - Cache key of the content
+     */
+    async showGeneratedSummary(response, currentVideoInfo, videoId) {
+      const summaryTextElement = document.querySelector('#summary-content .summary-text');
+      const summaryInfoCenter = document.querySelector('.summary-info-center');
+
+      // Citation chips are part of the saved HTML, so they also work when the summary is loaded from cache
+      let summaryHtml = window.CitationChips
+        ? window.CitationChips.render(response.summary, response.citations)
+        : response.summary;
+      // The backend flags content that tries to give the AI instructions; the notice is cached with the summary
+      if (response.safety?.injectionSuspected || response.safety?.responseFlagged) {
+        const notice = response.safety.responseFlagged
+          ? 'This summary may have followed instructions hidden in the content. Double-check it.'
+          : 'The content contains text addressed to AI assistants. It was ignored.';
+        summaryHtml += `<p class="summary-safety-notice">${notice}</p>`;
+      }
+      // Content over the backend's length cap is summarized up to the cap
+      if (response.truncated?.totalChars) {
+        const percent = Math.round((response.truncated.keptChars / response.truncated.totalChars) * 100);
+        summaryHtml += `<p class="summary-safety-notice">This content is very long, so the summary covers its first ${percent}%.</p>`;
+      }
+      if (summaryTextElement) {
+        summaryTextElement.innerHTML = summaryHtml;
+        summaryInfoCenter?.classList.remove('hidden');
+        this.updateInfoCenter(currentVideoInfo?.duration, response.summary);
+      }
+      
+      if (videoId) {
+        await this.saveGeneratedContent(videoId, 'summary', summaryHtml);
+      }
+      
+      if (window.showCompletionBadge) {
+        window.showCompletionBadge(this.summaryContainer);
+      }
+      
+      // Refresh usage counter after enhancement is used (force refresh for accurate count)
+      if (window.usageManager && window.usageManager.updateStatusCards) {
+        await window.usageManager.updateStatusCards(true);
+      }
+      
+      const summarizeButton = document.getElementById('summarize-button');
+      const regenerateSummaryButton = document.getElementById('regenerate-summary-button');
+      if (summarizeButton) summarizeButton.style.display = 'none';
+      if (regenerateSummaryButton) regenerateSummaryButton.style.display = 'block';
+      
+      // Add "Save to notes" and "Copy" buttons after summary generation
+      if (summaryTextElement && window.SumVidNotesManager) {
+        // Remove existing buttons if present
+        const existingSaveButton = document.getElementById('save-summary-to-notes-button');
+        const existingCopyButton = document.getElementById('copy-summary-button');
+        const existingButtonContainer = document.getElementById('summary-buttons-container');
+        if (existingSaveButton) existingSaveButton.remove();
+        if (existingCopyButton) existingCopyButton.remove();
+        if (existingButtonContainer) existingButtonContainer.remove();
+        
+        // Create button container
+        const buttonContainer = document.createElement('div');
+        buttonContainer.id = 'summary-buttons-container';
+        buttonContainer.style.cssText = 'margin-top: 16px; display: flex; gap: 8px; flex-wrap: wrap;';
+        
+        // Create "Save to notes" button
+        const saveToNotesButton = document.createElement('button');
+        saveToNotesButton.id = 'save-summary-to-notes-button';
+        saveToNotesButton.className = 'btn btn--primary';
+        saveToNotesButton.textContent = 'Save to notes';
+        saveToNotesButton.style.cssText = 'display: inline-block;';
+        
+        saveToNotesButton.addEventListener('click', async () => {
+          try {
+            const summaryText = summaryTextElement.textContent || summaryTextElement.innerText;
+            const contentTitle = currentVideoInfo?.title || 'Summary';
+            
+            if (!summaryText || summaryText === 'Generating summary...') {
+              alert('No summary available to save.');
+              return;
+            }
             
-            // Create button container
-            const buttonContainer = document.createElement('div');
-            buttonContainer.id = 'summary-buttons-container';
-            buttonContainer.style.cssText = 'margin-top: 16px; display: flex; gap: 8px; flex-wrap: wrap;';
+            await window.SumVidNotesManager.createNote(
+              contentTitle,
+              summaryText,
+              'Summaries'
+            );
             
-            // Create "Save to notes" button
-            const saveToNotesButton = document.createElement('button');
-            saveToNotesButton.id = 'save-summary-to-notes-button';
-            saveToNotesButton.className = 'btn btn--primary';
-            saveToNotesButton.textContent = 'Save to notes';
-            saveToNotesButton.style.cssText = 'display: inline-block;';
+            // Show brief confirmation
+            const originalText = saveToNotesButton.textContent;
+            saveToNotesButton.textContent = 'Saved!';
+            saveToNotesButton.disabled = true;
             
-            saveToNotesButton.addEventListener('click', async () => {
-              try {
-                const summaryText = summaryTextElement.textContent || summaryTextElement.innerText;
-                const contentTitle = currentVideoInfo?.title || 'Summary';
-                
-                if (!summaryText || summaryText === 'Generating summary...') {
-                  alert('No summary available to save.');
-                  return;
-                }
-                
-                await window.SumVidNotesManager.createNote(
-                  contentTitle,
-                  summaryText,
-                  'Summaries'
-                );
-                
-                // Show brief confirmation
-                const originalText = saveToNotesButton.textContent;
-                saveToNotesButton.textContent = 'Saved!';
-                saveToNotesButton.disabled = true;
-                
-                setTimeout(() => {
-                  saveToNotesButton.textContent = originalText;
-                  saveToNotesButton.disabled = false;
-                }, 2000);
-                
-                // Refresh notes list if notes tab is active
-                if (window.tabManager && window.tabManager.getActiveTab() === 'notes' && window.notesUIController) {
-                  const notesFilter = document.getElementById('notes-filter');
-                  const folder = notesFilter ? notesFilter.value : 'all';
-                  await window.notesUIController.renderNotes(folder);
-                }
-              } catch (error) {
-                console.error('[Eureka AI] Error saving summary to notes:', error);
-                alert('Failed to save summary to notes. Please try again.');
-              }
-            });
+            setTimeout(() => {
+              saveToNotesButton.textContent = originalText;
+              saveToNotesButton.disabled = false;
+            }, 2000);
             
-            // Create "Copy" button
-            const copyButton = document.createElement('button');
-            copyButton.id = 'copy-summary-button';
-            copyButton.className = 'btn btn--primary';
-            copyButton.textContent = 'Copy';
-            copyButton.style.cssText = 'display: inline-block;';
+            // Refresh notes list if notes tab is active
+            if (window.tabManager && window.tabManager.getActiveTab() === 'notes' && window.notesUIController) {
+              const notesFilter = document.getElementById('notes-filter');
+              const folder = notesFilter ? notesFilter.value : 'all';
+              await window.notesUIController.renderNotes(folder);
+            }
+          } catch (error) {
+            console.error('[Eureka AI] Error saving summary to notes:', error);
+            alert('Failed to save summary to notes. Please try again.');
+          }
+        });
+        
+        // Create "Copy" button
+        const copyButton = document.createElement('button');
+        copyButton.id = 'copy-summary-button';
+        copyButton.className = 'btn btn--primary';
+        copyButton.textContent = 'Copy';
+        copyButton.style.cssText = 'display: inline-block;';
+        
+        copyButton.addEventListener('click', async () => {
+          try {
+            const summaryText = summaryTextElement.textContent || summaryTextElement.innerText;
             
-            copyButton.addEventListener('click', async () => {
-              try {
-                const summaryText = summaryTextElement.textContent || summaryTextElement.innerText;
-                
-                if (!summaryText || summaryText === 'Generating summary...') {
-                  alert('No summary available to copy.');
-                  return;
-                }
-                
-                await navigator.clipboard.writeText(summaryText);
-                
-                // Show brief confirmation
-                const originalText = copyButton.textContent;
-                copyButton.textContent = 'Copied!';
-                copyButton.disabled = true;
-                
-                setTimeout(() => {
-                  copyButton.textContent = originalText;
-                  copyButton.disabled = false;
-                }, 2000);
-              } catch (error) {
-                console.error('[Eureka AI] Error copying summary:', error);
-                alert('Failed to copy summary. Please try again.');
-              }
-            });
+            if (!summaryText || summaryText === 'Generating summary...') {
+              alert('No summary available to copy.');
+              return;
+            }
             
-            buttonContainer.appendChild(saveToNotesButton);
-            buttonContainer.appendChild(copyButton);
+            await navigator.clipboard.writeText(summaryText);
             
-            // Insert button container after summary text element
-            summaryTextElement.parentNode.insertBefore(buttonContainer, summaryTextElement.nextSibling);
-          }
-          
-          // Ensure summary content is visible and expanded after generation
-          if (this.summaryContent) {
-            this.summaryContent.style.display = 'block';
-            this.summaryContent.classList.remove('collapsed');
-            this.summaryContent.style.visibility = 'visible';
-            this.summaryContent.style.opacity = '1';
-            // Don't set maxHeight - let CSS flex layout handle it for scrolling
+            // Show brief confirmation
+            const originalText = copyButton.textContent;
+            copyButton.textContent = 'Copied!';
+            copyButton.disabled = true;
+            
+            setTimeout(() => {
+              copyButton.textContent = originalText;
+              copyButton.disabled = false;
+            }, 2000);
+          } catch (error) {
+            console.error('[Eureka AI] Error copying summary:', error);
+            alert('Failed to copy summary. Please try again.');
           }
-          if (this.summaryHeader) {
-            this.summaryHeader.querySelector('.collapse-button')?.classList.remove('collapsed');
+        });
+        
+        buttonContainer.appendChild(saveToNotesButton);
+        buttonContainer.appendChild(copyButton);
+        
+        // Insert button container after summary text element
+        summaryTextElement.parentNode.insertBefore(buttonContainer, summaryTextElement.nextSibling);
+      }
+      
+      // Ensure summary content is visible and expanded after generation
+      if (this.summaryContent) {
+        this.summaryContent.style.display = 'block';
+        this.summaryContent.classList.remove('collapsed');
+        this.summaryContent.style.visibility = 'visible';
+        this.summaryContent.style.opacity = '1';
+        // Don't set maxHeight - let CSS flex layout handle it for scrolling
+      }
+      if (this.summaryHeader) {
+        this.summaryHeader.querySelector('.collapse-button')?.classList.remove('collapsed');
+      }
+    }
+
+    /**
+     * Summarize as a background job and wait for it
+     * @returns {Promise<Object>} { summary, citations } or { error }, like the summarize message
+     */
+    async runSummaryJob(summarizeRequest, currentVideoInfo, summaryTextElement) {
+      const submitted = await chrome.runtime.sendMessage({ ...summarizeRequest, action: 'submit-job', jobAction: 'summarize' });
+      if (!submitted?.success) {
+        return { error: submitted?.error || 'Failed to start the summary' };
+      }
+      // Background jobs are turned off on the backend: the summary is already there
+      if (!submitted.job) {
+        return submitted.result;
+      }
+
+      await window.JobClient.remember(submitted.job, { contentUrl: currentVideoInfo?.url || null });
+      try {
+        return await window.JobClient.wait(submitted.job.id, {
+          onProgress: (progress) => {
+            if (summaryTextElement && progress?.message) {
+              summaryTextElement.textContent = progress.message;
+            }
           }
-        }
+        });
       } catch (error) {
-        console.error('Summary error:', error);
-        const summaryTextElement = document.querySelector('#summary-content .summary-text');
-        if (summaryTextElement) {
-          summaryTextElement.textContent = `Failed to generate summary: ${error.message}`;
+        return { error: error.message };
+      }
+    }
+
+    /**
+     * Finish summary jobs started before the side panel was last closed
+     * Each summary is cached for its content and shown if that content is open.
+     */
+    async resumeSummaryJobs() {
+      if (!window.JobClient) return;
+
+      const jobs = await window.JobClient.pending('summarize');
+      for (const job of jobs) {
+        try {
+          const response = await window.JobClient.wait(job.id);
+          const videoId = job.contentUrl ? this.getVideoId(job.contentUrl) : null;
+          const currentVideoInfo = window.contentDisplayManager?.getCurrentVideoInfo();
+
+          if (videoId && currentVideoInfo?.url && this.getVideoId(currentVideoInfo.url) === videoId) {
+            await this.showGeneratedSummary(response, currentVideoInfo, videoId);
+          } else if (videoId) {
+            const summaryHtml = window.CitationChips
+              ? window.CitationChips.render(response.summary, response.citations)
+              : response.summary;
+            await this.saveGeneratedContent(videoId, 'summary', summaryHtml);
+          }
+          console.log('[Eureka AI] Finished summary job from an earlier session:', job.id);
+        } catch (error) {
+          console.warn('[Eureka AI] Summary job from an earlier session did not finish:', error.message);
         }
       }
     }
@@ -8,12 +8,61 @@
 
   const BACKEND_URL = 'https://sumvid-learn-backend.onrender.com';
 
+  /**
+   * Read a streamed (Server-Sent Events) upload response
+   * @param {Response} response
+   * @param {Function} [onProgress] - Called with each progress event's data
+   * @returns {Promise<Object>} The 'done' event's data
+   */
+  async function readUploadEvents(response, onProgress) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let eventName = 'message';
+        let data = '';
+        rawEvent.split('\n').forEach(line => {
+          if (line.startsWith('event:')) eventName = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (!data) continue;
+
+        const payload = JSON.parse(data);
+        if (eventName === 'progress' && onProgress) {
+          onProgress(payload);
+        } else if (eventName === 'done') {
+          result = payload;
+        } else if (eventName === 'error') {
+          throw new Error(payload.error || 'Failed to process file');
+        }
+      }
+    }
+
+    if (!result) {
+      throw new Error('Connection lost before the file was processed');
+    }
+    return result;
+  }
+
   class FileManager {
     constructor(options = {}) {
       this.uploadButton = options.uploadButton;
       this.fileInput = options.fileInput;
       this.fileUploadStatus = options.fileUploadStatus;
       this.screenshotButton = options.screenshotButton;
+      // Background job of the upload in progress, cancelled if its preview is removed
+      this.activeJobId = null;
       
       this.init();
     }
@@ -39,10 +88,36 @@
           this.captureScreenshot();
         });
       }
+
+      // Removing the preview while a file is processed cancels its job
+      document.getElementById('file-preview-remove')?.addEventListener('click', () => {
+        if (this.activeJobId && window.JobClient) {
+          window.JobClient.cancel(this.activeJobId);
+        }
+      });
+
+      // Pick up uploads that were still processing when the side panel was closed
+      this.resumeFileJobs();
     }
 
-    async processUploadedFile(file) {
+    /**
+     * Upload a file to /api/process-file
+     * @param {File} file
+     * @param {Object} [options]
+     * @param {boolean} [options.ocr=false] - Read a scanned PDF with OCR (streamed, uses credits)
+     * @param {Function} [options.onProgress] - Called with { stage, completed, total, message } during OCR
+     * @returns {Promise<Object>} { text, fileType, filename, ... }. Errors carry the response body as `data`.
+     *   Documents are processed as a background job, which keeps running if the side panel is closed.
+     */
+    async processUploadedFile(file, { ocr = false, onProgress } = {}) {
+      const background = Boolean(window.JobClient) && !file.type?.startsWith('image/');
       const formData = new FormData();
+      if (ocr) {
+        formData.append('ocr', 'true');
+      }
+      if (background) {
+        formData.append('background', 'true');
+      }
       formData.append('file', file);
       
       try {
@@ -53,6 +128,9 @@
         if (token) {
           headers['Authorization'] = `Bearer ${token}`;
         }
+        if (ocr && !background) {
+          headers['Accept'] = 'text/event-stream';
+        }
         
         const response = await fetch(`${BACKEND_URL}/api/process-file`, {
           method: 'POST',
@@ -64,10 +142,22 @@
           if (response.status === 429) {
             throw new Error('Too many requests. Please wait a moment and try again.');
           }
-          throw new Error(`Failed to process file: ${response.statusText}`);
+          // Unsupported or unreadable files come back with a message worth showing
+          const errorData = await response.json().catch(() => ({}));
+          const error = new Error(errorData.error || `Failed to process file: ${response.statusText}`);
+          error.data = errorData; // scanned PDFs report the OCR cost here
+          throw error;
+        }
+
+        if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+          return await readUploadEvents(response, onProgress);
         }
         
         const result = await response.json();
+        // 202: queued as a background job (without jobs on the backend the file comes back directly)
+        if (response.status === 202 && result.job) {
+          return await this.waitForFileJob(result.job, { filename: file.name, fileType: file.type }, onProgress);
+        }
         return result;
       } catch (error) {
         console.error('[Eureka AI] Error processing file:', error);
@@ -75,6 +165,86 @@
       }
     }
 
+    /**
+     * Wait for a file processing job, remembering it in case the side panel is closed
+     * @param {Object} job - { id, type } from the 202 response
+     * @param {Object} details - { filename, fileType } to apply the result with after a reopen
+     * @param {Function} [onProgress]
+     * @returns {Promise<Object>} The processed file. A failed job rejects with its response body as `data`.
+     */
+    async waitForFileJob(job, details, onProgress) {
+      await window.JobClient.remember(job, details);
+      this.activeJobId = job.id;
+      try {
+        return await window.JobClient.wait(job.id, { onProgress });
+      } finally {
+        if (this.activeJobId === job.id) {
+          this.activeJobId = null;
+        }
+      }
+    }
+
+    /**
+     * Finish uploads started before the side panel was last closed
+     */
+    async resumeFileJobs() {
+      if (!window.JobClient) return;
+
+      const jobs = await window.JobClient.pending('process-file');
+      for (const job of jobs) {
+        const file = { name: job.filename, type: job.fileType || '' };
+        if (window.chatManager?.showFilePreviewLoading) {
+          window.chatManager.showFilePreviewLoading(file);
+        }
+        this.activeJobId = job.id;
+        try {
+          const result = await window.JobClient.wait(job.id, {
+            onProgress: (progress) => this.showFileProgress(file, progress)
+          });
+          await this.applyUploadResult(file, result);
+          console.log('[Eureka AI] Finished file job from an earlier session:', job.id);
+        } catch (error) {
+          console.warn('[Eureka AI] File job from an earlier session did not finish:', error.message);
+          window.chatManager?.hideFilePreview?.();
+        } finally {
+          this.activeJobId = null;
+        }
+      }
+    }
+
+    /**
+     * Show OCR or job progress next to the file name in the preview
+     */
+    showFileProgress(file, progress) {
+      const previewName = document.getElementById('file-preview-name');
+      if (previewName && progress?.message) {
+        previewName.textContent = `${file.name} - ${progress.message}`;
+      }
+    }
+
+    /**
+     * Read a scanned PDF with OCR once the user accepts the credit cost
+     * @param {File} file
+     * @param {Object} scanned - 422 response body: { pages, ocrPages, cost }
+     * @returns {Promise<Object|null>} The processed file, or null if the user declined
+     */
+    async processScannedPdf(file, { pages, ocrPages, cost }) {
+      const pageText = ocrPages < pages ? `the first ${ocrPages} of its ${pages} pages` : `its ${ocrPages} pages`;
+      if (!confirm(`${file.name} is a scanned PDF, so its text has to be read with OCR. Reading ${pageText} uses ${cost} credit${cost === 1 ? '' : 's'}. Continue?`)) {
+        return null;
+      }
+
+      const result = await this.processUploadedFile(file, {
+        ocr: true,
+        onProgress: (progress) => this.showFileProgress(file, progress)
+      });
+
+      if (window.usageManager) {
+        await window.usageManager.updateStatusCards();
+      }
+      return result;
+    }
+
     async checkUploadLimit() {
       // Check if user is premium
       if (window.premiumManager) {
@@ -196,45 +366,26 @@
       }
 
       try {
-        const result = await this.processUploadedFile(file);
-        let compressedImageData = result.imageData || '';
-        if (compressedImageData && file.type?.startsWith('image/')) {
-          compressedImageData = await this.compressImage(compressedImageData);
-        }
-        
-        // Update upload timestamps (track last 2 uploads for freemium limit)
-        const stored = await chrome.storage.local.get(['fileUploadTimestamps']);
-        const uploadTimestamps = stored.fileUploadTimestamps || [];
-        uploadTimestamps.push(Date.now());
-        // Keep only last 10 timestamps to avoid storage bloat
-        const trimmedTimestamps = uploadTimestamps.slice(-10);
-        
-        await chrome.storage.local.set({
-          fileUploadTimestamps: trimmedTimestamps,
-          uploadedFileContext: {
-            text: result.text || '',
-            imageData: compressedImageData,
-            filename: file.name,
-            fileType: file.type,
-            timestamp: Date.now()
-          }
-        });
-
-        if (this.fileUploadStatus) {
-          this.fileUploadStatus.textContent = `File loaded: ${file.name}`;
-          this.fileUploadStatus.classList.add('loaded');
-        }
-
-        if (window.chatManager?.showFilePreview) {
-          window.chatManager.showFilePreview({
-            text: result.text || '',
-            imageData: compressedImageData,
-            filename: file.name,
-            fileType: file.type,
-            timestamp: Date.now()
+        let result;
+        try {
+          result = await this.processUploadedFile(file, {
+            onProgress: (progress) => this.showFileProgress(file, progress)
           });
+        } catch (error) {
+          if (!error.data?.scanned) throw error;
+          result = await this.processScannedPdf(file, error.data);
+          if (!result) {
+            window.chatManager?.hideFilePreview?.();
+            return;
+          }
         }
+        await this.applyUploadResult(file, result);
       } catch (error) {
+        if (error.cancelled) {
+          // The preview was removed while the file was processing
+          window.chatManager?.hideFilePreview?.();
+          return;
+        }
         console.error('[Eureka AI] Error uploading file:', error);
         if (window.chatManager?.hideFilePreview) {
           window.chatManager.hideFilePreview();
@@ -256,6 +407,52 @@
       }
     }
 
+    /**
+     * Store a processed file as the chat context and show its preview
+     * @param {{name: string, type: string}} file
+     * @param {Object} result - From /api/process-file
+     */
+    async applyUploadResult(file, result) {
+      let compressedImageData = result.imageData || '';
+      if (compressedImageData && file.type?.startsWith('image/')) {
+        compressedImageData = await this.compressImage(compressedImageData);
+      }
+      
+      // Update upload timestamps (track last 2 uploads for freemium limit)
+      const stored = await chrome.storage.local.get(['fileUploadTimestamps']);
+      const uploadTimestamps = stored.fileUploadTimestamps || [];
+      uploadTimestamps.push(Date.now());
+      // Keep only last 10 timestamps to avoid storage bloat
+      const trimmedTimestamps = uploadTimestamps.slice(-10);
+      
+      await chrome.storage.local.set({
+        fileUploadTimestamps: trimmedTimestamps,
+        uploadedFileContext: {
+          text: result.text || '',
+          imageData: compressedImageData,
+          filename: file.name,
+          // The backend reports the detected type (browsers often leave it empty for .md or .csv)
+          fileType: result.fileType || file.type,
+          timestamp: Date.now()
+        }
+      });
+
+      if (this.fileUploadStatus) {
+        this.fileUploadStatus.textContent = `File loaded: ${file.name}`;
+        this.fileUploadStatus.classList.add('loaded');
+      }
+
+      if (window.chatManager?.showFilePreview) {
+        window.chatManager.showFilePreview({
+          text: result.text || '',
+          imageData: compressedImageData,
+          filename: file.name,
+          fileType: result.fileType || file.type,
+          timestamp: Date.now()
+        });
+      }
+    }
+
     captureScreenshot() {
       // Send message to content script to start screenshot mode
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -283,6 +480,48 @@
       }
     }
 
+    /**
+     * Full text of everything the chat can draw on, one entry per content item
+     * Nothing is truncated: the backend indexes long content and picks the
+     * passages relevant to each message.
+     * @returns {Promise<Array<{id: string, label: string, contentType: string, text: string}>>}
+     *   id is 'content', 'upload' or 'page', so citations can tell which one they point to
+     */
+    async getContextSources() {
+      try {
+        const stored = await chrome.storage.local.get(['currentContentInfo', 'currentVideoInfo', 'uploadedFileContext', 'fullPageContext']);
+        const currentContent = stored.currentContentInfo || stored.currentVideoInfo;
+        const uploadedFile = stored.uploadedFileContext;
+        const fullPage = stored.fullPageContext;
+        const sources = [];
+
+        if (currentContent?.transcript) {
+          sources.push({ id: 'content', label: currentContent.title || 'Video transcript', contentType: 'video', text: currentContent.transcript });
+        } else if (currentContent?.text) {
+          sources.push({ id: 'content', label: currentContent.title || 'Page content', contentType: currentContent.type === 'pdf' ? 'pdf' : 'webpage', text: currentContent.text });
+        }
+
+        if (uploadedFile?.text) {
+          sources.push({
+            id: 'upload',
+            label: uploadedFile.filename || 'Uploaded file',
+            contentType: uploadedFile.fileType === 'application/pdf' ? 'pdf' : 'webpage',
+            text: uploadedFile.text
+          });
+        }
+
+        const fullPageText = typeof fullPage === 'string' ? fullPage : (fullPage?.text || '');
+        if (fullPageText) {
+          sources.push({ id: 'page', label: 'Full webpage', contentType: 'webpage', text: fullPageText });
+        }
+
+        return sources;
+      } catch (error) {
+        console.error('[Eureka AI] Error getting context sources:', error);
+        return [];
+      }
+    }
+
     async getCombinedContext() {
       try {
         // Get current content info
@@ -88,13 +88,27 @@
           message.text = contentText;
         }
         
-        const response = await chrome.runtime.sendMessage(message);
+        // Stream so progress is shown while long content is read in parts
+        let response;
+        if (window.StreamClient) {
+          try {
+            response = await window.StreamClient.request(message, {
+              onProgress: (progress) => {
+                if (progress?.message) {
+                  this.showStatus(progress.message, 'var(--text-secondary)');
+                }
+              }
+            });
+          } catch (streamError) {
+            response = { error: streamError.message };
+          }
+        } else {
+          response = await chrome.runtime.sendMessage(message);
+        }
         
         if (response?.error) {
           alert(response.error);
-          if (this.flashcardList) {
-            this.flashcardList.innerHTML = `<p style="text-align: center; padding: 20px; color: #e74c3c;">Failed to generate flashcards: ${response.error}</p>`;
-          }
+          this.showStatus(`Failed to generate flashcards: ${response.error}`, '#e74c3c');
         } else if (response?.success && response?.flashcards) {
           const setTitle = `${contentInfo.title || 'Untitled'} - Flashcards`;
           await window.SumVidFlashcardMaker.createFlashcardSet(setTitle, response.flashcards);
@@ -119,6 +133,18 @@
         generateButton.textContent = 'Generate Flashcards';
       }
     }
+
+    /**
+     * Replace the flashcard list with a status line
+     * The text comes from the backend, so it is set as text, never as HTML.
+     */
+    showStatus(text, color) {
+      if (!this.flashcardList) return;
+      const status = document.createElement('p');
+      status.style.cssText = `text-align: center; padding: 20px; color: ${color};`;
+      status.textContent = text;
+      this.flashcardList.replaceChildren(status);
+    }
   
     async renderFlashcards() {
       console.log('[FlashcardUIController] renderFlashcards called');
@@ -307,13 +333,16 @@
       cardElement.innerHTML = `
         <div class="flashcard-item__inner">
           <div class="flashcard-item__front">
-            <div class="flashcard-item__text">${frontText}</div>
+            <div class="flashcard-item__text"></div>
           </div>
           <div class="flashcard-item__back">
-            <div class="flashcard-item__text">${backText}</div>
+            <div class="flashcard-item__text"></div>
           </div>
         </div>
       `;
+      // Card text is model output, so it is set as text
+      cardElement.querySelector('.flashcard-item__front .flashcard-item__text').textContent = frontText;
+      cardElement.querySelector('.flashcard-item__back .flashcard-item__text').textContent = backText;
       
       // Track if card is flipped
       let isFlipped = false;
@@ -0,0 +1,137 @@
+/**
+ * Job Client Module
+ * Follows background jobs on the backend (long uploads and summaries): polls
+ * their progress and remembers them in storage, so a job started before the
+ * side panel was closed is picked up again when it reopens
+ */
+
+(function() {
+  'use strict';
+
+  const BACKEND_URL = 'https://sumvid-learn-backend.onrender.com';
+  const PENDING_JOBS_KEY = 'pendingJobs';
+  const POLL_INTERVAL = 2000;
+  // Forget jobs the backend will have deleted by now (it keeps finished jobs for a day)
+  const PENDING_JOB_MAX_AGE = 24 * 60 * 60 * 1000;
+
+  async function authHeaders() {
+    const stored = await chrome.storage.local.get(['sumvid_auth_token']);
+    return stored.sumvid_auth_token ? { 'Authorization': `Bearer ${stored.sumvid_auth_token}` } : {};
+  }
+
+  async function fetchJob(path, method = 'GET') {
+    const response = await fetch(`${BACKEND_URL}/api/jobs/${path}`, {
+      method,
+      headers: await authHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data.job;
+  }
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  window.JobClient = {
+    /**
+     * Remember a job until it finishes
+     * @param {Object} job - { id, type } from the 202 response
+     * @param {Object} [details] - What the sidebar needs to show the result later (file name, content URL...)
+     */
+    async remember(job, details = {}) {
+      const stored = await chrome.storage.local.get([PENDING_JOBS_KEY]);
+      const pendingJobs = stored[PENDING_JOBS_KEY] || {};
+      pendingJobs[job.id] = { id: job.id, type: job.type, startedAt: Date.now(), ...details };
+      await chrome.storage.local.set({ [PENDING_JOBS_KEY]: pendingJobs });
+    },
+
+    async forget(jobId) {
+      const stored = await chrome.storage.local.get([PENDING_JOBS_KEY]);
+      const pendingJobs = stored[PENDING_JOBS_KEY] || {};
+      delete pendingJobs[jobId];
+      await chrome.storage.local.set({ [PENDING_JOBS_KEY]: pendingJobs });
+    },
+
+    /**
+     * Jobs of a type started in an earlier session that have not finished
+     * @param {string} type - Job type, e.g. 'summarize' or 'process-file'
+     * @returns {Promise<Array<Object>>} What was passed to remember(), oldest first
+     */
+    async pending(type) {
+      const stored = await chrome.storage.local.get([PENDING_JOBS_KEY]);
+      const jobs = Object.values(stored[PENDING_JOBS_KEY] || {});
+      const expired = jobs.filter(job => Date.now() - job.startedAt > PENDING_JOB_MAX_AGE);
+      for (const job of expired) {
+        await this.forget(job.id);
+      }
+      return jobs
+        .filter(job => job.type === type && !expired.includes(job))
+        .sort((a, b) => a.startedAt - b.startedAt);
+    },
+
+    /**
+     * Wait for a job to finish, polling its status
+     * Network errors are retried; the job is forgotten once it has finished.
+     * @param {string} jobId
+     * @param {Object} [handlers]
+     * @param {Function} [handlers.onProgress] - Called with { stage, completed, total, message }
+     * @returns {Promise<Object>} The job's result.
+     *   Rejects with an Error whose `data` holds the failed job's result (e.g. usage) and
+     *   `cancelled` is true if the job was cancelled.
+     */
+    async wait(jobId, { onProgress } = {}) {
+      let lastProgress = null;
+
+      while (true) {
+        let job;
+        try {
+          job = await fetchJob(encodeURIComponent(jobId));
+        } catch (error) {
+          if (error.status === 404 || error.status === 401) {
+            await this.forget(jobId);
+            throw error;
+          }
+          console.warn('[Eureka AI] Could not check job status, retrying:', error.message);
+          await delay(POLL_INTERVAL);
+          continue;
+        }
+
+        if (job.progress && onProgress && JSON.stringify(job.progress) !== lastProgress) {
+          lastProgress = JSON.stringify(job.progress);
+          onProgress(job.progress);
+        }
+
+        if (job.status === 'completed') {
+          await this.forget(jobId);
+          return job.result;
+        }
+        if (job.status === 'failed' || job.status === 'cancelled') {
+          await this.forget(jobId);
+          const error = new Error(job.status === 'cancelled' ? 'Cancelled' : (job.error || 'Job failed'));
+          error.data = job.result || {};
+          error.cancelled = job.status === 'cancelled';
+          throw error;
+        }
+
+        await delay(POLL_INTERVAL);
+      }
+    },
+
+    /**
+     * Cancel a job; its reserved credits are released
+     * @param {string} jobId
+     */
+    async cancel(jobId) {
+      try {
+        await fetchJob(`${encodeURIComponent(jobId)}/cancel`, 'POST');
+      } catch (error) {
+        console.warn('[Eureka AI] Could not cancel job:', error.message);
+      }
+    }
+  };
+})();
@@ -44,6 +44,17 @@ async function clearAuthToken() {
   });
 }
 
+/**
+ * Gets the browser's IANA timezone, used by the backend to reset daily usage at local midnight
+ */
+function getLocalTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Registers a new user account
  */
@@ -58,6 +69,7 @@ async function registerUser(name, email, password) {
         name: name || null,
         email: email,
         password: password,
+        timezone: getLocalTimezone(),
       }),
     });
 
@@ -88,6 +100,7 @@ async function loginUser(email, password) {
       body: JSON.stringify({
         email: email,
         password: password,
+        timezone: getLocalTimezone(),
       }),
     });
 
@@ -250,6 +263,118 @@ async function getUserUsage() {
   }
 }
 
+/**
+ * Fetches one page of the user's usage history from backend
+ * @param {number} page - 1-based page number
+ */
+async function getUsageHistory(page = 1) {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      return null;
+    }
+
+    const response = await fetch(`${BACKEND_URL}/api/user/usage/history?page=${page}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        await clearAuthToken();
+      }
+      return null;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('[LoginMenu] Error fetching usage history:', error);
+    return null;
+  }
+}
+
+const USAGE_HISTORY_ACTIONS = {
+  summarize: 'Summary',
+  quiz: 'Quiz',
+  qa: 'Question',
+  chat: 'Chat',
+  flashcards: 'Flashcards',
+  'process-file': 'Image upload'
+};
+
+let usageHistoryPage = 1;
+
+/**
+ * Renders a page of usage history in the account dialog
+ * @param {number} page - 1-based page number
+ */
+async function renderUsageHistory(page = 1) {
+  const list = document.getElementById('account-usage-history-list');
+  const emptyMessage = document.getElementById('account-usage-history-empty');
+  const pagination = document.getElementById('account-usage-history-pagination');
+  const pageLabel = document.getElementById('account-usage-history-page');
+  const prevButton = document.getElementById('account-usage-history-prev');
+  const nextButton = document.getElementById('account-usage-history-next');
+  if (!list) return;
+
+  const history = await getUsageHistory(page);
+  list.innerHTML = '';
+  if (!history) {
+    if (emptyMessage) emptyMessage.hidden = false;
+    if (pagination) pagination.hidden = true;
+    return;
+  }
+
+  usageHistoryPage = history.page;
+  history.events.forEach(event => {
+    const item = document.createElement('li');
+    item.className = 'account__usage-history-item';
+
+    const details = document.createElement('div');
+    details.className = 'account__usage-history-details';
+
+    const action = document.createElement('span');
+    action.className = 'account__usage-history-action';
+    action.textContent = USAGE_HISTORY_ACTIONS[event.route] || event.route;
+    details.appendChild(action);
+
+    if (event.contentTitle || event.contentUrl) {
+      const content = document.createElement('span');
+      content.className = 'account__usage-history-content';
+      content.textContent = event.contentTitle || event.contentUrl;
+      content.title = event.contentUrl || event.contentTitle;
+      details.appendChild(content);
+    }
+
+    const meta = document.createElement('span');
+    meta.className = 'account__usage-history-meta';
+    const tokens = (event.promptTokens || 0) + (event.completionTokens || 0);
+    const metaParts = [new Date(event.createdAt).toLocaleString()];
+    if (event.status === 'cached') metaParts.push('shared result');
+    if (event.status === 'failed') metaParts.push('failed, refunded');
+    if (tokens > 0) metaParts.push(`${event.tokensEstimated ? '~' : ''}${tokens.toLocaleString()} tokens`);
+    meta.textContent = metaParts.join(' · ');
+    details.appendChild(meta);
+
+    const credits = document.createElement('span');
+    credits.className = 'account__usage-history-credits';
+    credits.textContent = `${event.credits} credit${event.credits === 1 ? '' : 's'}`;
+
+    item.appendChild(details);
+    item.appendChild(credits);
+    list.appendChild(item);
+  });
+
+  if (emptyMessage) emptyMessage.hidden = history.total > 0;
+  if (pagination) pagination.hidden = history.totalPages <= 1;
+  if (pageLabel) pageLabel.textContent = `${history.page} / ${Math.max(1, history.totalPages)}`;
+  if (prevButton) prevButton.disabled = history.page <= 1;
+  if (nextButton) nextButton.disabled = history.page >= history.totalPages;
+}
+
 /**
  * Updates the logged-in view with user information
  */
@@ -426,6 +551,7 @@ function registerAccountHandlers() {
     (async () => {
       await updateLoggedInView();
       await updateStatusCard();
+      await renderUsageHistory(1);
       // Update premium UI when dialog opens
       if (window.premiumManager) {
         await window.premiumManager.updateUIForPremium();
@@ -437,6 +563,16 @@ function registerAccountHandlers() {
     });
   });
 
+  // Usage history pagination
+  const usageHistoryPrev = document.getElementById('account-usage-history-prev');
+  const usageHistoryNext = document.getElementById('account-usage-history-next');
+  if (usageHistoryPrev) {
+    usageHistoryPrev.addEventListener('click', () => renderUsageHistory(usageHistoryPage - 1));
+  }
+  if (usageHistoryNext) {
+    usageHistoryNext.addEventListener('click', () => renderUsageHistory(usageHistoryPage + 1));
+  }
+
   // Handle backdrop click for account dialog
   accountDialog.addEventListener('click', (e) => {
     if (e.target === accountDialog) {
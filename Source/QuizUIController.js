@@ -36,9 +36,70 @@
         });
       }
       
+      await this.initializeQuizOptions();
       await this.renderQuiz();
     }
 
+    /**
+     * Restore the question count, difficulty and question types chosen last time
+     * and save them whenever they change
+     */
+    async initializeQuizOptions() {
+      const countInput = document.getElementById('quiz-question-count');
+      const difficultySelect = document.getElementById('quiz-difficulty');
+      const typesContainer = document.getElementById('quiz-question-types');
+      if (!countInput || !difficultySelect || !typesContainer) return;
+
+      const stored = await chrome.storage.local.get(['quizSettings']);
+      const settings = stored.quizSettings;
+      if (settings) {
+        countInput.value = settings.questionCount || 3;
+        difficultySelect.value = settings.difficulty || 'intro';
+        typesContainer.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+          checkbox.checked = (settings.questionTypes || ['multiple-choice']).includes(checkbox.value);
+        });
+      }
+
+      const save = async () => {
+        await chrome.storage.local.set({ quizSettings: this.getQuizSettings() });
+        // The question count changes what a quiz costs
+        if (window.usageManager) {
+          await window.usageManager.updateStatusCards(true);
+        }
+      };
+      countInput.addEventListener('change', save);
+      difficultySelect.addEventListener('change', save);
+      typesContainer.addEventListener('change', (event) => {
+        // Keep at least one question type selected
+        const checked = typesContainer.querySelectorAll('input[type="checkbox"]:checked');
+        if (checked.length === 0 && event.target.type === 'checkbox') {
+          event.target.checked = true;
+        }
+        save();
+      });
+    }
+
+    /**
+     * Read the quiz settings from the options panel
+     * @returns {{questionCount: number, difficulty: string, questionTypes: string[]}}
+     */
+    getQuizSettings() {
+      const countInput = document.getElementById('quiz-question-count');
+      const difficultySelect = document.getElementById('quiz-difficulty');
+      const typesContainer = document.getElementById('quiz-question-types');
+
+      const count = parseInt(countInput?.value, 10);
+      const questionTypes = typesContainer
+        ? Array.from(typesContainer.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value)
+        : [];
+
+      return {
+        questionCount: Number.isInteger(count) ? Math.min(30, Math.max(3, count)) : 3,
+        difficulty: difficultySelect?.value || 'intro',
+        questionTypes: questionTypes.length > 0 ? questionTypes : ['multiple-choice']
+      };
+    }
+
     async handleGenerateQuiz(forceRegenerate = false) {
       const makeTestButton = document.getElementById('make-test-button');
       const regenerateQuizButton = document.getElementById('regenerate-quiz-button');
@@ -98,7 +159,7 @@
         // Check for cached quiz (unless forcing regenerate)
         if (!forceRegenerate && videoId && window.contentGenerator) {
           const cachedQuiz = await window.contentGenerator.loadGeneratedContent(videoId, 'quiz');
-          if (cachedQuiz) {
+          if (this.isQuizData(cachedQuiz)) {
             await this.displayQuiz(cachedQuiz, videoId);
             if (regenerateQuizButton) regenerateQuizButton.style.display = 'block';
             makeTestButton.style.display = 'none';
@@ -120,26 +181,41 @@
         }
 
         // Generate new quiz
-        const response = await chrome.runtime.sendMessage({
+        const quizRequest = {
           action: 'generate-quiz',
           transcript: contentType === 'video' ? contentText : '',
           summary: summaryText,
-          context: ''
-        });
+          context: '',
+          refresh: forceRegenerate, // Skip the shared server cache when regenerating
+          ...this.getQuizSettings()
+        };
+
+        // Stream so progress is shown while long content is read in parts
+        let response;
+        if (window.StreamClient) {
+          try {
+            response = await window.StreamClient.request(quizRequest, {
+              onProgress: (progress) => this.showProgress(progress)
+            });
+          } catch (streamError) {
+            response = { error: streamError.message };
+          }
+        } else {
+          response = await chrome.runtime.sendMessage(quizRequest);
+        }
 
         if (response?.error) {
           throw new Error(response.error);
         }
 
-        // Background script returns { success: true, questions } where questions is the HTML string
-        // Handle both formats for compatibility: { quiz } or { questions }
-        const quizHTML = response?.quiz || response?.questions;
+        // Background script returns { success: true, quiz } where quiz is { questions: [...] }
+        const quiz = response?.quiz;
         
-        if (quizHTML && typeof quizHTML === 'string') {
-          await this.displayQuiz(quizHTML, videoId);
+        if (this.isQuizData(quiz)) {
+          await this.displayQuiz(quiz, videoId);
           
           if (videoId && window.contentGenerator) {
-            await window.contentGenerator.saveGeneratedContent(videoId, 'quiz', quizHTML);
+            await window.contentGenerator.saveGeneratedContent(videoId, 'quiz', quiz);
           }
           
           if (regenerateQuizButton) regenerateQuizButton.style.display = 'block';
@@ -154,13 +230,14 @@
           }
         } else {
           console.error('[QuizUIController] Invalid quiz response format:', response);
-          throw new Error('Invalid quiz response format - expected quiz HTML string');
+          throw new Error('Invalid quiz response format - expected quiz questions');
         }
       } catch (error) {
         console.error('[Eureka AI] Quiz generation error:', error);
         alert('Failed to generate quiz. Please try again.');
         if (this.quizQuestionsContainer) {
-          this.quizQuestionsContainer.innerHTML = `<p style="text-align: center; padding: 20px; color: #e74c3c;">Failed to generate quiz: ${error.message}</p>`;
+          this.quizQuestionsContainer.innerHTML = '<p style="text-align: center; padding: 20px; color: #e74c3c;"></p>';
+          this.quizQuestionsContainer.firstChild.textContent = `Failed to generate quiz: ${error.message}`;
         }
       } finally {
         makeTestButton.disabled = false;
@@ -168,7 +245,137 @@
       }
     }
 
-    async displayQuiz(quizHTML, videoId) {
+    /**
+     * Show map-reduce progress while the quiz is being generated
+     */
+    showProgress(progress) {
+      if (this.quizQuestionsContainer && progress?.message) {
+        const status = document.createElement('p');
+        status.style.cssText = 'text-align: center; padding: 20px; color: var(--text-secondary);';
+        status.textContent = progress.message;
+        this.quizQuestionsContainer.replaceChildren(status);
+      }
+    }
+
+    /**
+     * Check that a quiz has the { questions: [{ type, question, ... }] } shape
+     * Quizzes cached by older versions were HTML strings and are ignored.
+     */
+    isQuizData(quiz) {
+      return !!quiz && typeof quiz === 'object' && Array.isArray(quiz.questions) && quiz.questions.length > 0 &&
+        quiz.questions.every(item => typeof item?.question === 'string' &&
+          (Array.isArray(item.options) || Array.isArray(item.answers) || typeof item.answer === 'string'));
+    }
+
+    /**
+     * Build the DOM for one question
+     * Model output is only ever set as text, never parsed as HTML.
+     */
+    createQuestionElement(item, index) {
+      const type = item.type || 'multiple-choice';
+      const questionElement = document.createElement('div');
+      questionElement.className = 'question';
+      questionElement.dataset.type = type;
+
+      const questionText = document.createElement('p');
+      questionText.className = 'question-text';
+      questionText.textContent = `${index + 1}. ${item.question}`;
+      questionElement.appendChild(questionText);
+
+      const answers = document.createElement('div');
+      answers.className = 'answers';
+
+      if (type === 'fill-blank' || type === 'short-answer') {
+        const input = document.createElement(type === 'short-answer' ? 'textarea' : 'input');
+        input.className = 'quiz-text-answer';
+        if (type === 'short-answer') {
+          input.rows = 3;
+          input.placeholder = 'Write your answer...';
+        } else {
+          input.type = 'text';
+          input.placeholder = 'Fill in the blank';
+        }
+        answers.appendChild(input);
+      } else {
+        if (type === 'multi-select') {
+          const hint = document.createElement('p');
+          hint.className = 'quiz-question-hint';
+          hint.textContent = 'Select all that apply';
+          questionElement.appendChild(hint);
+        }
+
+        item.options.forEach((option, optionIndex) => {
+          const label = document.createElement('label');
+          label.className = 'answer';
+
+          const input = document.createElement('input');
+          input.type = type === 'multi-select' ? 'checkbox' : 'radio';
+          input.name = `q${index + 1}`;
+          input.value = String(optionIndex);
+
+          const span = document.createElement('span');
+          span.textContent = option;
+
+          label.appendChild(input);
+          label.appendChild(span);
+          answers.appendChild(label);
+        });
+      }
+      questionElement.appendChild(answers);
+
+      return questionElement;
+    }
+
+    /**
+     * Normalize a typed answer for comparison (case, spacing and punctuation)
+     */
+    normalizeTextAnswer(text) {
+      return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Grade one question against the quiz data
+     * @returns {{userAnswer: string, correctAnswer: string, isCorrect: boolean|null, correctIndices: number[], selectedIndices: number[]}}
+     *   isCorrect is null for answers that cannot be checked automatically
+     */
+    gradeQuestion(questionElement, item) {
+      const type = item.type || 'multiple-choice';
+
+      if (type === 'fill-blank' || type === 'short-answer') {
+        const value = questionElement.querySelector('.quiz-text-answer')?.value.trim() || '';
+        const userAnswer = value || 'Not answered';
+
+        if (type === 'short-answer') {
+          // Graded by the backend in gradeShortAnswers()
+          return { userAnswer, correctAnswer: item.answer, isCorrect: null, correctIndices: [], selectedIndices: [], answerText: value };
+        }
+
+        const accepted = item.answers.map(answer => this.normalizeTextAnswer(answer));
+        return {
+          userAnswer,
+          correctAnswer: item.answers.join(' / '),
+          isCorrect: !!value && accepted.includes(this.normalizeTextAnswer(value)),
+          correctIndices: [],
+          selectedIndices: []
+        };
+      }
+
+      const selectedIndices = Array.from(questionElement.querySelectorAll('input:checked'))
+        .map(input => parseInt(input.value, 10));
+      const correctIndices = type === 'multi-select' ? item.correctIndices : [item.correctIndex];
+      const isCorrect = selectedIndices.length === correctIndices.length &&
+        correctIndices.every(index => selectedIndices.includes(index));
+
+      return {
+        userAnswer: selectedIndices.length > 0 ? selectedIndices.map(index => item.options[index]).join(', ') : 'Not answered',
+        correctAnswer: correctIndices.map(index => item.options[index]).join(', '),
+        isCorrect,
+        correctIndices,
+        selectedIndices
+      };
+    }
+
+    async displayQuiz(quiz, videoId) {
       if (!this.quizQuestionsContainer) return;
 
       // Ensure empty state is hidden when quiz is displayed
@@ -179,8 +386,27 @@
         this.quizEmpty.style.opacity = '0';
       }
 
-      // Insert quiz HTML into questions container (preserves structure)
-      this.quizQuestionsContainer.innerHTML = quizHTML;
+      this.quiz = quiz;
+      this.quizQuestionsContainer.innerHTML = '';
+      quiz.questions.forEach((item, index) => {
+        this.quizQuestionsContainer.appendChild(this.createQuestionElement(item, index));
+      });
+
+      const navigation = document.createElement('div');
+      navigation.className = 'quiz-navigation';
+      const counter = document.createElement('span');
+      counter.id = 'questionCounter';
+      const controls = document.createElement('div');
+      controls.className = 'quiz-nav-controls';
+      const submitButton = document.createElement('button');
+      submitButton.id = 'submitQuiz';
+      submitButton.className = 'submit-quiz';
+      submitButton.textContent = 'Submit Quiz';
+      controls.appendChild(submitButton);
+      navigation.appendChild(counter);
+      navigation.appendChild(controls);
+      this.quizQuestionsContainer.appendChild(navigation);
+
       this.quizQuestionsContainer.classList.remove('hidden');
       this.quizQuestionsContainer.style.display = ''; // Ensure visible
 
@@ -227,7 +453,7 @@
 
       if (videoId && window.contentGenerator) {
         const cachedQuiz = await window.contentGenerator.loadGeneratedContent(videoId, 'quiz');
-        if (cachedQuiz && cachedQuiz.trim()) {
+        if (this.isQuizData(cachedQuiz)) {
           console.log('[QuizUIController] Found cached quiz, displaying it');
           await this.displayQuiz(cachedQuiz, videoId);
           return;
@@ -253,6 +479,7 @@
         this.quizEmpty.classList.remove('hidden');
       }
       
+      this.quiz = null;
       this.currentQuestionIndex = 0;
       this.totalQuestions = 0;
     }
@@ -268,7 +495,6 @@
       // Add navigation buttons if they don't exist
       let navWrapper = this.quizQuestionsContainer?.querySelector('.quiz-navigation-wrapper');
       if (!navWrapper && this.quizQuestionsContainer) {
-        const originalHTML = this.quizQuestionsContainer.innerHTML;
         navWrapper = document.createElement('div');
         navWrapper.className = 'quiz-navigation-wrapper';
         
@@ -286,7 +512,7 @@
         
         const contentWrapper = document.createElement('div');
         contentWrapper.className = 'quiz-content-wrapper';
-        contentWrapper.innerHTML = originalHTML;
+        contentWrapper.append(...this.quizQuestionsContainer.childNodes);
         
         navWrapper.appendChild(prevButton);
         navWrapper.appendChild(contentWrapper);
@@ -356,91 +582,120 @@
       }
     }
 
-    checkQuizAnswers() {
+    /**
+     * Grade free-text answers with /api/quiz/grade
+     * @param {Array<{item: Object, answerText: string}>} pending - Short-answer questions to grade
+     * @returns {Promise<Array<Object|null>>} Grade ({ score, verdict, feedback, citation }) per question,
+     *   or an { error } entry when grading failed
+     */
+    async gradeShortAnswers(pending) {
+      return Promise.all(pending.map(async ({ item, answerText }) => {
+        if (!answerText) {
+          return { score: 0, verdict: 'incorrect', feedback: 'No answer was given.', citation: null };
+        }
+        try {
+          const response = await chrome.runtime.sendMessage({
+            action: 'grade-quiz-answer',
+            question: item.question,
+            answer: answerText,
+            excerpt: item.excerpt || '',
+            rubric: item.rubric || '',
+            sampleAnswer: item.answer || ''
+          });
+          if (!response?.success) {
+            throw new Error(response?.error || 'Failed to grade answer');
+          }
+          return response.grade;
+        } catch (error) {
+          console.error('[Eureka AI] Short-answer grading error:', error);
+          return { error: error.message };
+        }
+      }));
+    }
+
+    async checkQuizAnswers() {
       const contentWrapper = this.quizQuestionsContainer?.querySelector('.quiz-content-wrapper');
       const questions = contentWrapper?.querySelectorAll('.question') || this.quizQuestionsContainer?.querySelectorAll('.question');
-      if (!questions) return;
+      if (!questions || !this.quiz) return;
+
+      const results = Array.from(questions).map((question, index) => {
+        const item = this.quiz.questions[index];
+        return item ? { question, item, result: this.gradeQuestion(question, item) } : null;
+      }).filter(Boolean);
+
+      // Short answers are graded by the backend before the results are shown
+      const pending = results.filter(({ item }) => item.type === 'short-answer');
+      if (pending.length > 0) {
+        const submitButton = this.quizQuestionsContainer.querySelector('#submitQuiz');
+        if (submitButton) {
+          submitButton.disabled = true;
+          submitButton.textContent = 'Grading...';
+        }
+        const grades = await this.gradeShortAnswers(pending.map(({ item, result }) => ({ item, answerText: result.answerText })));
+        pending.forEach((entry, i) => {
+          const grade = grades[i];
+          if (grade && !grade.error) {
+            entry.result.grade = grade;
+            entry.result.isCorrect = grade.verdict === 'correct';
+          } else {
+            entry.result.gradingError = grade?.error || 'Failed to grade answer';
+          }
+        });
+        if (submitButton) {
+          submitButton.disabled = false;
+          submitButton.textContent = 'Submit Quiz';
+        }
+      }
 
       let correctAnswers = 0;
-      const totalQuestions = questions.length;
+      let gradedQuestions = 0;
       this.quizReportData = []; // Store report data for each question
 
-      questions.forEach((question, index) => {
-        const selectedAnswer = question.querySelector('input[type="radio"]:checked');
-        const correctAnswer = question.querySelector('.correct-answer')?.textContent?.trim();
-        const allOptions = question.querySelectorAll('.quiz-option-button, label[for*="option"]');
-        
-        // Extract question text - try common selectors
-        const questionText = question.querySelector('h3, h4, .question-text, p')?.textContent?.trim() || 
-                           question.textContent.split('?')[0]?.trim() + '?' || 
-                           `Question ${index + 1}`;
-        
-        // Get user's selected answer text
-        let userAnswerText = 'Not answered';
-        if (selectedAnswer) {
-          const selectedLabel = selectedAnswer.closest('label') || selectedAnswer.parentElement;
-          if (selectedLabel) {
-            userAnswerText = selectedLabel.textContent.trim() || selectedAnswer.value;
-          } else {
-            userAnswerText = selectedAnswer.value;
+      results.forEach(({ question, item, result }, index) => {
+        if (result.isCorrect !== null) {
+          gradedQuestions++;
+          if (result.isCorrect) {
+            correctAnswers++;
           }
         }
         
-        // Collect all answer options with their text
-        const allAnswerOptions = [];
-        allOptions.forEach(option => {
-          const optionText = option.textContent.trim() || option.querySelector('span')?.textContent.trim() || option.value;
-          if (optionText) {
-            allAnswerOptions.push(optionText);
-          }
-        });
-        
-        // Determine if answer was correct
-        const isCorrect = selectedAnswer && selectedAnswer.value === correctAnswer;
-        if (isCorrect) {
-          correctAnswers++;
-        }
-        
         // Store report data with all options
         this.quizReportData.push({
           questionNumber: index + 1,
-          questionText: questionText,
-          userAnswer: userAnswerText,
-          correctAnswer: correctAnswer || 'Unknown',
-          allOptions: allAnswerOptions,
-          isCorrect: isCorrect
-        });
-        
-        allOptions.forEach(option => {
-          option.classList.remove('quiz-answer-correct', 'quiz-answer-incorrect');
-          option.style.border = '';
+          questionText: item.question,
+          userAnswer: result.userAnswer,
+          correctAnswer: result.correctAnswer,
+          correctIndices: result.correctIndices,
+          selectedIndices: result.selectedIndices,
+          allOptions: item.options || [],
+          explanation: item.explanation || '',
+          source: item.source || null,
+          grade: result.grade || null,
+          gradingError: result.gradingError || null,
+          isCorrect: result.isCorrect
         });
         
-        if (correctAnswer) {
-          allOptions.forEach(option => {
-            const optionText = option.textContent.trim() || option.querySelector('span')?.textContent.trim();
-            if (optionText === correctAnswer) {
-              option.classList.add('quiz-answer-correct');
-              option.style.border = '2px solid #10b981';
-            }
-          });
-        }
-        
-        if (selectedAnswer) {
-          const selectedLabel = selectedAnswer.closest('label') || selectedAnswer.parentElement;
-          if (selectedLabel) {
-            if (selectedAnswer.value === correctAnswer) {
-              selectedLabel.classList.add('quiz-answer-correct');
-              selectedLabel.style.border = '2px solid #10b981';
-            } else {
-              selectedLabel.classList.add('quiz-answer-incorrect');
-              selectedLabel.style.border = '2px solid #ef4444';
-            }
+        question.querySelectorAll('label.answer').forEach((label, optionIndex) => {
+          label.classList.remove('quiz-answer-correct', 'quiz-answer-incorrect');
+          label.style.border = '';
+
+          if (result.correctIndices.includes(optionIndex)) {
+            label.classList.add('quiz-answer-correct');
+            label.style.border = '2px solid #10b981';
+          } else if (result.selectedIndices.includes(optionIndex)) {
+            label.classList.add('quiz-answer-incorrect');
+            label.style.border = '2px solid #ef4444';
           }
+        });
+
+        const textAnswer = question.querySelector('.quiz-text-answer');
+        if (textAnswer && result.isCorrect !== null) {
+          textAnswer.classList.remove('quiz-answer-correct', 'quiz-answer-incorrect');
+          textAnswer.classList.add(result.isCorrect ? 'quiz-answer-correct' : 'quiz-answer-incorrect');
         }
       });
 
-      this.showQuizResultsDialog(correctAnswers, totalQuestions);
+      this.showQuizResultsDialog(correctAnswers, gradedQuestions);
     }
 
     showQuizResultsDialog(correctAnswers, totalQuestions) {
@@ -451,48 +706,78 @@
       const buttonsContainer = document.getElementById('quiz-results-buttons');
       if (!dialog || !messageEl) return;
       
-      const percentage = Math.round((correctAnswers / totalQuestions) * 100);
+      // Short answers that could not be graded (offline, rate limited, blocked) are not scored,
+      // so a quiz of only short answers can end with no scored questions
+      const percentage = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
+      const tier = totalQuestions === 0 ? 'ok'
+        : percentage === 100 ? 'win'
+          : percentage >= 60 ? 'ok'
+            : correctAnswers > 0 ? 'partial' : 'fail';
       
       // Display score
       if (scoreEl) {
-        scoreEl.textContent = `${correctAnswers}/${totalQuestions} (${percentage}%)`;
-        scoreEl.className = 'quiz-results-score quiz-results-score--' + 
-          (percentage === 100 ? 'win' : correctAnswers === 2 ? 'ok' : correctAnswers === 1 ? 'partial' : 'fail');
+        scoreEl.textContent = totalQuestions > 0
+          ? `${correctAnswers}/${totalQuestions} (${percentage}%)`
+          : 'Not scored';
+        scoreEl.className = 'quiz-results-score quiz-results-score--' + tier;
       }
       
       let message = '';
       
-      if (percentage === 100) {
+      if (totalQuestions === 0) {
+        message = 'COMPARE YOUR ANSWERS BELOW';
+      } else if (tier === 'win') {
         message = 'YOU WON!';
-      } else if (correctAnswers === 2) {
+      } else if (tier === 'ok') {
         message = 'YOU DID OK';
       } else if (correctAnswers === 1) {
         message = 'AT LEAST YOU KNEW ONE THING!';
+      } else if (tier === 'partial') {
+        message = 'AT LEAST YOU KNEW SOMETHING!';
       } else {
         message = 'YOU COULDN\'T BE MORE WRONG!';
       }
       
       messageEl.textContent = message;
-      messageEl.className = 'quiz-results-message quiz-results-message--' + 
-        (percentage === 100 ? 'win' : correctAnswers === 2 ? 'ok' : correctAnswers === 1 ? 'partial' : 'fail');
+      messageEl.className = 'quiz-results-message quiz-results-message--' + tier;
       
       // Generate and display report
       if (reportEl && this.quizReportData && this.quizReportData.length > 0) {
         let reportText = `Quiz Results Report\n`;
-        reportText += `Score: ${correctAnswers}/${totalQuestions} (${percentage}%)\n\n`;
+        reportText += totalQuestions > 0
+          ? `Score: ${correctAnswers}/${totalQuestions} (${percentage}%)\n\n`
+          : `Score: not scored\n\n`;
         
         this.quizReportData.forEach((item, index) => {
           reportText += `Question ${item.questionNumber}: ${item.questionText}\n`;
           if (item.allOptions && item.allOptions.length > 0) {
             reportText += `Answer Options:\n`;
             item.allOptions.forEach((option, optIndex) => {
-              const marker = option === item.correctAnswer ? '✓' : (option === item.userAnswer ? '→' : ' ');
+              const marker = item.correctIndices.includes(optIndex) ? '✓' : (item.selectedIndices.includes(optIndex) ? '→' : ' ');
               reportText += `  ${marker} ${option}\n`;
             });
           }
           reportText += `Your Answer: ${item.userAnswer}\n`;
-          reportText += `Correct Answer: ${item.correctAnswer}\n`;
-          reportText += `Result: ${item.isCorrect ? 'Correct' : 'Incorrect'}\n`;
+          if (item.grade) {
+            reportText += `Sample Answer: ${item.correctAnswer}\n`;
+            reportText += `Result: ${item.grade.verdict === 'correct' ? 'Correct' : item.grade.verdict === 'partially-correct' ? 'Partially correct' : 'Incorrect'} (${item.grade.score}/100)\n`;
+            reportText += `Feedback: ${item.grade.feedback}\n`;
+            if (item.grade.citation) {
+              reportText += `From the source: "${item.grade.citation}"\n`;
+            }
+          } else if (item.isCorrect === null) {
+            reportText += `Sample Answer: ${item.correctAnswer}\n`;
+            reportText += `Result: Not graded${item.gradingError ? ` (${item.gradingError})` : ''} - compare with the sample answer\n`;
+          } else {
+            reportText += `Correct Answer: ${item.correctAnswer}\n`;
+            reportText += `Result: ${item.isCorrect ? 'Correct' : 'Incorrect'}\n`;
+          }
+          if (item.explanation) {
+            reportText += `Why: ${item.explanation}\n`;
+          }
+          if (item.source) {
+            reportText += `Source: ${item.source}\n`;
+          }
           if (index < this.quizReportData.length - 1) {
             reportText += `\n`;
           }
@@ -5,6 +5,10 @@
 
 let settingsInitialized = false;
 
+// Reading level and output language for generated content; background.js sends them with every generation request
+const DEFAULT_READING_LEVEL = 'elementary';
+const DEFAULT_OUTPUT_LANGUAGE = 'auto';
+
 function registerSettingsHandlers() {
   if (settingsInitialized) return;
   settingsInitialized = true;
@@ -20,18 +24,24 @@ function registerSettingsHandlers() {
   }
 
   function loadSettings() {
-    chrome.storage.local.get(['darkMode', 'highlightToClarifyEnabled', 'stickyButtonEnabled'], (result) => {
+    chrome.storage.local.get(['darkMode', 'highlightToClarifyEnabled', 'stickyButtonEnabled', 'readingLevel', 'outputLanguage'], (result) => {
       const darkMode = result.darkMode || false;
       const highlightToClarifyEnabled = result.highlightToClarifyEnabled !== undefined ? result.highlightToClarifyEnabled : true;
       const stickyButtonEnabled = result.stickyButtonEnabled !== undefined ? result.stickyButtonEnabled : true;
+      const readingLevel = result.readingLevel || DEFAULT_READING_LEVEL;
+      const outputLanguage = result.outputLanguage || DEFAULT_OUTPUT_LANGUAGE;
 
       const darkModeToggle = document.getElementById('setting-dark-mode');
       const highlightClarifyToggle = document.getElementById('setting-highlight-clarify');
       const stickyButtonToggle = document.getElementById('setting-sticky-button');
+      const readingLevelSelect = document.getElementById('setting-reading-level');
+      const outputLanguageSelect = document.getElementById('setting-output-language');
 
       if (darkModeToggle) darkModeToggle.checked = darkMode;
       if (highlightClarifyToggle) highlightClarifyToggle.checked = highlightToClarifyEnabled;
       if (stickyButtonToggle) stickyButtonToggle.checked = stickyButtonEnabled;
+      if (readingLevelSelect) readingLevelSelect.value = readingLevel;
+      if (outputLanguageSelect) outputLanguageSelect.value = outputLanguage;
     });
   }
 
@@ -78,15 +88,21 @@ function registerSettingsHandlers() {
       const darkModeToggle = document.getElementById('setting-dark-mode');
       const highlightClarifyToggle = document.getElementById('setting-highlight-clarify');
       const stickyButtonToggle = document.getElementById('setting-sticky-button');
+      const readingLevelSelect = document.getElementById('setting-reading-level');
+      const outputLanguageSelect = document.getElementById('setting-output-language');
 
       const darkMode = darkModeToggle ? darkModeToggle.checked : false;
       const highlightToClarifyEnabled = highlightClarifyToggle ? highlightClarifyToggle.checked : true;
       const stickyButtonEnabled = stickyButtonToggle ? stickyButtonToggle.checked : true;
+      const readingLevel = readingLevelSelect ? readingLevelSelect.value : DEFAULT_READING_LEVEL;
+      const outputLanguage = outputLanguageSelect ? outputLanguageSelect.value : DEFAULT_OUTPUT_LANGUAGE;
 
       chrome.storage.local.set({
         darkMode,
         highlightToClarifyEnabled,
-        stickyButtonEnabled
+        stickyButtonEnabled,
+        readingLevel,
+        outputLanguage
       }, () => {
         if (darkMode) {
           document.body.setAttribute('data-theme', 'dark');
@@ -94,7 +110,7 @@ function registerSettingsHandlers() {
           document.body.removeAttribute('data-theme');
         }
         window.dispatchEvent(new CustomEvent('settingsUpdated', {
-          detail: { darkMode, highlightToClarifyEnabled, stickyButtonEnabled }
+          detail: { darkMode, highlightToClarifyEnabled, stickyButtonEnabled, readingLevel, outputLanguage }
         }));
       });
     } else {
@@ -66,7 +66,10 @@
         chatHistory: chatHistory
       });
 
-      if (response?.error) {
+      if (response?.code === 'CONTENT_BLOCKED') {
+        // Refused by the account's moderation policy: the message is written for the student
+        addMessage(response.error, 'assistant');
+      } else if (response?.error) {
         addMessage(`Error: ${response.error}`, 'assistant');
       } else if (response?.reply) {
         addMessage(response.reply, 'assistant');
@@ -0,0 +1,80 @@
+/**
+ * Stream Client Module
+ * Streams generation results from the background script over a long-lived port
+ */
+
+(function() {
+  'use strict';
+
+  window.StreamClient = {
+    /**
+     * Send a generation request and receive the response as it is generated
+     * @param {Object} message - Same message shape as the chrome.runtime.sendMessage action
+     * @param {Object} handlers
+     * @param {Function} [handlers.onToken] - Called with (textSoFar, delta) for every chunk
+     * @param {Function} [handlers.onProgress] - Called with { stage, completed, total, message }
+     *   while long content is being read in parts
+     * @returns {Promise<Object>} Resolves with the final payload (summary/reply, usage).
+     *   Rejects with an Error whose `partial` property holds any text received before the failure
+     *   and whose `code` is the backend's error code, if any (e.g. CONTENT_BLOCKED).
+     */
+    request(message, handlers = {}) {
+      return new Promise((resolve, reject) => {
+        let port;
+        try {
+          port = chrome.runtime.connect({ name: 'generation-stream' });
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        let text = '';
+        let settled = false;
+
+        const fail = (errorMessage, partial, code) => {
+          if (settled) return;
+          settled = true;
+          const error = new Error(errorMessage);
+          error.partial = partial || text;
+          error.code = code;
+          reject(error);
+        };
+
+        port.onMessage.addListener((event) => {
+          if (event.type === 'token') {
+            text += event.text;
+            if (handlers.onToken) handlers.onToken(text, event.text);
+          } else if (event.type === 'progress') {
+            if (handlers.onProgress) handlers.onProgress(event.progress);
+          } else if (event.type === 'done') {
+            settled = true;
+            port.disconnect();
+            const { type, ...payload } = event;
+            resolve(payload);
+          } else if (event.type === 'error') {
+            port.disconnect();
+            fail(event.error, event.partial, event.code);
+          }
+        });
+
+        // The background service worker can be stopped mid-stream
+        port.onDisconnect.addListener(() => {
+          fail('Connection lost before the response finished');
+        });
+
+        port.postMessage(message);
+      });
+    },
+
+    /**
+     * Streamed HTML as plain text, for textContent
+     * Tokens arrive before the backend has checked the answer, so tags in them
+     * (including a tag that is still being streamed) are dropped, never rendered
+     * @param {string} html - Text so far
+     * @returns {string}
+     */
+    plainText(html) {
+      return String(html || '').replace(/<[^>]*>?/g, '');
+    }
+  };
+})();
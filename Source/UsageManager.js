@@ -13,6 +13,11 @@
       this.getProTextIndex = 0;
       this.getProInterval = null;
       
+      // Next daily reset (user's local midnight, from /api/user/usage)
+      this.nextResetAt = null;
+      this.resetCountdownInterval = null;
+      this.timezoneSynced = false;
+      
       // Cache for API responses to reduce calls
       this.cache = {
         usage: null,
@@ -74,9 +79,13 @@
         }
 
         const remaining = Math.max(0, (usage.enhancementsLimit || 0) - (usage.enhancementsUsed || 0));
-        usesRemaining.textContent = `${remaining} uses remaining`;
+        usesRemaining.textContent = `${remaining} credit${remaining === 1 ? '' : 's'} remaining`;
         headerCard.style.display = 'flex';
 
+        this.nextResetAt = usage.nextResetAt || null;
+        this.updateResetCountdown();
+        this.startResetCountdown();
+
         // Wire up upgrade button
         if (upgradeBtn && !upgradeBtn.hasAttribute('data-handler-attached')) {
           upgradeBtn.setAttribute('data-handler-attached', 'true');
@@ -91,6 +100,89 @@
       }
     }
 
+    /**
+     * Time left until the next daily reset, e.g. "5h 12m"
+     * @returns {string|null} Null when the reset time is unknown
+     */
+    formatResetCountdown() {
+      if (!this.nextResetAt) return null;
+
+      const msLeft = new Date(this.nextResetAt).getTime() - Date.now();
+      if (!Number.isFinite(msLeft)) return null;
+
+      const minutes = Math.max(0, Math.ceil(msLeft / 60000));
+      const hours = Math.floor(minutes / 60);
+      return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    updateResetCountdown() {
+      const countdownEl = document.getElementById('header-reset-countdown');
+      if (!countdownEl) return;
+
+      const countdown = this.formatResetCountdown();
+      countdownEl.textContent = countdown ? `Resets in ${countdown}` : '';
+      countdownEl.style.display = countdown ? '' : 'none';
+    }
+
+    startResetCountdown() {
+      if (this.resetCountdownInterval) return;
+      this.resetCountdownInterval = setInterval(() => {
+        // Once the reset time has passed, fetch the fresh counts and the next reset time
+        if (this.nextResetAt && new Date(this.nextResetAt).getTime() <= Date.now()) {
+          this.nextResetAt = null;
+          this.updateStatusCards(true);
+          return;
+        }
+        this.updateResetCountdown();
+      }, 60000);
+    }
+
+    /**
+     * Make the backend reset usage at this browser's midnight if the user's
+     * timezone changed since they logged in (checked once per session)
+     */
+    async syncTimezone(token, serverTimezone) {
+      if (this.timezoneSynced) return;
+      this.timezoneSynced = true;
+
+      const localTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      if (!localTimezone || localTimezone === serverTimezone) return;
+
+      try {
+        const BACKEND_URL = 'https://sumvid-learn-backend.onrender.com';
+        const response = await fetch(`${BACKEND_URL}/api/user/timezone`, {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ timezone: localTimezone }),
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          this.nextResetAt = data.nextResetAt || this.nextResetAt;
+          if (this.cache.usage) {
+            this.cache.usage.nextResetAt = this.nextResetAt;
+          }
+          this.updateResetCountdown();
+        }
+      } catch (error) {
+        console.warn('[Eureka AI] Failed to update timezone:', error);
+      }
+    }
+
+    /**
+     * Query string that lets /api/user/usage price each action for the open content
+     */
+    async getCostQuery() {
+      const stored = await chrome.storage.local.get(['currentContentInfo', 'quizSettings']);
+      const contentInfo = stored.currentContentInfo || {};
+      const contentChars = (contentInfo.transcript || contentInfo.text || '').length;
+      const questionCount = stored.quizSettings?.questionCount || 3;
+      return `?contentChars=${contentChars}&questionCount=${questionCount}`;
+    }
+
     async updateStatusCards(forceRefresh = false) {
       // Throttle updates to prevent too many API calls
       const now = Date.now();
@@ -134,7 +226,7 @@
         } else if (token) {
           try {
             // Fetch usage data
-            const usageResponse = await fetch(`${BACKEND_URL}/api/user/usage`, {
+            const usageResponse = await fetch(`${BACKEND_URL}/api/user/usage${await this.getCostQuery()}`, {
               method: 'GET',
               headers: {
                 'Authorization': `Bearer ${token}`,
@@ -146,10 +238,13 @@
               const data = await usageResponse.json();
               usage = {
                 enhancementsUsed: data.enhancementsUsed || 0,
-                enhancementsLimit: data.enhancementsLimit || 10
+                enhancementsLimit: data.enhancementsLimit || 10,
+                costs: data.costs || {},
+                nextResetAt: data.nextResetAt || null
               };
               subscriptionStatus = data.subscriptionStatus || 'freemium';
               this.cache.usage = usage;
+              this.syncTimezone(token, data.timezone);
             } else if (usageResponse.status === 429) {
               console.warn('[Eureka AI] Rate limited on usage API, using cache');
               if (this.cache.usage) {
@@ -247,7 +342,7 @@
         }
         
         // Update button states
-        this.updateButtonStates(usage.enhancementsUsed >= usage.enhancementsLimit);
+        this.updateButtonStates(usage);
       } catch (error) {
         console.error('Error updating status cards:', error);
         const enhancementsCountEl = document.getElementById('account-enhancements-count');
@@ -259,22 +354,32 @@
       }
     }
 
-    updateButtonStates(limitReached) {
-      const summarizeButton = document.getElementById('summarize-button');
-      const makeTestButton = document.getElementById('make-test-button');
-      
-      if (summarizeButton) {
-        summarizeButton.disabled = limitReached;
-        if (limitReached) {
-          summarizeButton.title = 'Daily limit reached. Reset tomorrow.';
-        }
-      }
-      if (makeTestButton) {
-        makeTestButton.disabled = limitReached;
-        if (limitReached) {
-          makeTestButton.title = 'Daily limit reached. Reset tomorrow.';
-        }
-      }
+    /**
+     * Show each action's credit cost on its button and disable actions the user can't afford
+     * @param {Object} usage - { enhancementsUsed, enhancementsLimit, costs, nextResetAt } (from /api/user/usage)
+     */
+    updateButtonStates(usage) {
+      const remaining = Math.max(0, (usage.enhancementsLimit || 0) - (usage.enhancementsUsed || 0));
+      const costs = usage.costs || {};
+      const countdown = this.formatResetCountdown();
+      const resetText = countdown ? `Resets in ${countdown}.` : 'Resets at midnight.';
+      const buttons = [
+        { id: 'summarize-button', action: 'summarize', label: 'Generate Summary' },
+        { id: 'make-test-button', action: 'quiz', label: 'Generate Quiz' },
+        { id: 'generate-flashcard-button', action: 'flashcards', label: 'Generate Flashcards' }
+      ];
+
+      buttons.forEach(({ id, action, label }) => {
+        const button = document.getElementById(id);
+        if (!button) return;
+
+        const cost = costs[action] ?? 1;
+        const limitReached = remaining < cost;
+        button.disabled = limitReached;
+        button.title = limitReached
+          ? `Needs ${cost} credit${cost === 1 ? '' : 's'}, ${remaining} left today. ${resetText}`
+          : `${label} (uses ${cost} credit${cost === 1 ? '' : 's'})`;
+      });
     }
 
     async checkUsageLimit() {
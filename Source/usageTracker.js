@@ -7,20 +7,20 @@
 const ENHANCEMENTS_LIMIT = 10; // Free tier limit
 
 /**
- * Gets the current UTC date string (YYYY-MM-DD format)
- * @returns {string} Current UTC date string
+ * Gets the current local date string (YYYY-MM-DD format)
+ * @returns {string} Current date in the browser's timezone
  */
-function getCurrentUTCDateString() {
+function getCurrentLocalDateString() {
   const now = new Date();
-  const year = now.getUTCFullYear();
-  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(now.getUTCDate()).padStart(2, '0');
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 }
 
 /**
  * Resets daily usage if the last reset date is not today
- * Uses UTC date to ensure consistency across timezones
+ * Uses the local date so usage resets at the user's midnight, like the backend
  * @returns {Promise<boolean>} True if reset occurred, false if already reset today
  */
 async function resetDailyUsageIfNeeded() {
@@ -32,7 +32,7 @@ async function resetDailyUsageIfNeeded() {
       lastResetDate: null
     };
 
-    const currentDate = getCurrentUTCDateString();
+    const currentDate = getCurrentLocalDateString();
     const lastResetDate = usage.lastResetDate;
 
     // Check if reset is needed
@@ -72,7 +72,7 @@ async function getUsage() {
     const usage = result.usage || {
       enhancementsUsed: 0,
       enhancementsLimit: ENHANCEMENTS_LIMIT,
-      lastResetDate: getCurrentUTCDateString()
+      lastResetDate: getCurrentLocalDateString()
     };
 
     // Ensure limit is set correctly
@@ -97,7 +97,7 @@ async function getUsage() {
     return {
       enhancementsUsed: 0,
       enhancementsLimit: ENHANCEMENTS_LIMIT,
-      lastResetDate: getCurrentUTCDateString()
+      lastResetDate: getCurrentLocalDateString()
     };
   }
 }
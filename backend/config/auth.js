@@ -80,3 +80,19 @@ export const authenticate = (req, res, next) => {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 };
+
+/**
+ * Middleware to restrict a route to administrators
+ * Admins are listed by email in ADMIN_EMAILS (comma-separated). Use after authenticate.
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user?.email || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
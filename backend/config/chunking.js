@@ -0,0 +1,176 @@
+/**
+ * Content Chunking Utilities
+ * Splits long transcripts, PDFs and articles into labelled sections along
+ * their natural boundaries (timestamps, pages, headings)
+ */
+
+// "[1:23]", "[01:02:03]" anywhere, or "1:23" / "1:02:03" at the start of a line
+const TIMESTAMP_PATTERN = /(?:\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]|^\s*((?:\d{1,2}:)?\d{1,2}:\d{2})(?=\s))/gm;
+
+// "[Page 3]" markers added by the PDF extractors
+const PAGE_PATTERN = /\[Page (\d+)\]/g;
+
+// "[Slide 3]" markers added by the presentation parser (config/documents.js)
+const SLIDE_PATTERN = /\[Slide (\d+)\]/g;
+
+// Markdown-style headings ("## Heading")
+const HEADING_PATTERN = /(?:^|\n)[ \t]*#{1,6}[ \t]+([^\n]+)/g;
+
+export const DEFAULT_CHUNK_CHARS = 12000; // ~3000 tokens
+
+/**
+ * Split text at every match of a marker pattern
+ * @param {string} text - Source text
+ * @param {RegExp} pattern - Global pattern; the first non-empty capture group is the marker value
+ * @returns {Array<{marker: string|null, text: string}>} Sections in order
+ */
+function splitOnMarkers(text, pattern) {
+  const sections = [];
+  const matches = [...text.matchAll(pattern)];
+
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const preamble = text.slice(0, matches[0].index).trim();
+  if (preamble) {
+    sections.push({ marker: null, text: preamble });
+  }
+
+  matches.forEach((match, i) => {
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    const marker = match.slice(1).find(Boolean) || null;
+    sections.push({ marker: marker ? marker.trim() : null, text: text.slice(match.index, end).trim() });
+  });
+
+  return sections;
+}
+
+/**
+ * Split an oversized block at sentence boundaries
+ * @param {string} text - Text longer than maxChars
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {string[]}
+ */
+function splitBySentences(text, maxChars) {
+  const sentences = text.match(/[^.!?\n]+[.!?]*\s*/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    // A single run-on "sentence" longer than the limit is cut hard
+    if (sentence.length > maxChars) {
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        pieces.push(sentence.slice(i, i + maxChars).trim());
+      }
+      continue;
+    }
+    current += sentence;
+  }
+
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+  return pieces;
+}
+
+/**
+ * Split content into sections along its natural boundaries
+ * @param {string} text - Raw content text
+ * @param {string} contentType - 'video', 'pdf' or 'webpage'
+ * @returns {Array<{kind: string, marker: string|null, text: string}>}
+ */
+export function splitIntoSections(text, contentType = 'webpage') {
+  const strategies = contentType === 'video'
+    ? [['timestamp', TIMESTAMP_PATTERN]]
+    : contentType === 'pdf'
+      ? [['page', PAGE_PATTERN], ['heading', HEADING_PATTERN]]
+      : [['slide', SLIDE_PATTERN], ['heading', HEADING_PATTERN], ['page', PAGE_PATTERN]];
+
+  for (const [kind, pattern] of strategies) {
+    const sections = splitOnMarkers(text, pattern);
+    if (sections.length > 1) {
+      return sections.map(section => ({ kind, ...section }));
+    }
+  }
+
+  // No structure found - fall back to paragraphs
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => ({ kind: 'paragraph', marker: null, text: paragraph }));
+}
+
+/**
+ * Describe the span a chunk covers, e.g. "0:00-12:30", "Pages 4-7", "Slide 3" or a heading
+ */
+function describeRange(kind, first, last) {
+  if (!first) return null;
+  if (kind === 'page') {
+    return first === last || !last ? `Page ${first}` : `Pages ${first}-${last}`;
+  }
+  if (kind === 'slide') {
+    return first === last || !last ? `Slide ${first}` : `Slides ${first}-${last}`;
+  }
+  if (kind === 'timestamp') {
+    return first === last || !last ? first : `${first}-${last}`;
+  }
+  return first === last || !last ? first : `${first} … ${last}`;
+}
+
+/**
+ * Group content into chunks of at most maxChars, keeping sections intact where possible
+ * @param {string} text - Raw content text
+ * @param {Object} options
+ * @param {string} [options.contentType='webpage'] - 'video', 'pdf' or 'webpage'
+ * @param {number} [options.maxChars=DEFAULT_CHUNK_CHARS] - Maximum characters per chunk
+ * @returns {Array<{index: number, label: string|null, kind: string, start: string|null, text: string}>}
+ *   kind is the section kind ('timestamp', 'page', 'slide', 'heading' or 'paragraph') and
+ *   start the first marker in the chunk (timestamp, page or slide number, or heading)
+ */
+export function chunkContent(text, { contentType = 'webpage', maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const sections = splitIntoSections(text || '', contentType);
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text.trim()) {
+      chunks.push({
+        index: chunks.length,
+        label: describeRange(current.kind, current.firstMarker, current.lastMarker),
+        kind: current.kind,
+        start: current.firstMarker,
+        text: current.text.trim()
+      });
+    }
+    current = null;
+  };
+
+  for (const section of sections) {
+    const pieces = section.text.length > maxChars
+      ? splitBySentences(section.text, maxChars)
+      : [section.text];
+
+    for (const piece of pieces) {
+      if (current && current.text.length + piece.length + 1 > maxChars) {
+        flush();
+      }
+      if (!current) {
+        current = { kind: section.kind, firstMarker: section.marker, lastMarker: section.marker, text: '' };
+      }
+      current.text += (current.text ? '\n' : '') + piece;
+      if (section.marker) {
+        current.firstMarker = current.firstMarker || section.marker;
+        current.lastMarker = section.marker;
+      }
+    }
+  }
+  flush();
+
+  return chunks;
+}
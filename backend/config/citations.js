@@ -0,0 +1,131 @@
+/**
+ * Citations
+ * Numbers content passages ([S1], [S2], ...) in prompts so answers and
+ * summaries can cite them, then turns the markers the model used into
+ * citations the sidebar can link back to: a transcript timestamp, a PDF page
+ * or a section of the webpage
+ */
+
+import { chunkContent } from './chunking.js';
+
+// Characters per citable passage: small enough that a citation points somewhere specific
+export const CITATION_PASSAGE_CHARS = 1500;
+
+// Appended to the system prompt of routes whose content is numbered with numberPassages
+export const CITATION_INSTRUCTION = 'The content is split into numbered passages marked [S1], [S2] and so on. '
+  + 'After each statement based on the content, cite the passage it comes from with its marker, e.g. "... [S3]" or "... [S2][S5]". '
+  + 'Only use markers that appear in the content, and do not cite anything else.';
+
+// "[S1]" or a group such as "[S1, S3]"
+const MARKER_PATTERN = /([ \t]*)\[\s*(S\d+(?:\s*[,;]\s*S\d+)*)\s*\]/g;
+
+// Characters of passage text kept to find a section on the page again
+const QUOTE_CHARS = 120;
+
+/**
+ * Seconds from a "1:23" or "1:02:03" timestamp
+ */
+function timestampSeconds(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Start of a passage without markers, for finding it on the page again
+ */
+function passageQuote(text) {
+  const plain = text
+    .replace(/\[Page \d+\]/g, ' ')
+    .replace(/^[ \t]*#{1,6}[ \t]+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (plain.length <= QUOTE_CHARS) {
+    return plain;
+  }
+  const cut = plain.substring(0, QUOTE_CHARS);
+  const lastSpace = cut.lastIndexOf(' ');
+  return lastSpace > QUOTE_CHARS / 2 ? cut.substring(0, lastSpace) : cut;
+}
+
+/**
+ * Describe where a passage is in its content
+ * @returns {Object} { type: 'timestamp', seconds } | { type: 'page', page } | { type: 'slide', slide }
+ *   | { type: 'section', anchor, quote }, with a label
+ */
+function locatePassage(passage) {
+  if (passage.kind === 'timestamp') {
+    const start = passage.start || '0:00';
+    return { type: 'timestamp', label: start, seconds: timestampSeconds(start) };
+  }
+  if (passage.kind === 'page' && passage.start) {
+    return { type: 'page', label: `Page ${passage.start}`, page: Number(passage.start) };
+  }
+  if (passage.kind === 'slide' && passage.start) {
+    return { type: 'slide', label: `Slide ${passage.start}`, slide: Number(passage.start) };
+  }
+
+  const quote = passageQuote(passage.text);
+  const anchor = passage.kind === 'heading' ? passage.start : null;
+  const label = anchor || (quote.length > 40 ? `${quote.substring(0, 40).trim()}…` : quote);
+  return { type: 'section', label, anchor, quote };
+}
+
+/**
+ * Split one content item into citable passages
+ * @param {string} text - Content text (timestamps and "[Page N]" markers kept)
+ * @param {Object} [options]
+ * @param {string} [options.contentType='webpage'] - 'video', 'pdf' or 'webpage'
+ * @param {string} [options.source] - Source label (title or file name)
+ * @param {string} [options.sourceId] - Which content the sidebar sent ('content', 'upload' or 'page')
+ * @returns {Array<{source: string|null, sourceId: string|null, label: string|null, kind: string, start: string|null, text: string}>}
+ */
+export function splitIntoPassages(text, { contentType = 'webpage', source = null, sourceId = null } = {}) {
+  return chunkContent(text, { contentType, maxChars: CITATION_PASSAGE_CHARS })
+    .map(chunk => ({
+      source,
+      sourceId,
+      label: chunk.label,
+      kind: chunk.kind,
+      start: chunk.start,
+      text: chunk.text
+    }));
+}
+
+/**
+ * Number passages for a prompt
+ * Each passage gets a "[S1] (source - label)" header line.
+ * @param {Array<Object>} passages - From splitIntoPassages or retrievePassages
+ * @returns {{text: string, citations: Array<Object>}} Prompt text and one citation per passage, by marker
+ */
+export function numberPassages(passages) {
+  const citations = [];
+  const blocks = passages.map((passage, i) => {
+    const id = `S${i + 1}`;
+    citations.push({ id, source: passage.source || null, sourceId: passage.sourceId || null, ...locatePassage(passage) });
+
+    const heading = [passage.source, passage.label].filter(Boolean).join(' - ');
+    return `[${id}]${heading ? ` (${heading})` : ''}\n${passage.text}`;
+  });
+
+  return { text: blocks.join('\n\n'), citations };
+}
+
+/**
+ * Resolve the markers a response used
+ * Groups like "[S1, S3]" become "[S1][S3]" and markers that match no passage
+ * are removed, so every marker left in the text has a citation.
+ * @param {string} text - Model output
+ * @param {Array<Object>} citations - From numberPassages
+ * @returns {{text: string, citations: Array<Object>}} Cleaned text and the cited passages, in order of first use
+ */
+export function collectCitations(text, citations) {
+  const byId = new Map(citations.map(citation => [citation.id, citation]));
+  const used = new Map();
+
+  const cleaned = (text || '').replace(MARKER_PATTERN, (match, space, group) => {
+    const ids = group.split(/\s*[,;]\s*/).filter(id => byId.has(id));
+    ids.forEach(id => used.set(id, byId.get(id)));
+    return ids.length > 0 ? `${space}${ids.map(id => `[${id}]`).join('')}` : '';
+  });
+
+  return { text: cleaned, citations: [...used.values()] };
+}
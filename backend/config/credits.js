@@ -0,0 +1,169 @@
+/**
+ * Credit Costs
+ * Decides how many credits (enhancements) an action uses, so expensive work -
+ * vision models, long documents that need map-reduce, large quizzes - costs
+ * more than a short text answer
+ *
+ * Environment:
+ *   CREDIT_COSTS - JSON merged over DEFAULT_CREDIT_COSTS, e.g.
+ *                  {"routes": {"chat": 2}, "models": {"gpt-4o": 2}}
+ */
+
+import dotenv from 'dotenv';
+import { resolveModel } from './llm.js';
+import { DEFAULT_CHUNK_CHARS } from './chunking.js';
+import { MAX_CONTENT_CHARS } from './mapReduce.js';
+
+dotenv.config();
+
+export const DEFAULT_CREDIT_COSTS = {
+  // Base cost of each route
+  routes: {
+    summarize: 1,
+    quiz: 1,
+    qa: 1,
+    chat: 1,
+    flashcards: 1,
+    'process-file': 0, // Extracting PDF and document text is free; image descriptions pay the vision cost
+    'extract-pdf': 0 // Free for PDFs with a text layer; scanned PDFs pay per page read with OCR
+  },
+  // Extra credits when a vision model has to look at an image
+  vision: 1,
+  // Extra credits for content long enough to be condensed chunk by chunk. Every chunk
+  // is a model call, so the cost grows with the length up to MAX_CONTENT_CHARS
+  // (config/mapReduce.js); maxExtra can cap it, null means no cap
+  longContent: {
+    creditsPerExtraChunk: 1,
+    maxExtra: null
+  },
+  // Extra credits for embedding long chat sources for retrieval; each content item is
+  // embedded once and later turns about it use the kept index for free
+  embedding: {
+    charsPerCredit: 100000
+  },
+  // Credits for reading scanned PDF pages with OCR
+  ocrPages: {
+    pagesPerCredit: 5
+  },
+  // Extra credits for large quizzes
+  quizQuestions: {
+    included: 10,
+    questionsPerCredit: 10
+  },
+  // Extra credits per call on models that cost more to run
+  models: {
+    'gpt-4o': 1,
+    'gpt-4-turbo': 1,
+    'claude-3-5-sonnet-latest': 1
+  }
+};
+
+/**
+ * Merge override objects into defaults, one level of nesting deep
+ */
+function mergeCosts(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? { ...defaults[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+function loadCreditCosts() {
+  if (!process.env.CREDIT_COSTS) {
+    return DEFAULT_CREDIT_COSTS;
+  }
+  try {
+    return mergeCosts(DEFAULT_CREDIT_COSTS, JSON.parse(process.env.CREDIT_COSTS));
+  } catch (error) {
+    console.error('[Credits] CREDIT_COSTS is not valid JSON, using the defaults:', error.message);
+    return DEFAULT_CREDIT_COSTS;
+  }
+}
+
+export const CREDIT_COSTS = loadCreditCosts();
+
+/**
+ * Work out the credit cost of an action
+ * @param {string} route - summarize, quiz, qa, chat, flashcards, process-file or extract-pdf
+ * @param {Object} [details]
+ * @param {string} [details.task='text'] - 'vision' when an image is analyzed
+ * @param {number} [details.contentChars=0] - Length of content that is condensed with map-reduce
+ *   (one extra charge per chunk after the first)
+ * @param {number} [details.questionCount=0] - Number of quiz questions
+ * @param {number} [details.ocrPages=0] - Scanned PDF pages read with OCR
+ * @param {number} [details.embeddingChars=0] - Characters of chat sources to embed for retrieval
+ * @returns {{cost: number, breakdown: Array<{reason: string, credits: number}>}}
+ */
+export function estimateCreditCost(route, { task = 'text', contentChars = 0, questionCount = 0, ocrPages = 0, embeddingChars = 0 } = {}) {
+  const breakdown = [{ reason: route, credits: CREDIT_COSTS.routes[route] ?? 1 }];
+
+  if (task === 'vision') {
+    breakdown.push({ reason: 'image analysis', credits: CREDIT_COSTS.vision });
+  }
+
+  const { model } = resolveModel(route, task);
+  if (CREDIT_COSTS.models[model]) {
+    breakdown.push({ reason: `model ${model}`, credits: CREDIT_COSTS.models[model] });
+  }
+
+  // Content past MAX_CONTENT_CHARS is never read, so it is not charged
+  const chunks = Math.ceil(Math.min(contentChars, MAX_CONTENT_CHARS) / DEFAULT_CHUNK_CHARS);
+  if (chunks > 1) {
+    const { creditsPerExtraChunk, maxExtra } = CREDIT_COSTS.longContent;
+    const extra = (chunks - 1) * creditsPerExtraChunk;
+    breakdown.push({
+      reason: `long content (${chunks} parts)`,
+      credits: maxExtra == null ? extra : Math.min(maxExtra, extra)
+    });
+  }
+
+  const { included, questionsPerCredit } = CREDIT_COSTS.quizQuestions;
+  if (questionCount > included) {
+    breakdown.push({
+      reason: `${questionCount} questions`,
+      credits: Math.ceil((questionCount - included) / questionsPerCredit)
+    });
+  }
+
+  if (embeddingChars > 0) {
+    breakdown.push({
+      reason: `indexing ${embeddingChars} characters`,
+      credits: Math.ceil(embeddingChars / CREDIT_COSTS.embedding.charsPerCredit)
+    });
+  }
+
+  if (ocrPages > 0) {
+    breakdown.push({
+      reason: `${ocrPages} scanned pages`,
+      credits: Math.ceil(ocrPages / CREDIT_COSTS.ocrPages.pagesPerCredit)
+    });
+  }
+
+  const charged = breakdown.filter(item => item.credits > 0);
+  return {
+    cost: charged.reduce((sum, item) => sum + item.credits, 0),
+    breakdown: charged
+  };
+}
+
+/**
+ * Costs of the sidebar's actions for the current content, shown before the user clicks
+ * @param {Object} [details]
+ * @param {number} [details.contentChars=0] - Length of the current content
+ * @param {number} [details.questionCount] - Question count chosen in the Quiz tab
+ * @returns {Object<string, number>} Credits per action
+ */
+export function actionCreditCosts({ contentChars = 0, questionCount = 0 } = {}) {
+  return {
+    summarize: estimateCreditCost('summarize', { contentChars }).cost,
+    quiz: estimateCreditCost('quiz', { contentChars, questionCount }).cost,
+    flashcards: estimateCreditCost('flashcards', { contentChars }).cost,
+    qa: estimateCreditCost('qa').cost,
+    chat: estimateCreditCost('chat').cost,
+    chatWithImage: estimateCreditCost('chat', { task: 'vision' }).cost,
+    processImage: estimateCreditCost('process-file', { task: 'vision' }).cost
+  };
+}
@@ -1,34 +1,54 @@
 /**
  * Database Configuration
- * PostgreSQL connection pool setup
+ * PostgreSQL connection pool setup, or an embedded in-memory database for
+ * local development, demos and tests (config/embeddedDatabase.js)
+ *
+ * Environment:
+ *   DATABASE_ENGINE - postgres | memory (default: postgres)
+ *   DATABASE_URL    - PostgreSQL connection string (postgres engine only)
  */
 
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { createEmbeddedPool } from './embeddedDatabase.js';
 
 dotenv.config();
 
 const { Pool } = pg;
 
+const DATABASE_ENGINES = ['postgres', 'memory'];
+
+export const DATABASE_ENGINE = process.env.DATABASE_ENGINE?.trim() || 'postgres';
+
+if (!DATABASE_ENGINES.includes(DATABASE_ENGINE)) {
+  throw new Error(`Unknown DATABASE_ENGINE "${DATABASE_ENGINE}". Supported engines: ${DATABASE_ENGINES.join(', ')}`);
+}
+
+// An in-memory database only exists in this process
+export const IN_MEMORY_DATABASE = DATABASE_ENGINE === 'memory';
+
 // Create connection pool
-export const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? {
-    rejectUnauthorized: false
-  } : false,
-  max: 20, // Maximum number of clients in the pool
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
-});
+export const pool = IN_MEMORY_DATABASE
+  ? await createEmbeddedPool()
+  : new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? {
+      rejectUnauthorized: false
+    } : false,
+    max: 20, // Maximum number of clients in the pool
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 2000,
+  });
 
 // Test connection
 pool.on('connect', () => {
   console.log('Database connection established');
 });
 
+// The pool drops the broken client and opens a new one for the next query,
+// so a database restart or network blip does not need to stop the server
 pool.on('error', (err) => {
   console.error('Unexpected error on idle client', err);
-  process.exit(-1);
 });
 
 // Helper function to execute queries
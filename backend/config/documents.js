@@ -0,0 +1,397 @@
+/**
+ * Document Parsers
+ * Extracts text from uploaded Word documents, PowerPoint slides, EPUB e-books,
+ * Markdown, plain text and CSV files for /api/process-file. Structure is kept in
+ * the form config/chunking.js splits on: "#" headings and "[Slide N]" markers.
+ */
+
+export const DOCUMENT_FORMATS = {
+  docx: {
+    label: 'Word document',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx']
+  },
+  pptx: {
+    label: 'PowerPoint presentation',
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    extensions: ['.pptx']
+  },
+  epub: {
+    label: 'EPUB e-book',
+    mimeType: 'application/epub+zip',
+    extensions: ['.epub']
+  },
+  markdown: {
+    label: 'Markdown file',
+    mimeType: 'text/markdown',
+    extensions: ['.md', '.markdown']
+  },
+  text: {
+    label: 'Text file',
+    mimeType: 'text/plain',
+    extensions: ['.txt']
+  },
+  csv: {
+    label: 'CSV file',
+    mimeType: 'text/csv',
+    extensions: ['.csv']
+  }
+};
+
+/**
+ * Error for a file that cannot be read (corrupt, encrypted or empty)
+ */
+function invalidDocument(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Import an optional parsing library
+ */
+async function loadLibrary(name) {
+  try {
+    return (await import(name)).default;
+  } catch (error) {
+    throw new Error(`Document parsing library not available. Please install ${name}: npm install ${name}`);
+  }
+}
+
+/**
+ * Detect the format of an uploaded file
+ * The extension wins: browsers report Markdown and CSV files with many different
+ * (or empty) MIME types.
+ * @param {string} filename - Original file name
+ * @param {string} mimeType - MIME type reported by the browser
+ * @returns {string|null} Key of DOCUMENT_FORMATS, or null if unsupported
+ */
+export function detectDocumentFormat(filename, mimeType) {
+  const name = (filename || '').toLowerCase();
+  for (const [format, { extensions }] of Object.entries(DOCUMENT_FORMATS)) {
+    if (extensions.some(extension => name.endsWith(extension))) {
+      return format;
+    }
+  }
+  for (const [format, definition] of Object.entries(DOCUMENT_FORMATS)) {
+    if (definition.mimeType === mimeType) {
+      return format;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode the XML/HTML entities that appear in document text
+ */
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Text of an inline HTML fragment on one line
+ */
+function inlineText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert HTML (or XHTML) to plain text, keeping headings as "#" lines and list items as "- " lines
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+  const text = body
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => {
+      const heading = inlineText(inner);
+      return heading ? `\n\n${'#'.repeat(Number(level))} ${heading}\n\n` : '';
+    })
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<\/(p|div|tr|table|ul|ol|blockquote|pre|section|article|figure)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Text of every paragraph (<a:p>) in a DrawingML fragment, one per line
+ */
+function drawingParagraphs(xml) {
+  return [...xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>|<a:p [^>]*>([\s\S]*?)<\/a:p>/g)]
+    .map(match => [...(match[1] ?? match[2]).matchAll(/<a:t>([^<]*)<\/a:t>|<a:t [^>]*>([^<]*)<\/a:t>/g)]
+      .map(run => decodeEntities(run[1] ?? run[2]))
+      .join('')
+      .trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve a relationship or manifest target against the part that references it
+ */
+function resolvePartPath(basePath, target) {
+  const parts = basePath.split('/').slice(0, -1);
+  for (const segment of decodeURIComponent(target.split('#')[0]).split('/')) {
+    if (segment === '..') {
+      parts.pop();
+    } else if (segment && segment !== '.') {
+      parts.push(segment);
+    }
+  }
+  return parts.join('/');
+}
+
+/**
+ * Relationship targets of a package part, by relationship id
+ * @returns {Promise<Map<string, {type: string, target: string}>>}
+ */
+async function readRelationships(zip, partPath) {
+  const segments = partPath.split('/');
+  const fileName = segments.pop();
+  const relsPath = [...segments, '_rels', `${fileName}.rels`].join('/');
+  const xml = await zip.file(relsPath)?.async('string');
+  const relationships = new Map();
+
+  for (const [tag] of (xml || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = tag.match(/\bId="([^"]+)"/)?.[1];
+    const target = tag.match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) {
+      relationships.set(id, {
+        type: tag.match(/\bType="([^"]+)"/)?.[1] || '',
+        target: resolvePartPath(partPath, target)
+      });
+    }
+  }
+  return relationships;
+}
+
+/**
+ * Open a ZIP-based document (DOCX, PPTX, EPUB)
+ */
+async function openPackage(buffer, label) {
+  const JSZip = await loadLibrary('jszip');
+  try {
+    return await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw invalidDocument(`Could not open the ${label}. The file may be corrupted or password-protected.`);
+  }
+}
+
+/**
+ * Word document: headings become "#" lines (via mammoth's HTML output)
+ */
+async function parseDocx(buffer) {
+  const mammoth = await loadLibrary('mammoth');
+  let result;
+  try {
+    result = await mammoth.convertToHtml({ buffer });
+  } catch (error) {
+    throw invalidDocument('Could not read the Word document. The file may be corrupted or password-protected.');
+  }
+
+  const text = htmlToText(result.value || '');
+  return { text, headings: (text.match(/^#{1,6} /gm) || []).length };
+}
+
+/**
+ * PowerPoint: a "[Slide N]" marker per slide, its title as a heading, the
+ * slide text and the speaker notes
+ */
+async function parsePptx(buffer) {
+  const zip = await openPackage(buffer, 'presentation');
+
+  // Slide order comes from presentation.xml, not from the file names
+  const presentationPath = 'ppt/presentation.xml';
+  const presentation = await zip.file(presentationPath)?.async('string');
+  if (!presentation) {
+    throw invalidDocument('Could not read the presentation. The file is not a valid .pptx file.');
+  }
+  const presentationRels = await readRelationships(zip, presentationPath);
+  const slidePaths = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+    .map(match => presentationRels.get(match[1])?.target)
+    .filter(path => path && zip.file(path));
+
+  const slides = [];
+  for (const [i, slidePath] of slidePaths.entries()) {
+    const xml = await zip.file(slidePath).async('string');
+    const shapes = xml.match(/<p:sp>[\s\S]*?<\/p:sp>|<p:sp [^>]*>[\s\S]*?<\/p:sp>/g) || [];
+    const titleShape = shapes.find(shape => /<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(shape));
+    const title = titleShape ? drawingParagraphs(titleShape).join(' ') : '';
+    const body = drawingParagraphs(titleShape ? xml.replace(titleShape, '') : xml);
+
+    // Speaker notes are the body placeholder of the slide's notes page
+    let notes = [];
+    const notesTarget = [...(await readRelationships(zip, slidePath)).values()]
+      .find(relationship => relationship.type.endsWith('/notesSlide'))?.target;
+    const notesXml = notesTarget ? await zip.file(notesTarget)?.async('string') : null;
+    if (notesXml) {
+      const notesShapes = notesXml.match(/<p:sp>[\s\S]*?<\/p:sp>|<p:sp [^>]*>[\s\S]*?<\/p:sp>/g) || [];
+      notes = notesShapes
+        .filter(shape => /<p:ph\b[^>]*type="body"/.test(shape))
+        .flatMap(drawingParagraphs);
+    }
+
+    const lines = [`[Slide ${i + 1}]`];
+    if (title) lines.push(`## ${title}`);
+    lines.push(...body);
+    if (notes.length > 0) lines.push(`Speaker notes: ${notes.join(' ')}`);
+    slides.push(lines.join('\n'));
+  }
+
+  return { text: slides.join('\n\n'), slides: slides.length };
+}
+
+/**
+ * EPUB: chapters in reading order (the OPF spine), each starting with its heading
+ */
+async function parseEpub(buffer) {
+  const zip = await openPackage(buffer, 'e-book');
+
+  const container = await zip.file('META-INF/container.xml')?.async('string');
+  const opfPath = container?.match(/<rootfile\b[^>]*full-path="([^"]+)"/)?.[1];
+  const opf = opfPath ? await zip.file(opfPath)?.async('string') : null;
+  if (!opf) {
+    throw invalidDocument('Could not read the e-book. The file is not a valid EPUB file.');
+  }
+
+  const manifest = new Map();
+  for (const [tag] of opf.matchAll(/<item\b[^>]*>/g)) {
+    const id = tag.match(/\bid="([^"]+)"/)?.[1];
+    const href = tag.match(/\bhref="([^"]+)"/)?.[1];
+    if (id && href) {
+      manifest.set(id, resolvePartPath(opfPath, href));
+    }
+  }
+  const spine = [...opf.matchAll(/<itemref\b[^>]*\bidref="([^"]+)"/g)]
+    .map(match => manifest.get(match[1]))
+    .filter(path => path && zip.file(path));
+
+  const chapters = [];
+  for (const path of spine) {
+    const html = await zip.file(path).async('string');
+    let text = htmlToText(html);
+    if (!text) {
+      continue; // Cover images, blank pages
+    }
+    if (!/^#{1,6} /.test(text)) {
+      const title = inlineText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+      text = `# ${title || `Chapter ${chapters.length + 1}`}\n\n${text}`;
+    }
+    chapters.push(text);
+  }
+
+  const title = inlineText(opf.match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/)?.[1] || '');
+  return { text: chapters.join('\n\n'), chapters: chapters.length, title: title || undefined };
+}
+
+/**
+ * Parse CSV text into rows of fields (quoted fields may contain delimiters and line breaks)
+ */
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * CSV: one line per row with its column names, so rows still make sense when
+ * only some of them end up in a prompt
+ */
+function parseCsv(content) {
+  const firstLine = content.split('\n', 1)[0];
+  const delimiter = [',', ';', '\t']
+    .reduce((best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best));
+  const [header, ...records] = parseCsvRows(content, delimiter);
+  if (!header) {
+    return { text: '', rows: 0 };
+  }
+
+  const columns = header.map((name, i) => name.trim() || `Column ${i + 1}`);
+  const lines = [`Columns: ${columns.join(', ')}`];
+  records.forEach((record, i) => {
+    const fields = record
+      .map(value => value.replace(/\s+/g, ' ').trim())
+      .map((value, column) => (value ? `${columns[column] || `Column ${column + 1}`}: ${value}` : null))
+      .filter(Boolean);
+    lines.push(`Row ${i + 1}: ${fields.join(' | ')}`);
+  });
+
+  return { text: lines.join('\n'), rows: records.length };
+}
+
+/**
+ * Extract text from an uploaded document
+ * @param {string} format - Key of DOCUMENT_FORMATS (from detectDocumentFormat)
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} { text } plus what the format has: headings, slides, chapters
+ *   (and the book's title) or rows. Errors for unreadable files have `status: 400`.
+ */
+export async function parseDocument(format, buffer) {
+  switch (format) {
+    case 'docx':
+      return parseDocx(buffer);
+    case 'pptx':
+      return parsePptx(buffer);
+    case 'epub':
+      return parseEpub(buffer);
+    case 'markdown':
+    case 'text':
+    case 'csv': {
+      const content = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+      if (format === 'csv') {
+        return parseCsv(content);
+      }
+      return { text: content.trim() };
+    }
+    default:
+      throw invalidDocument(`Unsupported document format: ${format}`);
+  }
+}
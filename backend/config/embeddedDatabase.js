@@ -0,0 +1,233 @@
+/**
+ * Embedded Database
+ * An in-memory PostgreSQL emulation (pg-mem) behind the same pool interface as
+ * pg, so the backend runs for local development, demos and tests without a
+ * PostgreSQL server. The schema from config/schema.js is created at startup and
+ * demo users are added. Nothing is kept after the process stops.
+ *
+ * The emulation lacks a few PostgreSQL features the backend uses. Queries are
+ * rewritten before they run (see rewriteQuery), so the rest of the backend
+ * keeps one set of SQL. There is one process and no real transactions: BEGIN,
+ * COMMIT and ROLLBACK are accepted but do not isolate or undo anything.
+ *
+ * Environment:
+ *   DEMO_USERS_ENABLED  - Set to false to start without demo users (default: true)
+ *   DEMO_USER_PASSWORD  - Password of the demo users (default: demo1234)
+ */
+
+import { applySchema } from './schema.js';
+import { hashPassword } from './auth.js';
+
+// Accounts created at startup; add admin@demo.local to ADMIN_EMAILS to use the admin routes
+const DEMO_USERS = [
+  { email: 'student@demo.local', name: 'Demo Student', subscriptionStatus: 'freemium', limit: 10 },
+  { email: 'premium@demo.local', name: 'Demo Premium', subscriptionStatus: 'premium', limit: 999999 },
+  { email: 'classroom@demo.local', name: 'Demo Classroom', subscriptionStatus: 'freemium', limit: 10, moderationPolicy: 'strict' },
+  { email: 'admin@demo.local', name: 'Demo Admin', subscriptionStatus: 'premium', limit: 999999 }
+];
+
+// make_interval(<unit> => n) argument names and the interval units they stand for
+const INTERVAL_UNITS = {
+  years: 'years',
+  months: 'months',
+  weeks: 'weeks',
+  days: 'days',
+  hours: 'hours',
+  mins: 'minutes',
+  secs: 'seconds'
+};
+
+/**
+ * Wall-clock date and time of an instant in a timezone, as a UTC Date
+ * (how the emulation stores a timestamp without time zone)
+ */
+function toLocalTime(instant, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, instant.getUTCMilliseconds()));
+}
+
+/**
+ * The instant a wall-clock time in a timezone happens
+ * The offset is measured twice so times next to a DST change come out right.
+ */
+function fromLocalTime(wallClock, timezone) {
+  const firstGuess = new Date(wallClock.getTime() - (toLocalTime(wallClock, timezone) - wallClock));
+  return new Date(wallClock.getTime() - (toLocalTime(firstGuess, timezone) - firstGuess));
+}
+
+/**
+ * Index just past the parenthesized group that starts at `start`
+ */
+function closingParen(sql, start) {
+  let depth = 0;
+  for (let i = start; i < sql.length; i++) {
+    if (sql[i] === '(') depth++;
+    if (sql[i] === ')' && --depth === 0) return i + 1;
+  }
+  return sql.length;
+}
+
+/**
+ * Index of the parenthesized group that ends just before `end`
+ */
+function openingParen(sql, end) {
+  let depth = 0;
+  for (let i = end - 1; i >= 0; i--) {
+    if (sql[i] === ')') depth++;
+    if (sql[i] === '(' && --depth === 0) return i;
+  }
+  return 0;
+}
+
+/**
+ * Rewrite `<value> AT TIME ZONE <zone>` as a function call
+ * A timestamp without time zone (`...)::timestamp`) is a wall-clock time to
+ * turn into an instant; anything else is an instant to turn into wall-clock time.
+ */
+function rewriteAtTimeZone(sql) {
+  const keyword = /\s+AT TIME ZONE\s+/i;
+  let match;
+  while ((match = sql.match(keyword))) {
+    const before = sql.substring(0, match.index);
+
+    let valueStart;
+    if (/\)::timestamp$/i.test(before)) {
+      valueStart = openingParen(sql, before.length - '::timestamp'.length);
+    } else {
+      valueStart = before.search(/(?:CURRENT_TIMESTAMP|NOW\(\)|[\w.]+)$/i);
+    }
+    const fromLocal = /::timestamp$/i.test(before);
+
+    const zoneStart = match.index + match[0].length;
+    const rest = sql.substring(zoneStart);
+    let zoneEnd;
+    if (/^\w+\(/.test(rest)) {
+      zoneEnd = closingParen(sql, zoneStart + rest.indexOf('('));
+    } else {
+      zoneEnd = zoneStart + rest.match(/^(?:'[^']*'|[\w.$]+)/)[0].length;
+    }
+
+    const value = sql.substring(valueStart, match.index);
+    const zone = sql.substring(zoneStart, zoneEnd);
+    const call = `${fromLocal ? 'embedded_from_local_time' : 'embedded_to_local_time'}(${value}, ${zone})`;
+    sql = sql.substring(0, valueStart) + call + sql.substring(zoneEnd);
+  }
+  return sql;
+}
+
+/**
+ * Translate PostgreSQL the emulation does not support
+ * - FOR UPDATE SKIP LOCKED: dropped; there is only one process
+ * - make_interval(days => $1): a text-to-interval cast
+ * - AT TIME ZONE: the embedded_to_local_time / embedded_from_local_time functions
+ * - <column>_date::text: the embedded_date_text function (dates cannot be cast to text)
+ * - DEFAULT CURRENT_TIMESTAMP: the embedded_now function (the emulation works the
+ *   default out once and gives every later row the same time)
+ * @param {string} text - SQL
+ * @returns {string}
+ */
+export function rewriteQuery(text) {
+  let sql = text.replace(/\s+FOR UPDATE SKIP LOCKED/gi, '');
+  sql = sql.replace(/make_interval\(\s*(\w+)\s*=>\s*([^)]+?)\s*\)/gi, (match, unit, value) => {
+    const intervalUnit = INTERVAL_UNITS[unit.toLowerCase()];
+    if (!intervalUnit) {
+      throw new Error(`The embedded database does not support make_interval(${unit} => ...)`);
+    }
+    return `(CAST((${value}) AS TEXT) || ' ${intervalUnit}')::interval`;
+  });
+  sql = sql.replace(/DEFAULT CURRENT_TIMESTAMP/gi, 'DEFAULT embedded_now()');
+  sql = sql.replace(/\b(\w+_date)::text\b/gi, 'embedded_date_text($1)');
+  return /AT TIME ZONE/i.test(sql) ? rewriteAtTimeZone(sql) : sql;
+}
+
+/**
+ * Run queries through rewriteQuery
+ */
+function withRewrites(target) {
+  const originalQuery = target.query.bind(target);
+  target.query = (text, params) => originalQuery(typeof text === 'string' ? rewriteQuery(text) : text, params);
+  return target;
+}
+
+/**
+ * Add the demo users
+ */
+async function seedDemoUsers(pool) {
+  const password = process.env.DEMO_USER_PASSWORD || 'demo1234';
+  const passwordHash = await hashPassword(password);
+
+  for (const user of DEMO_USERS) {
+    await pool.query(
+      `INSERT INTO users (email, password_hash, name, enhancements_used, enhancements_limit, subscription_status, moderation_policy)
+       VALUES ($1, $2, $3, 0, $4, $5, $6)
+       ON CONFLICT (email) DO NOTHING`,
+      [user.email, passwordHash, user.name, user.limit, user.subscriptionStatus, user.moderationPolicy || null]
+    );
+  }
+  console.log(`[EmbeddedDatabase] Demo users (password "${password}"): ${DEMO_USERS.map(user => user.email).join(', ')}`);
+}
+
+/**
+ * Create the in-memory database with the schema and demo users
+ * @returns {Promise<Object>} A pg-compatible pool (query, connect, on, end)
+ */
+export async function createEmbeddedPool() {
+  let pgMem;
+  try {
+    pgMem = await import('pg-mem');
+  } catch (error) {
+    throw new Error('The embedded database needs pg-mem. Please install it: npm install --save-dev pg-mem');
+  }
+
+  const { newDb, DataType } = pgMem;
+  const db = newDb();
+
+  db.public.registerFunction({
+    name: 'embedded_now',
+    returns: DataType.timestamptz,
+    implementation: () => new Date(),
+    impure: true
+  });
+  db.public.registerFunction({
+    name: 'embedded_to_local_time',
+    args: [DataType.timestamptz, DataType.text],
+    returns: DataType.timestamp,
+    implementation: (instant, timezone) => toLocalTime(instant, timezone)
+  });
+  db.public.registerFunction({
+    name: 'embedded_from_local_time',
+    args: [DataType.timestamp, DataType.text],
+    returns: DataType.timestamptz,
+    implementation: (wallClock, timezone) => fromLocalTime(wallClock, timezone)
+  });
+
+  db.public.registerFunction({
+    name: 'embedded_date_text',
+    args: [DataType.date],
+    returns: DataType.text,
+    implementation: (date) => (date instanceof Date ? date.toISOString().substring(0, 10) : String(date))
+  });
+
+  const { Pool } = db.adapters.createPg();
+  const pool = withRewrites(new Pool());
+  const connect = pool.connect.bind(pool);
+  pool.connect = async () => withRewrites(await connect());
+
+  await applySchema(pool);
+  if (process.env.DEMO_USERS_ENABLED !== 'false') {
+    await seedDemoUsers(pool);
+  }
+
+  console.log('[EmbeddedDatabase] In-memory database ready (data is lost when the server stops)');
+  return pool;
+}
@@ -0,0 +1,204 @@
+/**
+ * Embedding Provider Configuration
+ * Turns text into vectors for retrieval (config/retrieval.js). Uses the OpenAI,
+ * Azure OpenAI or OpenAI-compatible embeddings endpoint when configured, and a
+ * local hashed bag-of-words embedding otherwise, so retrieval also works
+ * without any external service
+ *
+ * Environment:
+ *   EMBEDDING_PROVIDER  - openai | azure | openai-compatible | local
+ *                         (default: openai when OPENAI_API_KEY is set, otherwise local)
+ *   EMBEDDING_MODEL     - Embedding model (for Azure, the deployment name)
+ *
+ * Credentials and base URLs are the same as in config/llm.js.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-small',
+  azure: 'text-embedding-3-small',
+  'openai-compatible': 'nomic-embed-text',
+  local: 'hashed-bow-512'
+};
+
+// Texts sent per embeddings request
+const EMBEDDING_BATCH_SIZE = 64;
+
+// Dimensions of the local embedding
+const LOCAL_DIMENSIONS = 512;
+
+/**
+ * Call an endpoint that speaks the OpenAI embeddings protocol
+ * @returns {Promise<{vectors: number[][], usage: Object|null}>}
+ */
+async function callEmbeddingsEndpoint(label, url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`${label} embeddings error: ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  const vectors = [...data.data]
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+  return { vectors, usage: data.usage || null };
+}
+
+/**
+ * Split text into lowercase word tokens for the local embedding
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Hash a token to a dimension (FNV-1a)
+ */
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Local embedding: word and word-pair counts hashed into a fixed-size vector,
+ * log-scaled and normalized. Matches passages that share the question's words.
+ * @param {string} text
+ * @returns {number[]}
+ */
+function localEmbedding(text) {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const tokens = tokenize(text);
+
+  tokens.forEach((token, i) => {
+    const features = i > 0 ? [token, `${tokens[i - 1]} ${token}`] : [token];
+    for (const feature of features) {
+      const hash = hashToken(feature);
+      // The sign bit spreads collisions out instead of letting them pile up
+      vector[hash % LOCAL_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+    }
+  });
+
+  for (let i = 0; i < vector.length; i++) {
+    vector[i] = Math.sign(vector[i]) * Math.log1p(Math.abs(vector[i]));
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+const EMBEDDING_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    isConfigured: () => !!process.env.OPENAI_API_KEY,
+    async embed({ model, texts, signal }) {
+      const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+      return callEmbeddingsEndpoint('OpenAI', `${baseUrl}/embeddings`, {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+      }, { model, input: texts }, signal);
+    }
+  },
+
+  azure: {
+    label: 'Azure OpenAI',
+    isConfigured: () => !!(process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT),
+    async embed({ model, texts, signal }) {
+      const endpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '');
+      const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+      const url = `${endpoint}/openai/deployments/${encodeURIComponent(model)}/embeddings?api-version=${apiVersion}`;
+      return callEmbeddingsEndpoint('Azure OpenAI', url, {
+        'api-key': process.env.AZURE_OPENAI_API_KEY
+      }, { input: texts }, signal);
+    }
+  },
+
+  'openai-compatible': {
+    label: 'OpenAI-compatible server',
+    isConfigured: () => !!process.env.LLM_COMPATIBLE_BASE_URL,
+    async embed({ model, texts, signal }) {
+      const baseUrl = process.env.LLM_COMPATIBLE_BASE_URL.replace(/\/+$/, '');
+      const headers = process.env.LLM_COMPATIBLE_API_KEY
+        ? { 'Authorization': `Bearer ${process.env.LLM_COMPATIBLE_API_KEY}` }
+        : {};
+      return callEmbeddingsEndpoint('OpenAI-compatible server', `${baseUrl}/embeddings`, headers, { model, input: texts }, signal);
+    }
+  },
+
+  local: {
+    label: 'Local',
+    isConfigured: () => true,
+    async embed({ texts }) {
+      return { vectors: texts.map(localEmbedding), usage: null };
+    }
+  }
+};
+
+/**
+ * Resolve the embedding provider and model from environment config
+ * @returns {{provider: string, model: string}}
+ */
+export function resolveEmbeddingModel() {
+  const provider = process.env.EMBEDDING_PROVIDER?.trim()
+    || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+
+  if (!EMBEDDING_PROVIDERS[provider]) {
+    throw new Error(`Unknown embedding provider "${provider}". Supported providers: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+  }
+
+  const model = process.env.EMBEDDING_MODEL?.trim() || DEFAULT_EMBEDDING_MODELS[provider];
+  return { provider, model };
+}
+
+/**
+ * Embed texts with the configured provider
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the provider request
+ * @param {Function} [options.onUsage] - Called per request with { provider, model, promptTokens, completionTokens, estimated }
+ * @returns {Promise<number[][]>} One vector per text, in order
+ */
+export async function generateEmbeddings(texts, { signal, onUsage } = {}) {
+  const { provider, model } = resolveEmbeddingModel();
+  const adapter = EMBEDDING_PROVIDERS[provider];
+
+  if (!adapter.isConfigured()) {
+    throw new Error(`${adapter.label} embeddings are not configured`);
+  }
+
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const result = await adapter.embed({ model, texts: batch, signal });
+    vectors.push(...result.vectors);
+
+    if (onUsage && provider !== 'local') {
+      const promptTokens = result.usage?.prompt_tokens;
+      onUsage({
+        provider,
+        model,
+        promptTokens: promptTokens ?? Math.ceil(batch.join('').length / 4),
+        completionTokens: 0,
+        estimated: promptTokens === undefined
+      });
+    }
+  }
+
+  return vectors;
+}
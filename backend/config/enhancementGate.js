@@ -0,0 +1,246 @@
+/**
+ * Enhancement Gate
+ * Express middleware for AI routes: declares what a route costs and which plans
+ * may use it, then gives the handler one object (req.enhancement) that reserves,
+ * commits or releases the credits, writes the usage ledger and reports usage in
+ * the same shape on every route
+ */
+
+import { getUserUsage, reserveUsage, commitUsage, releaseUsage } from './usage.js';
+import { estimateCreditCost } from './credits.js';
+import { createUsageMeter, recordUsageEvent } from './usageLedger.js';
+
+/**
+ * Usage in the shape every AI route returns (success, limit and error responses)
+ * @param {Object} usage - From getUserUsage
+ */
+function formatUsage(usage) {
+  return {
+    enhancementsUsed: usage.enhancementsUsed,
+    enhancementsLimit: usage.enhancementsLimit,
+    remaining: Math.max(0, usage.enhancementsLimit - usage.enhancementsUsed),
+    nextResetAt: usage.nextResetAt
+  };
+}
+
+/**
+ * Current usage of a user, formatted for AI route responses
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>}
+ */
+export async function usageSnapshot(userId) {
+  return formatUsage(await getUserUsage(userId));
+}
+
+/**
+ * Create the per-request charge that requireEnhancement attaches as req.enhancement
+ * @param {Object} [job] - req.job when the route runs as a background job (config/jobs.js)
+ */
+function createEnhancement(route, userId, cost, body, job) {
+  let reservation = null;
+
+  // Ledger entry (config/usageLedger.js); handlers fill in details with describe()
+  const event = {
+    route,
+    contentType: body.contentType || null,
+    contentUrl: body.contentUrl || (body.videoId ? `https://www.youtube.com/watch?v=${body.videoId}` : null),
+    contentTitle: body.title || null,
+    meter: createUsageMeter()
+  };
+
+  async function currentUsage() {
+    try {
+      return await usageSnapshot(userId);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  async function release() {
+    if (reservation?.state !== 'reserved') {
+      return;
+    }
+    await releaseUsage(reservation);
+    await recordUsageEvent(userId, { ...event, credits: 0, status: 'failed' });
+  }
+
+  return {
+    route,
+
+    get cost() {
+      return cost;
+    },
+
+    // Pass as the onUsage option of model calls so their tokens reach the ledger
+    onUsage: event.meter.record,
+
+    /**
+     * Set ledger details known only after validation
+     * @param {Object} details - contentType, contentUrl and/or contentTitle
+     */
+    describe(details) {
+      for (const [key, value] of Object.entries(details)) {
+        if (value) {
+          event[key] = value;
+        }
+      }
+    },
+
+    /**
+     * Change the cost once the handler knows the size of the work (e.g. pages to OCR)
+     * Only has an effect before reserve().
+     * @param {number} credits
+     */
+    setCost(credits) {
+      if (!reservation) {
+        cost = credits;
+      }
+    },
+
+    /**
+     * Reserve the route's credits right before generating
+     * Sends the 403 (or 404) response itself when the user cannot afford it.
+     * @param {Object} res - Express response
+     * @returns {Promise<boolean>} False if a response was already sent
+     */
+    async reserve(res) {
+      if (cost <= 0) {
+        return true;
+      }
+
+      const result = await reserveUsage(userId, cost);
+      if (!result.success) {
+        res.status(result.error === 'User not found' ? 404 : 403).json({
+          error: result.error || 'Failed to reserve usage',
+          cost,
+          usage: result.usage ? formatUsage(result.usage) : undefined
+        });
+        return false;
+      }
+
+      reservation = result.reservation;
+      // A job stores its reservation so the credits can be released if the server stops mid-job
+      if (job) {
+        await job.trackReservation(reservation);
+      }
+      return true;
+    },
+
+    /**
+     * Check that the user could reserve the cost now, without reserving it
+     * Used before a request is stored as a background job; the job reserves when it runs.
+     * Sends the same 403 (or 404) response as reserve() when the user cannot afford it.
+     * @param {Object} res - Express response
+     * @returns {Promise<boolean>} False if a response was already sent
+     */
+    async checkCredits(res) {
+      if (cost <= 0) {
+        return true;
+      }
+
+      let usage;
+      try {
+        usage = formatUsage(await getUserUsage(userId));
+      } catch (error) {
+        res.status(404).json({ error: error.message || 'User not found' });
+        return false;
+      }
+      if (usage.remaining < cost) {
+        res.status(403).json({
+          // Same wording as reserveUsage
+          error: cost > 1
+            ? `This action needs ${cost} credits but only ${usage.remaining} are left today`
+            : 'Daily enhancement limit reached',
+          cost,
+          usage
+        });
+        return false;
+      }
+      return true;
+    },
+
+    /**
+     * Keep the reserved credits and record the action
+     * @param {Object} result - Response payload
+     * @returns {Promise<Object>} The payload with `cost` and `usage`
+     */
+    async complete(result) {
+      commitUsage(reservation);
+      await recordUsageEvent(userId, { ...event, credits: cost, status: 'completed' });
+      return { ...result, cost, usage: await currentUsage() };
+    },
+
+    /**
+     * Report a result served from the generation cache, which uses no credits
+     * @param {Object} result - Cached payload
+     * @returns {Promise<Object>} The payload with `cached`, `cost` and `usage`
+     */
+    async cached(result) {
+      await recordUsageEvent(userId, { ...event, credits: 0, status: 'cached' });
+      return { ...result, cached: true, cost: 0, usage: await currentUsage() };
+    },
+
+    /**
+     * Give back the reserved credits after a failed or aborted generation
+     * @returns {Promise<Object|undefined>} Usage after the refund, for the error response
+     */
+    async fail() {
+      await release();
+      return currentUsage();
+    },
+
+    release
+  };
+}
+
+/**
+ * Gate an AI route behind the user's credits and plan
+ * Use after authenticate (and after the upload middleware on file routes). The
+ * handler validates its input and checks the generation cache first, then calls
+ * `req.enhancement.reserve(res)` right before generating, so invalid requests
+ * and cache hits never use credits. Credits still reserved when the response
+ * closes (e.g. the handler threw) are released.
+ * @param {string} route - Route name used for credit costs and the usage ledger
+ * @param {Object} [options]
+ * @param {number|Function} [options.cost] - Credits, or `(req) => credits`;
+ *   defaults to the route's cost in config/credits.js
+ * @param {string[]} [options.plans] - Subscription statuses allowed to use the route (default: all)
+ * @returns {Function} Express middleware
+ */
+export function requireEnhancement(route, { cost, plans } = {}) {
+  return async (req, res, next) => {
+    const userId = req.user.userId;
+
+    try {
+      if (plans) {
+        const usage = await getUserUsage(userId);
+        if (!plans.includes(usage.subscriptionStatus)) {
+          return res.status(403).json({
+            error: 'Your plan does not include this feature',
+            requiredPlans: plans,
+            usage: formatUsage(usage)
+          });
+        }
+      }
+
+      const credits = typeof cost === 'function'
+        ? cost(req)
+        : (cost ?? estimateCreditCost(route).cost);
+
+      req.enhancement = createEnhancement(route, userId, credits, req.body || {}, req.job);
+      res.on('close', () => {
+        req.enhancement.release().catch(error => {
+          console.error(`[EnhancementGate] Failed to release ${route} credits:`, error.message);
+        });
+      });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      console.error(`[EnhancementGate] ${route} gate error:`, error);
+      return res.status(500).json({ error: 'Failed to check usage' });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,490 @@
+/**
+ * Fake LLM Provider
+ * Answers completions locally with deterministic output built from the request,
+ * so the AI routes can be run and tested without network access or an API key.
+ * Select it with LLM_PROVIDER=fake (or per route, e.g. LLM_QUIZ_PROVIDER=fake).
+ *
+ * The answer follows the format the prompt asks for: HTML summaries and notes
+ * citing the [S1] passages, quizzes in the quiz JSON schema with the requested
+ * question count, types and options, flashcard arrays, grades, and chat and Q&A
+ * replies quoting the passage closest to the question. Images get a
+ * description (or a transcription for OCR) derived from their bytes. Like a
+ * model that heeds the prompt's injection warning, it leaves out sentences
+ * (and titles) that instruct the model instead of repeating them, unless
+ * FAKE_LLM_FAULT=obey makes it follow them.
+ *
+ * Environment:
+ *   FAKE_LLM_LATENCY_MS   - Time each call takes, spread over the tokens when streaming (default: 0)
+ *   FAKE_LLM_FAULT        - error | rate-limit | malformed | empty | timeout: make calls fail
+ *                           (500, 429, output cut off mid-way, no output, never answer until aborted)
+ *                           obey: answer like a model that follows instructions in the content, writing
+ *                           what it demands and the images it links, to test the routes' defenses
+ *   FAKE_LLM_FAULT_ROUTES - Comma-separated routes the fault applies to (default: all)
+ *   FAKE_LLM_FAULT_COUNT  - Only the first N matching calls fail, the rest answer normally
+ *                           (default: all), e.g. 1 to test the quiz repair retry. The count
+ *                           starts again when the fault settings change (tests change them at runtime)
+ */
+
+import crypto from 'crypto';
+import { detectInjection } from './promptSafety.js';
+
+export const FAKE_LLM_FAULTS = ['error', 'rate-limit', 'malformed', 'empty', 'timeout', 'obey'];
+
+// Distractors for quiz options, used when the content has too few words of its own
+const FILLER_WORDS = ['quasar', 'lattice', 'meridian', 'obsidian', 'tundra', 'vortex', 'fjord', 'zenith', 'nebula', 'isotope'];
+
+// Words too common to quiz on or match questions with
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'also', 'because', 'been', 'before', 'being', 'between', 'both', 'could', 'does', 'doing',
+  'during', 'each', 'from', 'further', 'have', 'having', 'here', 'into', 'itself', 'just', 'more', 'most', 'only', 'other',
+  'over', 'same', 'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'under', 'until', 'very', 'were', 'what', 'when', 'where', 'which', 'while', 'with', 'would', 'your'
+]);
+
+const UNTRUSTED_BLOCK_PATTERN = /<untrusted_content[^>]*>\n?([\s\S]*?)\n?<\/untrusted_content>/g;
+
+const MARKDOWN_IMAGE_PATTERN = /!\[[^\]]*\]\([^)\s]+\)/g;
+
+// Calls that matched FAKE_LLM_FAULT_ROUTES so far, for FAKE_LLM_FAULT_COUNT, and the settings they were counted for
+let faultCalls = 0;
+let faultSettings = '';
+
+/**
+ * Error like the ones the real providers throw
+ */
+function providerError(message, status) {
+  const error = new Error(`Fake LLM API error: ${message}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Wait, stopping early when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    const timer = ms === Infinity ? null : setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * The fault this call should simulate, if any
+ */
+function currentFault(route) {
+  const fault = process.env.FAKE_LLM_FAULT?.trim();
+  if (!fault) {
+    return null;
+  }
+  if (!FAKE_LLM_FAULTS.includes(fault)) {
+    throw new Error(`Unknown FAKE_LLM_FAULT "${fault}". Supported faults: ${FAKE_LLM_FAULTS.join(', ')}`);
+  }
+
+  const routes = (process.env.FAKE_LLM_FAULT_ROUTES || '').split(',').map(value => value.trim()).filter(Boolean);
+  if (routes.length > 0 && !routes.includes(route)) {
+    return null;
+  }
+
+  const settings = [fault, process.env.FAKE_LLM_FAULT_ROUTES, process.env.FAKE_LLM_FAULT_COUNT].join('|');
+  if (settings !== faultSettings) {
+    faultSettings = settings;
+    faultCalls = 0;
+  }
+
+  faultCalls++;
+  const count = parseInt(process.env.FAKE_LLM_FAULT_COUNT, 10);
+  return Number.isInteger(count) && faultCalls > count ? null : fault;
+}
+
+/**
+ * Text of a message, with image parts left out
+ */
+function messageText(message) {
+  if (typeof message?.content === 'string') {
+    return message.content;
+  }
+  return (message?.content || [])
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * Image URLs in a message
+ */
+function messageImages(message) {
+  return Array.isArray(message?.content)
+    ? message.content.filter(part => part.type === 'image_url').map(part => part.image_url?.url || '')
+    : [];
+}
+
+/**
+ * Content from the <untrusted_content> blocks of a message, split into its [S1] passages
+ * Text without markers is one passage with no id.
+ * @returns {Array<{id: string|null, text: string}>}
+ */
+function contentPassages(text) {
+  const blocks = [...text.matchAll(UNTRUSTED_BLOCK_PATTERN)].map(match => match[1]);
+  const passages = [];
+
+  for (const block of blocks) {
+    const parts = block.split(/^\[(S\d+)\][^\n]*\n/m);
+    if (parts[0].trim()) {
+      passages.push({ id: null, text: parts[0].trim() });
+    }
+    for (let i = 1; i < parts.length; i += 2) {
+      passages.push({ id: parts[i], text: parts[i + 1].trim() });
+    }
+  }
+  return passages;
+}
+
+/**
+ * Sentences of the passages, each with the passage it came from
+ * @returns {Array<{text: string, id: string|null}>}
+ */
+function contentSentences(passages) {
+  return passages.flatMap(passage => (passage.text.match(/[^.!?\n]+[.!?]?(?:\s*\[S\d+\])*/g) || [])
+    .map(raw => ({
+      text: raw.replace(/^[\s\-*•]+/, '').replace(/\[S\d+\]/g, '').replace(/\s+/g, ' ').trim(),
+      // Condensed notes carry their markers inline
+      id: passage.id || raw.match(/\[(S\d+)\]/)?.[1] || null
+    }))
+    .filter(sentence => sentence.text.split(' ').length >= 4)
+    .map(sentence => ({ ...sentence, text: /[.!?]$/.test(sentence.text) ? sentence.text : `${sentence.text}.` })));
+}
+
+/**
+ * Lowercase words worth quizzing on or matching with
+ */
+function keywords(text) {
+  return (text.toLowerCase().match(/[\p{L}][\p{L}\p{N}'-]{3,}/gu) || []).filter(word => !STOP_WORDS.has(word));
+}
+
+/**
+ * The longest keyword of a sentence (the first one on ties)
+ */
+function keyword(sentence) {
+  return keywords(sentence).reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+}
+
+/**
+ * Whether text tries to instruct the model, or contains what the content asked it to write
+ * @param {string} text
+ * @param {Array<string>} demands - From detectInjection on the whole content
+ */
+function isInstruction(text, demands) {
+  const lowered = text.toLowerCase();
+  return detectInjection(text).suspected || demands.some(demand => lowered.includes(demand.toLowerCase()));
+}
+
+function cite(sentence) {
+  return sentence.id ? ` [${sentence.id}]` : '';
+}
+
+function shortHash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').substring(0, 12);
+}
+
+/**
+ * The text between a label and the next blank line, or between """ fences after it
+ */
+function labelledText(text, label) {
+  const fenced = text.match(new RegExp(`${label}:\\s*"""\\n([\\s\\S]*?)\\n"""`));
+  if (fenced) {
+    return fenced[1];
+  }
+  return text.match(new RegExp(`${label}: ([^\\n]+)`))?.[1] || '';
+}
+
+/**
+ * The words other quiz options can use, different from the answer and from each other
+ */
+function distractors(answer, sentences, content, count) {
+  const words = [...new Set(sentences.map(sentence => keyword(sentence.text)))]
+    .concat(FILLER_WORDS.filter(word => !content.toLowerCase().includes(word)))
+    .filter(word => word && word !== answer);
+  return [...new Set(words)].slice(0, count);
+}
+
+/**
+ * Put the answer at a position and the distractors around it
+ */
+function placeAnswer(answer, others, position) {
+  const options = [...others];
+  options.splice(position, 0, answer);
+  return options;
+}
+
+function fakeQuiz(system, sentences, content) {
+  const questionCount = parseInt(system.match(/"questions" must have exactly (\d+) items/)?.[1], 10) || 5;
+  const optionCount = parseInt(system.match(/exactly (\d+) different options/)?.[1], 10) || 4;
+  const types = (system.match(/Use only these question types: ([^\n]+?)(?:, mixed roughly evenly)?\n/)?.[1] || 'multiple-choice')
+    .split(',')
+    .map(type => type.trim());
+  const pool = sentences.length > 0
+    ? sentences
+    : [{ text: 'The content describes its topic in detail.', id: null }];
+
+  const questions = Array.from({ length: questionCount }, (_, i) => {
+    const sentence = pool[i % pool.length];
+    const answer = keyword(sentence.text) || 'topic';
+    const blanked = new RegExp(answer, 'i').test(sentence.text)
+      ? sentence.text.replace(new RegExp(answer, 'i'), '____')
+      : `${sentence.text} (____)`;
+    const others = distractors(answer, pool, content, optionCount - 1);
+    const common = { explanation: `The content says: "${sentence.text}"`, source: sentence.id };
+
+    switch (types[i % types.length]) {
+      case 'true-false': {
+        // Every other statement has its key word swapped, which makes it false
+        const swapped = i % 2 === 1 && others.length > 0;
+        return {
+          type: 'true-false',
+          question: swapped ? sentence.text.replace(new RegExp(answer, 'i'), others[0]) : sentence.text,
+          options: ['True', 'False'],
+          correctIndex: swapped ? 1 : 0,
+          ...common
+        };
+      }
+      case 'multi-select': {
+        const second = keyword(pool[(i + 1) % pool.length].text);
+        const inContent = [...new Set([answer, second, ...pool.map(item => keyword(item.text))].filter(Boolean))].slice(0, 2);
+        const fillers = FILLER_WORDS.filter(word => !content.toLowerCase().includes(word) && !inContent.includes(word));
+        const correct = inContent.length === 2 ? inContent : [answer, fillers.pop()];
+        return {
+          type: 'multi-select',
+          question: 'Which of these words appear in the content? (select all that apply)',
+          options: [...correct, ...fillers.slice(0, optionCount - 2)],
+          correctIndices: [0, 1],
+          ...common
+        };
+      }
+      case 'fill-blank':
+        return { type: 'fill-blank', question: blanked, answers: [answer], ...common };
+      case 'short-answer':
+        return {
+          type: 'short-answer',
+          question: `Explain what the content says about ${answer}.`,
+          answer: sentence.text,
+          rubric: `Mentions ${answer} and what the content says about it.`,
+          excerpt: sentence.text,
+          ...common
+        };
+      default: {
+        const position = i % optionCount;
+        return {
+          type: 'multiple-choice',
+          question: `Which word completes this statement: "${blanked}"`,
+          options: placeAnswer(answer, others, position),
+          correctIndex: position,
+          ...common
+        };
+      }
+    }
+  });
+
+  return JSON.stringify({ questions }, null, 2);
+}
+
+function fakeFlashcards(sentences) {
+  const cards = sentences.slice(0, 10).map(sentence => ({
+    question: `What does the content say about ${keyword(sentence.text) || 'this topic'}?`,
+    answer: sentence.text
+  }));
+  return JSON.stringify(cards, null, 2);
+}
+
+function fakeGrade(user) {
+  const answer = labelledText(user, 'Student answer');
+  const reference = labelledText(user, 'Source excerpt') || labelledText(user, 'Sample answer');
+  const expected = [...new Set(keywords(reference))];
+  const given = new Set(keywords(answer));
+  const score = expected.length > 0
+    ? Math.round(100 * expected.filter(word => given.has(word)).length / expected.length)
+    : 50;
+
+  return JSON.stringify({
+    score,
+    verdict: score >= 80 ? 'correct' : score >= 40 ? 'partially-correct' : 'incorrect',
+    feedback: `The answer mentions ${given.size > 0 ? [...given].slice(0, 3).join(', ') : 'nothing'} and covers ${score}% of the key words in the source.`,
+    citation: reference.split(/\s+/).slice(0, 6).join(' ') || null
+  });
+}
+
+function fakeNotes(system, sentences) {
+  const targetWords = parseInt(system.match(/at most about (\d+) words/)?.[1], 10) || 200;
+  const notes = [];
+  let words = 0;
+  for (const sentence of sentences) {
+    words += sentence.text.split(' ').length;
+    if (notes.length > 0 && words > targetWords) break;
+    notes.push(`- ${sentence.text}${cite(sentence)}`);
+  }
+  return notes.join('\n');
+}
+
+function fakeSummary(system, sentences, maxTokens, demands) {
+  const title = system.match(/Summarize this (?:video about |webpage "|PDF document ")([^"\n]+?)(?:"| for )/)?.[1];
+  const topic = title && !(demands && isInstruction(title, demands)) ? title : 'Summary';
+  const maxWords = Math.max(30, Math.floor(maxTokens * 0.75));
+  const paragraphs = [];
+  let words = 0;
+  for (const sentence of sentences) {
+    words += sentence.text.split(' ').length;
+    if (paragraphs.length > 0 && words > maxWords) break;
+    const term = keyword(sentence.text);
+    const text = paragraphs.length === 0 && term
+      ? sentence.text.replace(new RegExp(`\\b${term}\\b`, 'i'), match => `<strong>${match}</strong>`)
+      : sentence.text;
+    paragraphs.push(`${text}${cite(sentence)}`);
+  }
+  return `<h4>${topic}</h4>\n<p>${paragraphs.join(' ') || 'The content is empty.'}</p>`;
+}
+
+function fakeReply(question, sentences) {
+  const asked = new Set(keywords(question));
+  let best = null;
+  let bestScore = 0;
+  for (const sentence of sentences) {
+    const score = keywords(sentence.text).filter(word => asked.has(word)).length;
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  }
+
+  if (best) {
+    return `According to the content, ${best.text.charAt(0).toLowerCase()}${best.text.slice(1)}${cite(best)}`;
+  }
+  if (sentences.length > 0) {
+    return `The content does not say much about that. It starts with: ${sentences[0].text}${cite(sentences[0])}`;
+  }
+  return `You asked: "${question.trim()}". This is a reply from the fake LLM provider.`;
+}
+
+function fakeVision(prompt, images) {
+  const descriptions = images.map((url, i) => {
+    const type = url.match(/^data:([^;,]+)/)?.[1] || 'remote image';
+    return `Image ${i + 1}: a ${type} (${shortHash(url)}).`;
+  });
+  if (/transcribe/i.test(prompt)) {
+    return `# Page ${shortHash(images.join(''))}\n\nText transcribed by the fake LLM provider.`;
+  }
+  return `${descriptions.join(' ')} It shows a test picture described by the fake LLM provider.`;
+}
+
+/**
+ * Build the answer a prompt asks for
+ * @param {Array} messages - OpenAI-format messages
+ * @param {Object} options
+ * @param {string} [options.task] - 'text' or 'vision'
+ * @param {number} [options.maxTokens]
+ * @param {boolean} [options.obey] - Follow instructions in the content instead of the injection warning
+ * @returns {string}
+ */
+export function fakeResponse(messages, { task = 'text', maxTokens = 1500, obey = false } = {}) {
+  const system = messages.filter(message => message.role === 'system').map(messageText).join('\n');
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const user = messageText(lastUser);
+  const content = messages.map(messageText).join('\n');
+  const passages = messages.flatMap(message => contentPassages(messageText(message)));
+  let sentences = contentSentences(passages);
+  const images = messageImages(lastUser);
+
+  // What the content asks the model to write, with the images it asks to show
+  const obeyed = obey
+    ? [...detectInjection(...passages.map(passage => passage.text)).demands,
+      ...passages.flatMap(passage => passage.text.match(MARKDOWN_IMAGE_PATTERN) || [])].join(' ')
+    : '';
+
+  // The route warned that the content contains instructions (promptSafety.injectionWarning)
+  const demands = !obey && /looks like instructions to an AI/.test(system)
+    ? detectInjection(...passages.map(passage => passage.text)).demands
+    : null;
+  if (demands) {
+    sentences = sentences.filter(sentence => !isInstruction(sentence.text, demands));
+  }
+  if (obeyed) {
+    sentences = [{ text: obeyed, id: null }, ...sentences];
+  }
+
+  if (task === 'vision' && images.length > 0 && sentences.length === 0) {
+    return fakeVision(user, images);
+  }
+  if (/"questions": \[/.test(system)) {
+    return fakeQuiz(system, sentences, content);
+  }
+  if (/"score": 0-100/.test(system)) {
+    return fakeGrade(messageText(messages.find(message => message.role === 'user')));
+  }
+  if (/flashcard/i.test(system) && /JSON array/.test(system)) {
+    return fakeFlashcards(sentences);
+  }
+  if (/^You are condensing/.test(system)) {
+    return fakeNotes(system, sentences);
+  }
+  if (/^Summarize this/.test(system)) {
+    return fakeSummary(system, sentences, maxTokens, demands);
+  }
+
+  if (obeyed) {
+    return obeyed;
+  }
+  const question = user.replace(UNTRUSTED_BLOCK_PATTERN, '').replace(/^\s*Question:\s*/m, '');
+  return fakeReply(question, sentences);
+}
+
+/**
+ * Complete like a provider adapter, with the faults and latency from the environment
+ * @returns {Promise<{text: string, usage: Object}>}
+ */
+export async function fakeCompletion({ route, task, messages, maxTokens, signal, onToken }) {
+  const latency = parseInt(process.env.FAKE_LLM_LATENCY_MS, 10) || 0;
+  const fault = currentFault(route || 'default');
+
+  if (fault === 'timeout') {
+    await sleep(Infinity, signal);
+  }
+  if (fault === 'error') {
+    await sleep(latency, signal);
+    throw providerError('simulated server error', 500);
+  }
+  if (fault === 'rate-limit') {
+    await sleep(latency, signal);
+    throw providerError('Rate limit reached (simulated). Please try again in 20s.', 429);
+  }
+
+  let text = fakeResponse(messages, { task, maxTokens, obey: fault === 'obey' });
+  if (fault === 'malformed') {
+    text = text.substring(0, Math.floor(text.length / 2));
+  } else if (fault === 'empty') {
+    text = '';
+  }
+
+  if (onToken) {
+    const tokens = text.match(/\s*\S+/g) || [];
+    for (const token of tokens) {
+      await sleep(latency / tokens.length, signal);
+      onToken(token);
+    }
+  } else {
+    await sleep(latency, signal);
+  }
+
+  const prompt = messages.map(messageText).join('');
+  return {
+    text,
+    usage: { prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: Math.ceil(text.length / 4) }
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Generation Cache
+ * Shares generated summaries, quizzes and flashcards between users: results are
+ * stored under a hash of the normalized content, the task, its parameters and the
+ * prompt version, so the same video summarized twice is only paid for once
+ */
+
+import crypto from 'crypto';
+import { query } from './database.js';
+
+// Bump a task's version whenever its prompt or output format changes, so
+// results generated by the old prompt are no longer served
+export const PROMPT_VERSIONS = {
+  summarize: 4,
+  quiz: 3,
+  flashcards: 3
+};
+
+/**
+ * Eviction policy, reported by GET /api/admin/generation-cache
+ * - ttlDays: entries older than this are never served and are deleted
+ * - maxEntries: when exceeded, the least recently used entries are deleted
+ * - evictEveryMinutes: how often the eviction job runs
+ */
+export const GENERATION_CACHE_POLICY = {
+  enabled: process.env.GENERATION_CACHE_ENABLED !== 'false',
+  ttlDays: parseInt(process.env.GENERATION_CACHE_TTL_DAYS, 10) || 30,
+  maxEntries: parseInt(process.env.GENERATION_CACHE_MAX_ENTRIES, 10) || 20000,
+  evictEveryMinutes: parseInt(process.env.GENERATION_CACHE_EVICT_MINUTES, 10) || 60
+};
+
+/**
+ * Normalize content so whitespace differences still hit the cache
+ * Transcript timestamps are kept: results cite them, so the same words at other
+ * times must not share a result.
+ */
+function normalizeContent(text) {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Serialize with sorted keys so parameter order does not change the hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Build the cache key for a generation request
+ * @param {string} task - 'summarize', 'quiz' or 'flashcards'
+ * @param {string|string[]} content - Source content (several parts are hashed in order)
+ * @param {Object} params - Everything else that changes the output (reading level, language, options...)
+ * @returns {string} SHA-256 hex digest
+ */
+export function generationCacheKey(task, content, params = {}) {
+  const parts = (Array.isArray(content) ? content : [content]).map(normalizeContent);
+  return crypto.createHash('sha256')
+    .update(stableStringify({ task, version: PROMPT_VERSIONS[task] || 1, params, content: parts }))
+    .digest('hex');
+}
+
+/**
+ * Look up a cached result
+ * Cache failures are logged and treated as a miss so generation still works.
+ * @param {string} cacheKey - From generationCacheKey
+ * @returns {Promise<Object|null>} The stored result, or null on a miss
+ */
+export async function getCachedGeneration(cacheKey) {
+  if (!GENERATION_CACHE_POLICY.enabled) {
+    return null;
+  }
+
+  try {
+    const result = await query(
+      `UPDATE generation_cache
+       SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP
+       WHERE cache_key = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+       RETURNING task, result`,
+      [cacheKey, GENERATION_CACHE_POLICY.ttlDays]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    console.log(`[GenerationCache] Hit for ${result.rows[0].task} (${cacheKey.substring(0, 12)})`);
+    return result.rows[0].result;
+  } catch (error) {
+    console.error('[GenerationCache] Lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a generated result
+ * @param {string} cacheKey - From generationCacheKey
+ * @param {string} task - Task name, kept for the admin stats
+ * @param {Object} result - Response payload without per-user fields such as usage
+ */
+export async function saveCachedGeneration(cacheKey, task, result) {
+  if (!GENERATION_CACHE_POLICY.enabled) {
+    return;
+  }
+
+  try {
+    await query(
+      `INSERT INTO generation_cache (cache_key, task, prompt_version, result)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (cache_key) DO UPDATE
+       SET result = EXCLUDED.result, created_at = CURRENT_TIMESTAMP, last_hit_at = NULL, hit_count = 0`,
+      [cacheKey, task, PROMPT_VERSIONS[task] || 1, JSON.stringify(result)]
+    );
+  } catch (error) {
+    console.error('[GenerationCache] Save failed:', error.message);
+  }
+}
+
+/**
+ * Delete entries that are expired, from an old prompt version, or beyond maxEntries
+ * (least recently used first)
+ * @returns {Promise<{expired: number, outdated: number, overflow: number}>} Number of deleted entries per reason
+ */
+export async function evictGenerationCache() {
+  const expired = await query(
+    'DELETE FROM generation_cache WHERE created_at <= CURRENT_TIMESTAMP - make_interval(days => $1)',
+    [GENERATION_CACHE_POLICY.ttlDays]
+  );
+
+  let outdated = 0;
+  for (const [task, version] of Object.entries(PROMPT_VERSIONS)) {
+    const result = await query(
+      'DELETE FROM generation_cache WHERE task = $1 AND prompt_version <> $2',
+      [task, version]
+    );
+    outdated += result.rowCount;
+  }
+
+  const overflow = await query(
+    `DELETE FROM generation_cache WHERE cache_key IN (
+       SELECT cache_key FROM generation_cache
+       ORDER BY COALESCE(last_hit_at, created_at) DESC
+       OFFSET $1
+     )`,
+    [GENERATION_CACHE_POLICY.maxEntries]
+  );
+
+  const evicted = { expired: expired.rowCount, outdated, overflow: overflow.rowCount };
+  if (evicted.expired || evicted.outdated || evicted.overflow) {
+    console.log('[GenerationCache] Evicted entries:', evicted);
+  }
+  return evicted;
+}
+
+/**
+ * Run evictGenerationCache now and then every evictEveryMinutes
+ */
+export function scheduleGenerationCacheEviction() {
+  if (!GENERATION_CACHE_POLICY.enabled) {
+    return;
+  }
+
+  const run = () => evictGenerationCache().catch(error => {
+    console.error('[GenerationCache] Eviction failed:', error.message);
+  });
+
+  run();
+  setInterval(run, GENERATION_CACHE_POLICY.evictEveryMinutes * 60 * 1000).unref();
+}
+
+/**
+ * Cache size and hit statistics per task
+ * @returns {Promise<Object>} Policy, totals and per-task breakdown
+ */
+export async function getGenerationCacheStats() {
+  const result = await query(
+    `SELECT task, COUNT(*)::int AS entries, COALESCE(SUM(hit_count), 0)::int AS hits,
+            MIN(created_at) AS oldest, MAX(last_hit_at) AS last_hit
+     FROM generation_cache
+     GROUP BY task
+     ORDER BY task`
+  );
+
+  return {
+    policy: { ...GENERATION_CACHE_POLICY, promptVersions: PROMPT_VERSIONS },
+    entries: result.rows.reduce((sum, row) => sum + row.entries, 0),
+    hits: result.rows.reduce((sum, row) => sum + row.hits, 0),
+    tasks: result.rows
+  };
+}
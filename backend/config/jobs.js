@@ -0,0 +1,536 @@
+/**
+ * Background Jobs
+ * Long uploads and summaries can run as jobs instead of inside one HTTP request:
+ * the request is stored in the jobs table and answered with 202 and a job id, a
+ * worker runs the route's handlers against a response that records progress and
+ * the result, and clients poll GET /api/jobs/:id. Jobs live in Postgres, so
+ * queued jobs survive a restart and jobs that were running are started again.
+ *
+ * Environment:
+ *   JOBS_ENABLED       - Set to false to run every request synchronously (default: true)
+ *   JOB_CONCURRENCY    - Jobs run at the same time per server (default: 2)
+ *   JOB_POLL_SECONDS   - How often the worker looks for queued jobs (default: 2)
+ *   JOB_STALE_SECONDS  - A running job without a heartbeat for this long is requeued (default: 60)
+ *   JOB_MAX_ATTEMPTS   - Times a job is started before it fails for good (default: 2)
+ *   JOB_TTL_HOURS      - Finished jobs are deleted after this long (default: 24)
+ *   JOB_MAX_ACTIVE     - Queued and running jobs a user may have at once (default: 5)
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { pool, query, IN_MEMORY_DATABASE } from './database.js';
+import { releaseUsage } from './usage.js';
+
+export const JOB_POLICY = {
+  enabled: process.env.JOBS_ENABLED !== 'false',
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  pollSeconds: parseInt(process.env.JOB_POLL_SECONDS, 10) || 2,
+  staleSeconds: parseInt(process.env.JOB_STALE_SECONDS, 10) || 60,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 2,
+  ttlHours: parseInt(process.env.JOB_TTL_HOURS, 10) || 24,
+  maxActivePerUser: parseInt(process.env.JOB_MAX_ACTIVE, 10) || 5
+};
+
+// How often a running job reports its progress and checks for cancellation
+const HEARTBEAT_MS = 2000;
+
+const JOB_COLUMNS = 'id, type, status, progress, result, error, attempts, created_at, started_at, finished_at';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Job type -> the route's handlers (gate and handler) that run it
+const jobRoutes = new Map();
+
+// Job id -> JobResponse of the jobs running in this process
+const runningJobs = new Map();
+
+let workerTimer = null;
+let polling = false;
+
+/**
+ * Stand-in for the Express response while a route runs as a job
+ * Supports what the AI routes use: status().json(), Server-Sent Events (set,
+ * flushHeaders, write, end) and the 'close' event. Progress events go to
+ * onProgress; `finished` resolves with { ok, body } once the route responds.
+ */
+class JobResponse extends EventEmitter {
+  constructor(onProgress) {
+    super();
+    this.statusCode = 200;
+    this.writableEnded = false;
+    this.cancelled = false;
+    this.onProgress = onProgress;
+    this.outcome = null;
+    this.buffer = '';
+    this.finished = new Promise(resolve => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  set() {
+    return this;
+  }
+
+  flushHeaders() {}
+
+  write(chunk) {
+    this.buffer += chunk;
+    let boundary;
+    while ((boundary = this.buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = this.buffer.slice(0, boundary);
+      this.buffer = this.buffer.slice(boundary + 2);
+
+      const event = rawEvent.match(/^event: (.*)$/m)?.[1];
+      const data = rawEvent.match(/^data: (.*)$/m)?.[1];
+      if (!event || !data) continue;
+
+      if (event === 'progress') {
+        this.onProgress(JSON.parse(data));
+      } else if (event === 'done') {
+        this.outcome = { ok: true, body: JSON.parse(data) };
+      } else if (event === 'error') {
+        this.outcome = { ok: false, body: JSON.parse(data) };
+      }
+    }
+    return true;
+  }
+
+  json(body) {
+    this.outcome = { ok: this.statusCode < 400, body };
+    this.end();
+    return this;
+  }
+
+  end() {
+    if (this.writableEnded) {
+      return;
+    }
+    this.writableEnded = true;
+    this.resolveFinished(this.outcome || { ok: false, body: { error: 'The job ended without a result' } });
+    this.emit('close');
+  }
+
+  /**
+   * Stop the route like a client disconnect: its model calls are aborted and
+   * its reserved credits released
+   */
+  cancel() {
+    this.cancelled = true;
+    if (!this.writableEnded) {
+      this.emit('close');
+    }
+  }
+}
+
+/**
+ * Job as returned by the API
+ */
+function formatJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    progress: row.progress || null,
+    result: row.result || null,
+    error: row.error || null,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Store a request as a queued job
+ * @param {number} userId - User ID
+ * @param {string} type - Job type registered with jobRoute
+ * @param {Object} body - Request body
+ * @param {Object} [file] - Uploaded file (multer), stored with the job
+ * @returns {Promise<Object>} The job
+ */
+export async function submitJob(userId, type, body, file) {
+  const input = {
+    body,
+    file: file ? { originalname: file.originalname, mimetype: file.mimetype, size: file.size } : null
+  };
+
+  const result = await query(
+    `INSERT INTO jobs (id, user_id, type, input, file)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${JOB_COLUMNS}`,
+    [crypto.randomUUID(), userId, type, JSON.stringify(input), file?.buffer || null]
+  );
+
+  console.log(`[Jobs] Queued ${type} job ${result.rows[0].id} for user ${userId}`);
+  wakeWorker();
+  return formatJob(result.rows[0]);
+}
+
+/**
+ * Get one of a user's jobs
+ * @param {number} userId - User ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The job, or null if the user has no such job
+ */
+export async function getJob(userId, jobId) {
+  if (!UUID_PATTERN.test(jobId)) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT ${JOB_COLUMNS} FROM jobs WHERE id = $1 AND user_id = $2`,
+    [jobId, userId]
+  );
+  return result.rows[0] ? formatJob(result.rows[0]) : null;
+}
+
+/**
+ * A user's most recent jobs, newest first
+ * @param {number} userId - User ID
+ * @param {Object} [options]
+ * @param {boolean} [options.active=false] - Only queued and running jobs
+ * @returns {Promise<Object[]>}
+ */
+export async function listJobs(userId, { active = false } = {}) {
+  const result = await query(
+    `SELECT ${JOB_COLUMNS} FROM jobs
+     WHERE user_id = $1 ${active ? "AND status IN ('queued', 'running')" : ''}
+     ORDER BY created_at DESC
+     LIMIT 20`,
+    [userId]
+  );
+  return result.rows.map(formatJob);
+}
+
+/**
+ * Cancel a job
+ * A queued job is cancelled right away. A running job is stopped by the server
+ * running it (at its next heartbeat), which releases its credits.
+ * @param {number} userId - User ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The job, or null if the user has no such job
+ */
+export async function cancelJob(userId, jobId) {
+  if (!UUID_PATTERN.test(jobId)) {
+    return null;
+  }
+
+  const result = await query(
+    `UPDATE jobs
+     SET status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+         finished_at = CASE WHEN status = 'queued' THEN CURRENT_TIMESTAMP ELSE finished_at END,
+         file = CASE WHEN status = 'queued' THEN NULL ELSE file END,
+         cancel_requested = cancel_requested OR status = 'running'
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${JOB_COLUMNS}`,
+    [jobId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+  runningJobs.get(jobId)?.cancel();
+  return formatJob(result.rows[0]);
+}
+
+/**
+ * Number of a user's queued and running jobs
+ */
+async function countActiveJobs(userId) {
+  const result = await query(
+    "SELECT COUNT(*) AS count FROM jobs WHERE user_id = $1 AND status IN ('queued', 'running')",
+    [userId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Let a route run as a background job
+ * Registers the route's handlers for the worker and returns them behind a
+ * middleware that stores requests sent with `background: true` ("true" as a
+ * form field) as a job and answers 202 { job }. Other requests run as before.
+ * Nothing is stored for a request the route would reject: the input is
+ * validated, the route's gate middlewares (plan, input moderation) run and the
+ * user must be able to afford the cost before the job is queued. The job
+ * reserves its credits when it runs.
+ * Put it after the upload middleware so the uploaded file is stored with the job.
+ * @param {string} type - Job type, e.g. 'summarize'
+ * @param {Object} options
+ * @param {Function} [options.validate] - (req) => error message for a request the
+ *   handler would answer 400, or null
+ * @param {...Function} handlers - The route's requireEnhancement (and requireModeration) middleware and handler
+ * @returns {Function[]} Handlers for router.post(path, ...)
+ */
+export function jobRoute(type, { validate } = {}, ...handlers) {
+  jobRoutes.set(type, handlers);
+  const gates = handlers.slice(0, -1);
+
+  const queueRequest = async (req, res, next) => {
+    const background = req.body?.background === true || req.body?.background === 'true';
+    if (!background || !JOB_POLICY.enabled) {
+      return next();
+    }
+
+    try {
+      const invalid = validate?.(req);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      if (!await runHandlers(gates, req, res) || !await req.enhancement.checkCredits(res)) {
+        return;
+      }
+
+      if (await countActiveJobs(req.user.userId) >= JOB_POLICY.maxActivePerUser) {
+        return res.status(429).json({
+          error: `You already have ${JOB_POLICY.maxActivePerUser} jobs in progress. Wait for one to finish or cancel one.`
+        });
+      }
+
+      const { background: _background, stream: _stream, ...body } = req.body;
+      const job = await submitJob(req.user.userId, type, body, req.file);
+      res.status(202).json({ job });
+    } catch (error) {
+      console.error(`[Jobs] Failed to queue ${type} job:`, error);
+      res.status(500).json({ error: 'Failed to queue the job' });
+    }
+  };
+
+  return [queueRequest, ...handlers];
+}
+
+/**
+ * Run route handlers in order, like Express does for one route
+ * @returns {Promise<boolean>} True if every handler passed the request on
+ */
+async function runHandlers(handlers, req, res) {
+  for (const handler of handlers) {
+    let nextCalled = false;
+    await handler(req, res, (error) => {
+      if (error) throw error;
+      nextCalled = true;
+    });
+    if (!nextCalled) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Record how a job ended
+ * Only a job that is still running is updated, so a cancelled or recovered job keeps its status.
+ */
+async function finishJob(jobId, status, body) {
+  await query(
+    `UPDATE jobs
+     SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP,
+         file = NULL, reservation = NULL
+     WHERE id = $1 AND status = 'running'`,
+    [jobId, status, JSON.stringify(body || null), status === 'completed' ? null : (body?.error || 'Job failed')]
+  );
+  console.log(`[Jobs] Job ${jobId} ${status}`);
+}
+
+/**
+ * Run a claimed job through its route's handlers
+ */
+async function runJob(row) {
+  let progress = null;
+  const res = new JobResponse((update) => {
+    progress = update;
+  });
+  const req = {
+    user: { userId: row.user_id },
+    body: row.input.body || {},
+    file: row.input.file ? { ...row.input.file, buffer: row.file } : undefined,
+    // Routes stream progress events, which become the job's progress
+    headers: { accept: 'text/event-stream' },
+    job: {
+      id: row.id,
+      trackReservation: (reservation) => pool.query(
+        'UPDATE jobs SET reservation = $2 WHERE id = $1',
+        [row.id, JSON.stringify(reservation)]
+      )
+    }
+  };
+
+  runningJobs.set(row.id, res);
+
+  // The heartbeat keeps the job from being treated as stale, saves its
+  // progress and picks up cancellations made on other servers
+  let reportedProgress = null;
+  const heartbeat = setInterval(async () => {
+    try {
+      const changed = progress !== reportedProgress ? progress : null;
+      reportedProgress = progress;
+      // pool.query: this runs every few seconds, so skip the per-query log
+      const result = await pool.query(
+        `UPDATE jobs SET heartbeat_at = CURRENT_TIMESTAMP, progress = COALESCE($2, progress)
+         WHERE id = $1 AND status = 'running'
+         RETURNING cancel_requested`,
+        [row.id, changed ? JSON.stringify(changed) : null]
+      );
+      if (result.rows.length === 0 || result.rows[0].cancel_requested) {
+        res.cancel();
+      }
+    } catch (error) {
+      console.error(`[Jobs] Heartbeat failed for job ${row.id}:`, error.message);
+    }
+  }, HEARTBEAT_MS);
+
+  try {
+    const handlers = jobRoutes.get(row.type);
+    if (!handlers) {
+      throw new Error(`Unknown job type: ${row.type}`);
+    }
+
+    await runHandlers(handlers, req, res);
+    res.end();
+    const outcome = await res.finished;
+    await finishJob(row.id, res.cancelled ? 'cancelled' : (outcome.ok ? 'completed' : 'failed'), outcome.body);
+  } catch (error) {
+    console.error(`[Jobs] ${row.type} job ${row.id} error:`, error);
+    res.cancel();
+    await finishJob(row.id, 'failed', { error: error.message || 'Job failed' }).catch(() => {});
+  } finally {
+    clearInterval(heartbeat);
+    runningJobs.delete(row.id);
+    wakeWorker();
+  }
+}
+
+/**
+ * Take the oldest queued job, if any
+ * SKIP LOCKED lets several servers claim jobs from the same table.
+ */
+async function claimJob() {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, progress = NULL,
+         started_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM jobs WHERE status = 'queued'
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING id, user_id, type, input, file, attempts`
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Requeue running jobs whose server stopped (no heartbeat for staleSeconds)
+ * Credits they had reserved are released first, so the next attempt does not
+ * charge twice. Jobs out of attempts fail; jobs being cancelled are cancelled.
+ */
+async function recoverStaleJobs() {
+  const result = await pool.query(
+    `WITH stale AS (
+       SELECT id, reservation FROM jobs
+       WHERE status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE jobs
+     SET status = CASE
+           WHEN jobs.cancel_requested THEN 'cancelled'
+           WHEN jobs.attempts < $2 THEN 'queued'
+           ELSE 'failed'
+         END,
+         error = CASE
+           WHEN jobs.cancel_requested OR jobs.attempts < $2 THEN NULL
+           ELSE 'The server stopped while the job was running'
+         END,
+         finished_at = CASE WHEN jobs.cancel_requested OR jobs.attempts >= $2 THEN CURRENT_TIMESTAMP END,
+         reservation = NULL
+     FROM stale
+     WHERE jobs.id = stale.id
+     RETURNING jobs.id, jobs.status, stale.reservation`,
+    [JOB_POLICY.staleSeconds, JOB_POLICY.maxAttempts]
+  );
+
+  for (const row of result.rows) {
+    console.log(`[Jobs] Job ${row.id} had no heartbeat, now ${row.status}`);
+    if (row.reservation) {
+      await releaseUsage({ ...row.reservation, state: 'reserved' });
+    }
+  }
+}
+
+/**
+ * Delete finished jobs older than ttlHours
+ * @returns {Promise<number>} Number of deleted jobs
+ */
+export async function evictFinishedJobs() {
+  const result = await query(
+    `DELETE FROM jobs
+     WHERE status IN ('completed', 'failed', 'cancelled')
+       AND finished_at < CURRENT_TIMESTAMP - make_interval(hours => $1)`,
+    [JOB_POLICY.ttlHours]
+  );
+  if (result.rowCount > 0) {
+    console.log(`[Jobs] Deleted ${result.rowCount} finished jobs`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * One worker pass: recover stale jobs, then start queued jobs up to the concurrency limit
+ */
+async function pollJobs() {
+  if (polling) {
+    return;
+  }
+  polling = true;
+  try {
+    // An in-memory database dies with its server, so it cannot hold jobs another server left running
+    if (!IN_MEMORY_DATABASE) {
+      await recoverStaleJobs();
+    }
+    while (runningJobs.size < JOB_POLICY.concurrency) {
+      const row = await claimJob();
+      if (!row) break;
+      // runningJobs is filled synchronously, so the loop sees the new job
+      runJob(row);
+    }
+  } catch (error) {
+    console.error('[Jobs] Worker error:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Look for queued jobs now instead of at the next poll
+ */
+function wakeWorker() {
+  if (workerTimer) {
+    setImmediate(pollJobs);
+  }
+}
+
+/**
+ * Start the job worker: polls every pollSeconds and deletes old jobs every hour
+ */
+export function startJobWorker() {
+  if (!JOB_POLICY.enabled || workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(pollJobs, JOB_POLICY.pollSeconds * 1000);
+  workerTimer.unref();
+  pollJobs();
+
+  const evict = () => evictFinishedJobs().catch(error => {
+    console.error('[Jobs] Eviction failed:', error.message);
+  });
+  evict();
+  setInterval(evict, 60 * 60 * 1000).unref();
+
+  console.log(`[Jobs] Worker started (${JOB_POLICY.concurrency} at a time)`);
+}
@@ -0,0 +1,63 @@
+/**
+ * Output Languages
+ * Lets users get study material in a language other than the source's,
+ * e.g. a Spanish summary of an English lecture
+ */
+
+export const OUTPUT_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  tr: 'Turkish',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  bn: 'Bengali',
+  zh: 'Chinese (Simplified)',
+  ja: 'Japanese',
+  ko: 'Korean',
+  vi: 'Vietnamese',
+  id: 'Indonesian'
+};
+
+// "auto" keeps the previous behavior: no language instruction in the prompt
+export const AUTO_LANGUAGE = 'auto';
+
+/**
+ * Read the output language sent by the client
+ * @param {string} [value] - Language code from the request body
+ * @returns {{language: {code: string, name: string}|null, error: string|null}}
+ *   language is null for "auto" (answer in the content's own language)
+ */
+export function resolveOutputLanguage(value) {
+  if (!value || value === AUTO_LANGUAGE) {
+    return { language: null, error: null };
+  }
+  if (!OUTPUT_LANGUAGES[value]) {
+    return { language: null, error: `outputLanguage must be "${AUTO_LANGUAGE}" or one of: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}` };
+  }
+  return { language: { code: value, name: OUTPUT_LANGUAGES[value] }, error: null };
+}
+
+/**
+ * Prompt instruction for the output language
+ * @param {{code: string, name: string}|null} language - Output of resolveOutputLanguage
+ * @param {Object} [options]
+ * @param {boolean} [options.json=false] - The response is JSON whose keys must stay in English
+ * @returns {string} Instruction to append to a system prompt (empty for "auto")
+ */
+export function languageInstruction(language, { json = false } = {}) {
+  if (!language) {
+    return '';
+  }
+  const base = `Write your entire response in ${language.name}, even if the content is in another language.`;
+  return json
+    ? `${base} Keep the JSON keys and "type" values exactly as shown in English, and write every text value in ${language.name}.`
+    : base;
+}
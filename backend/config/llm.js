@@ -0,0 +1,456 @@
+/**
+ * LLM Provider Configuration
+ * Routes chat completions to OpenAI, Anthropic, Azure OpenAI or any
+ * OpenAI-compatible server (Ollama, llama.cpp, vLLM, ...), or to a local fake
+ * provider for offline testing and demos (config/fakeLlm.js)
+ *
+ * Messages are always passed in the OpenAI chat format. Providers that use a
+ * different wire format translate them internally.
+ *
+ * Environment:
+ *   LLM_PROVIDER                 - openai | anthropic | azure | openai-compatible | fake (default: openai)
+ *   LLM_TEXT_MODEL               - Default model for text tasks
+ *   LLM_VISION_MODEL             - Default model for vision tasks
+ *   LLM_<ROUTE>_PROVIDER         - Provider override for one route (e.g. LLM_CHAT_PROVIDER)
+ *   LLM_<ROUTE>_MODEL            - Model override for one route
+ *   LLM_<ROUTE>_<TASK>_PROVIDER  - Provider override for one route and task (e.g. LLM_CHAT_VISION_PROVIDER)
+ *   LLM_<ROUTE>_<TASK>_MODEL     - Model override for one route and task
+ *
+ *   OPENAI_API_KEY, OPENAI_BASE_URL
+ *   ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL
+ *   AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_VERSION
+ *   LLM_COMPATIBLE_BASE_URL, LLM_COMPATIBLE_API_KEY
+ *   LLM_TIMEOUT_MS               - Abort a model call that takes longer than this (default: 120000)
+ *   FAKE_LLM_*                   - Latency and faults of the fake provider (see config/fakeLlm.js)
+ *
+ * For Azure the model name is the deployment name.
+ */
+
+import dotenv from 'dotenv';
+import { fakeCompletion } from './fakeLlm.js';
+
+dotenv.config();
+
+const TASKS = ['text', 'vision'];
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000;
+
+/**
+ * Default models per provider and task, used when no env override is set
+ */
+const DEFAULT_MODELS = {
+  openai: { text: 'gpt-3.5-turbo', vision: 'gpt-4o' },
+  azure: { text: 'gpt-35-turbo', vision: 'gpt-4o' },
+  anthropic: { text: 'claude-3-5-haiku-latest', vision: 'claude-3-5-sonnet-latest' },
+  'openai-compatible': { text: 'llama3.1', vision: 'llava' },
+  fake: { text: 'fake-text', vision: 'fake-vision' }
+};
+
+/**
+ * Route-specific defaults that differ from the provider defaults
+ * Keyed by provider, then route, then task
+ */
+const ROUTE_DEFAULT_MODELS = {
+  openai: {
+    'process-file': { vision: 'gpt-4-turbo' }
+  }
+};
+
+/**
+ * Convert a route name to its env var segment ("process-file" -> "PROCESS_FILE")
+ * @param {string} value - Route or task name
+ * @returns {string}
+ */
+function envKey(value) {
+  return String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+/**
+ * Return the first env var in the list that is set to a non-empty value
+ * @param {string[]} names - Env var names, most specific first
+ * @returns {string|undefined}
+ */
+function firstEnv(names) {
+  for (const name of names) {
+    const value = process.env[name];
+    if (value && value.trim()) {
+      return value.trim();
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolve provider and model for a route and task from environment config
+ * @param {string} route - Route name (summarize, quiz, qa, chat, flashcards, process-file)
+ * @param {string} task - 'text' or 'vision'
+ * @returns {{provider: string, model: string}}
+ */
+export function resolveModel(route, task = 'text') {
+  if (!TASKS.includes(task)) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const routeKey = route ? envKey(route) : null;
+  const taskKey = envKey(task);
+
+  const provider = firstEnv([
+    ...(routeKey ? [`LLM_${routeKey}_${taskKey}_PROVIDER`, `LLM_${routeKey}_PROVIDER`] : []),
+    `LLM_${taskKey}_PROVIDER`,
+    'LLM_PROVIDER'
+  ]) || 'openai';
+
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const model = firstEnv([
+    ...(routeKey ? [`LLM_${routeKey}_${taskKey}_MODEL`, `LLM_${routeKey}_MODEL`] : []),
+    `LLM_${taskKey}_MODEL`
+  ]) || ROUTE_DEFAULT_MODELS[provider]?.[route]?.[task] || DEFAULT_MODELS[provider][task];
+
+  return { provider, model };
+}
+
+/**
+ * Read the error body of a failed provider response
+ * @param {string} label - Provider label for the error message
+ * @param {Response} response - Fetch response
+ */
+async function throwProviderError(label, response) {
+  const errorText = await response.text();
+  const error = new Error(`${label} API error: ${errorText}`);
+  error.status = response.status;
+  throw error;
+}
+
+/**
+ * Parse a Server-Sent Events body, calling onData with each event's data payload
+ * @param {Response} response - Fetch response with a streaming body
+ * @param {Function} onData - Called with the raw data string of each event
+ */
+async function readEventStream(response, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+
+      if (data) {
+        onData(data);
+      }
+    }
+  }
+}
+
+/**
+ * Call an endpoint that speaks the OpenAI chat completions protocol
+ * Streams deltas to onToken when it is provided
+ * @returns {Promise<{text: string, usage: Object|null}>} usage is the provider's token count, when it reports one
+ */
+async function callOpenAIProtocol(label, url, headers, body, { signal, onToken } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(onToken ? { ...body, stream: true } : body),
+    signal
+  });
+
+  if (!response.ok) {
+    await throwProviderError(label, response);
+  }
+
+  if (!onToken) {
+    const data = await response.json();
+    return { text: data.choices[0].message.content, usage: data.usage || null };
+  }
+
+  let text = '';
+  let usage = null;
+  await readEventStream(response, (data) => {
+    if (data === '[DONE]') return;
+    const event = JSON.parse(data);
+    const delta = event.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onToken(delta);
+    }
+    // Sent in the last chunk when the request asks for stream_options.include_usage
+    if (event.usage) {
+      usage = event.usage;
+    }
+  });
+  return { text, usage };
+}
+
+/**
+ * Convert a provider's token usage to { promptTokens, completionTokens }
+ * Falls back to an estimate (about 4 characters per token) when the provider
+ * doesn't report usage, e.g. some OpenAI-compatible servers when streaming.
+ */
+function normalizeTokenUsage(usage, messages, text) {
+  const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens;
+  const completionTokens = usage?.completion_tokens ?? usage?.output_tokens;
+  if (promptTokens !== undefined && completionTokens !== undefined) {
+    return { promptTokens, completionTokens, estimated: false };
+  }
+
+  const promptChars = messages.reduce((sum, msg) => sum + (typeof msg.content === 'string'
+    ? msg.content.length
+    : (msg.content || []).reduce((partSum, part) => partSum + (part.text || '').length, 0)), 0);
+  return {
+    promptTokens: Math.ceil(promptChars / 4),
+    completionTokens: Math.ceil((text || '').length / 4),
+    estimated: true
+  };
+}
+
+/**
+ * Convert OpenAI-format message content to Anthropic content blocks
+ * @param {string|Array} content - OpenAI message content
+ * @returns {string|Array}
+ */
+function toAnthropicContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  return content.map(part => {
+    if (part.type !== 'image_url') {
+      return { type: 'text', text: part.text || '' };
+    }
+
+    const url = part.image_url?.url || '';
+    const dataUrlMatch = url.match(/^data:([^;]+);base64,(.*)$/);
+    if (dataUrlMatch) {
+      return {
+        type: 'image',
+        source: { type: 'base64', media_type: dataUrlMatch[1], data: dataUrlMatch[2] }
+      };
+    }
+    return { type: 'image', source: { type: 'url', url } };
+  });
+}
+
+/**
+ * Convert OpenAI-format messages to the turns the Anthropic Messages API accepts
+ * System messages go in the separate system prompt. The turns must start with a
+ * user turn and alternate, so leading assistant turns (e.g. from stored chat
+ * history) are dropped and consecutive turns of the same role are merged.
+ * @param {Array} messages - OpenAI-format messages
+ * @returns {{system: string, turns: Array<{role: string, content: string|Array}>}}
+ */
+function toAnthropicMessages(messages) {
+  const system = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => (typeof msg.content === 'string' ? msg.content : ''))
+    .join('\n\n');
+
+  const turns = [];
+  for (const msg of messages) {
+    if (msg.role !== 'user' && msg.role !== 'assistant') {
+      continue;
+    }
+    if (turns.length === 0 && msg.role === 'assistant') {
+      continue;
+    }
+    const content = toAnthropicContent(msg.content);
+    const previous = turns[turns.length - 1];
+    if (previous?.role === msg.role) {
+      previous.content = [...asContentBlocks(previous.content), ...asContentBlocks(content)];
+    } else {
+      turns.push({ role: msg.role, content });
+    }
+  }
+  return { system, turns };
+}
+
+/**
+ * Anthropic content as an array of blocks, so turns can be merged
+ */
+function asContentBlocks(content) {
+  return Array.isArray(content) ? content : [{ type: 'text', text: content || '' }];
+}
+
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    isConfigured: () => !!process.env.OPENAI_API_KEY,
+    async complete({ model, messages, maxTokens, temperature, signal, onToken }) {
+      const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+      return callOpenAIProtocol('OpenAI', `${baseUrl}/chat/completions`, {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+      }, {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(onToken && { stream_options: { include_usage: true } })
+      }, { signal, onToken });
+    }
+  },
+
+  azure: {
+    label: 'Azure OpenAI',
+    isConfigured: () => !!(process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT),
+    async complete({ model, messages, maxTokens, temperature, signal, onToken }) {
+      const endpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '');
+      const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+      const url = `${endpoint}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${apiVersion}`;
+      return callOpenAIProtocol('Azure OpenAI', url, {
+        'api-key': process.env.AZURE_OPENAI_API_KEY
+      }, {
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      }, { signal, onToken });
+    }
+  },
+
+  'openai-compatible': {
+    label: 'OpenAI-compatible server',
+    isConfigured: () => !!process.env.LLM_COMPATIBLE_BASE_URL,
+    async complete({ model, messages, maxTokens, temperature, signal, onToken }) {
+      // e.g. http://localhost:11434/v1 for Ollama, http://localhost:8080/v1 for llama.cpp
+      const baseUrl = process.env.LLM_COMPATIBLE_BASE_URL.replace(/\/+$/, '');
+      const headers = process.env.LLM_COMPATIBLE_API_KEY
+        ? { 'Authorization': `Bearer ${process.env.LLM_COMPATIBLE_API_KEY}` }
+        : {};
+      return callOpenAIProtocol('OpenAI-compatible server', `${baseUrl}/chat/completions`, headers, {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      }, { signal, onToken });
+    }
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+    async complete({ model, messages, maxTokens, temperature, signal, onToken }) {
+      const { system, turns } = toAnthropicMessages(messages);
+
+      const baseUrl = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+      const response = await fetch(`${baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': process.env.ANTHROPIC_API_KEY,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model,
+          ...(system && { system }),
+          messages: turns,
+          max_tokens: maxTokens,
+          temperature,
+          ...(onToken && { stream: true })
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        await throwProviderError('Anthropic', response);
+      }
+
+      if (onToken) {
+        let text = '';
+        const usage = {};
+        await readEventStream(response, (data) => {
+          const event = JSON.parse(data);
+          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            onToken(event.delta.text);
+          } else if (event.type === 'message_start') {
+            usage.input_tokens = event.message?.usage?.input_tokens;
+          } else if (event.type === 'message_delta') {
+            usage.output_tokens = event.usage?.output_tokens;
+          } else if (event.type === 'error') {
+            throw new Error(`Anthropic API error: ${event.error?.message || data}`);
+          }
+        });
+        return { text, usage };
+      }
+
+      const data = await response.json();
+      const text = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      return { text, usage: data.usage || null };
+    }
+  },
+
+  fake: {
+    label: 'Fake LLM',
+    isConfigured: () => true,
+    async complete(options) {
+      return fakeCompletion(options);
+    }
+  }
+};
+
+/**
+ * Generate a chat completion with the provider configured for a route
+ * @param {Array<{role: string, content: string|Array}>} messages - OpenAI-format messages
+ * @param {Object} options
+ * @param {string} options.route - Route name used to resolve provider/model overrides
+ * @param {string} [options.task='text'] - 'text' or 'vision'
+ * @param {number} [options.maxTokens=1500] - Maximum tokens to generate
+ * @param {number} [options.temperature=0.7] - Sampling temperature
+ * @param {AbortSignal} [options.signal] - Aborts the provider request (calls also time out after LLM_TIMEOUT_MS)
+ * @param {Function} [options.onToken] - When set, the completion is streamed and each text delta is passed here
+ * @param {Function} [options.onUsage] - Called after the call with { provider, model, promptTokens, completionTokens, estimated }
+ * @returns {Promise<string>} Full completion text
+ */
+export async function generateCompletion(messages, { route, task = 'text', maxTokens = 1500, temperature = 0.7, signal, onToken, onUsage } = {}) {
+  const { provider, model } = resolveModel(route, task);
+  const adapter = PROVIDERS[provider];
+
+  if (!adapter.isConfigured()) {
+    throw new Error(`${adapter.label} is not configured`);
+  }
+
+  console.log(`[LLM] ${route || 'default'}/${task} -> ${provider}:${model}${onToken ? ' (streaming)' : ''}`);
+
+  // Abort on the caller's signal or when the call runs too long
+  const timeoutSignal = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+  const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+  try {
+    const { text, usage } = await adapter.complete({ route, task, model, messages, maxTokens, temperature, signal: requestSignal, onToken });
+    if (onUsage) {
+      onUsage({ provider, model, ...normalizeTokenUsage(usage, messages, text) });
+    }
+    return text;
+  } catch (error) {
+    if (timeoutSignal.aborted && !signal?.aborted) {
+      throw new Error(`${adapter.label} did not respond within ${Math.round(REQUEST_TIMEOUT_MS / 1000)} seconds`);
+    }
+    throw error;
+  }
+}
+
+// Warn at startup if the default provider is missing credentials
+try {
+  const { provider } = resolveModel(null, 'text');
+  if (!PROVIDERS[provider].isConfigured()) {
+    console.warn(`[LLM] Warning: default provider "${provider}" is not configured`);
+  }
+} catch (error) {
+  console.warn('[LLM] Warning:', error.message);
+}
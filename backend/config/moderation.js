@@ -0,0 +1,422 @@
+/**
+ * Content Moderation
+ * Student and classroom accounts can have a moderation policy. When one applies,
+ * chat messages, Clarify selections and uploaded images are screened before
+ * anything is generated, and the generated answer is screened before it is
+ * returned. Blocked requests get a friendly refusal with code CONTENT_BLOCKED.
+ *
+ * A user's policy is their users.moderation_policy, otherwise their
+ * organization's (matched by email domain), otherwise MODERATION_DEFAULT_POLICY.
+ *
+ * Environment:
+ *   MODERATION_PROVIDER           - rules | openai (default: rules). Student text only goes to
+ *                                   OpenAI when this is set to openai, whatever LLM_PROVIDER is
+ *   MODERATION_MODEL              - OpenAI moderation model (default: omni-moderation-latest)
+ *   MODERATION_DEFAULT_POLICY     - off | standard | strict (default: off)
+ *   MODERATION_ORGANIZATIONS      - JSON object of email domain to policy, e.g. {"school.edu": "strict"}
+ *   MODERATION_SELF_HARM_MESSAGE  - Replaces the self-harm refusal (which points to the US 988 line)
+ *
+ * The rules provider is a local keyword screen for development and offline
+ * use. It cannot look at images, so strict policies refuse images with it.
+ */
+
+import dotenv from 'dotenv';
+import { query } from './database.js';
+
+dotenv.config();
+
+export const MODERATION_CATEGORIES = [
+  'sexual',
+  'sexual/minors',
+  'harassment',
+  'harassment/threatening',
+  'hate',
+  'hate/threatening',
+  'illicit',
+  'illicit/violent',
+  'self-harm',
+  'self-harm/intent',
+  'self-harm/instructions',
+  'violence',
+  'violence/graphic'
+];
+
+/**
+ * Policies an account can have
+ * blocked - Categories refused; threshold - Score (0-1) at which a category counts;
+ * blockUncheckedImages - Refuse images the provider could not check
+ */
+export const MODERATION_POLICIES = {
+  off: {
+    label: 'Off',
+    blocked: [],
+    threshold: 1,
+    blockUncheckedImages: false
+  },
+  standard: {
+    label: 'Student',
+    blocked: [
+      'sexual',
+      'sexual/minors',
+      'harassment/threatening',
+      'hate/threatening',
+      'illicit/violent',
+      'self-harm/intent',
+      'self-harm/instructions',
+      'violence/graphic'
+    ],
+    threshold: 0.5,
+    blockUncheckedImages: false
+  },
+  strict: {
+    label: 'Classroom',
+    blocked: MODERATION_CATEGORIES,
+    threshold: 0.3,
+    blockUncheckedImages: true
+  }
+};
+
+export const CONTENT_BLOCKED_CODE = 'CONTENT_BLOCKED';
+
+// How long a user's resolved policy is reused
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+// Longest text sent per moderation request
+const MAX_MODERATION_CHARS = 30000;
+
+const SELF_HARM_MESSAGE = process.env.MODERATION_SELF_HARM_MESSAGE
+  || "It sounds like things might be really hard right now, and I can't help with this here. You don't have to go through it alone: "
+  + 'please talk to a parent, teacher, school counselor or another adult you trust. In the US you can call or text 988 '
+  + 'to reach the Suicide & Crisis Lifeline any time.';
+
+const INPUT_BLOCKED_MESSAGE = "Sorry, I can't help with that one. Your account's content settings don't allow it. "
+  + 'Try asking about something else from your lesson!';
+
+const OUTPUT_BLOCKED_MESSAGE = "Sorry, the answer to that couldn't be shown with your account's content settings. "
+  + 'Try asking in a different way.';
+
+const IMAGE_UNCHECKED_MESSAGE = "Sorry, images can't be used with your account's content settings right now.";
+
+// Local keyword screen: phrases that are rarely innocent in study material
+const RULES = {
+  'sexual': /\b(?:porn(?:ography|o)?|nudes?|naked pics?|sexting|hentai|xxx|onlyfans|blow ?job|hand ?job|masturbat\w*|orgasm\w*|have sex with|sex(?:ual)? (?:video|pics?|photos?|chat))\b/i,
+  'sexual/minors': /\b(?:child|kid|minor|underage|teen|preteen|little (?:girl|boy))s?\b[^.\n]{0,30}\b(?:porn\w*|nudes?|naked|sexual\w*|sex)\b|\b(?:porn\w*|nudes?|naked|sex)\b[^.\n]{0,30}\b(?:child|kid|minor|underage|preteen)s?\b/i,
+  'harassment': /\b(?:you(?:'re| are) (?:so )?(?:stupid|ugly|fat|worthless|pathetic|a loser)|nobody (?:likes|wants) you|kill yourself|kys|go die)\b/i,
+  'harassment/threatening': /\b(?:i(?:'m| am)? (?:going to|gonna|will) (?:kill|hurt|beat up|stab|shoot) (?:you|him|her|them)|you(?:'re| are) (?:dead|going to die)|watch your back)\b/i,
+  'hate': /\b(?:(?:all|those) (?:\w+ )?(?:people|immigrants|muslims|jews|christians|blacks|whites|gays|women|men) (?:are|should) (?:animals|vermin|subhuman|inferior|disgusting)|white power|heil hitler|race traitor)\b/i,
+  'hate/threatening': /\b(?:(?:kill|exterminate|eradicate|gas) (?:all|the) (?:\w+ )?(?:jews|muslims|christians|blacks|whites|gays|immigrants|people like them)|ethnic cleansing now|race war now)\b/i,
+  'illicit': /\b(?:how (?:do i|to|can i) (?:buy|get|make|cook|grow|sell) (?:weed|drugs|cocaine|meth|heroin|lsd|mdma|fentanyl|a fake id)|how (?:do i|to|can i) (?:shoplift|steal|hack into|cheat on (?:a|my|the) (?:test|exam))|buy (?:a )?fake id)\b/i,
+  'illicit/violent': /\b(?:how (?:do i|to|can i) (?:make|build|assemble) (?:a )?(?:bomb|pipe bomb|explosive|molotov|ghost gun|gun)|how (?:do i|to|can i) (?:get|buy) (?:a )?(?:gun|firearm) without)\b/i,
+  'self-harm': /\b(?:cutting myself|hurt(?:ing)? myself|starv(?:e|ing) myself|purg(?:e|ing) after (?:i eat|eating|meals))\b/i,
+  'self-harm/intent': /\b(?:i (?:want|wanna|am going|'m going|plan|need) to (?:die|kill myself|end (?:it|my life)|hurt myself|cut myself)|i(?:'m| am) going to kill myself|i don'?t want to (?:live|be alive|wake up)|no reason to (?:live|go on))\b/i,
+  'self-harm/instructions': /\b(?:how (?:do i|to|can i|many \w+ (?:to|would)) (?:kill myself|commit suicide|overdose|cut (?:myself|deeper)|hang myself|die painlessly)|(?:best|easiest|painless) ways? to (?:die|kill myself|commit suicide))\b/i,
+  'violence': /\b(?:how (?:do i|to|can i) (?:kill|murder|stab|poison|strangle) (?:someone|somebody|a person|my)|i want to (?:kill|murder|stab|shoot) (?:someone|somebody|people))\b/i,
+  'violence/graphic': /\b(?:gore|beheading video|dismember\w*|mutilat\w*|disembowel\w*|(?:video|pics?|photos?) of (?:dead bodies|corpses|someone dying))\b/i
+};
+
+const MODERATION_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    isConfigured: () => !!process.env.OPENAI_API_KEY,
+    async classify({ texts, images, signal }) {
+      const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+      const input = [
+        ...texts.map(text => ({ type: 'text', text })),
+        ...images.map(url => ({ type: 'image_url', image_url: { url } }))
+      ];
+
+      const response = await fetch(`${baseUrl}/moderations`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+        },
+        body: JSON.stringify({ model: process.env.MODERATION_MODEL?.trim() || 'omni-moderation-latest', input }),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`OpenAI moderation error: ${errorText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      // Highest score per category over all results
+      const data = await response.json();
+      const scores = {};
+      for (const result of data.results || []) {
+        for (const [category, score] of Object.entries(result.category_scores || {})) {
+          scores[category] = Math.max(scores[category] || 0, score);
+        }
+      }
+      return { scores, imagesChecked: true };
+    }
+  },
+
+  rules: {
+    label: 'Local rules',
+    isConfigured: () => true,
+    async classify({ texts }) {
+      const scores = {};
+      for (const [category, pattern] of Object.entries(RULES)) {
+        if (texts.some(text => pattern.test(text))) {
+          scores[category] = 1;
+        }
+      }
+      return { scores, imagesChecked: false };
+    }
+  }
+};
+
+/**
+ * Resolve the moderation provider from environment config
+ * @returns {string}
+ */
+export function resolveModerationProvider() {
+  const provider = process.env.MODERATION_PROVIDER?.trim() || 'rules';
+
+  if (!MODERATION_PROVIDERS[provider]) {
+    throw new Error(`Unknown moderation provider "${provider}". Supported providers: ${Object.keys(MODERATION_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Organization policies from MODERATION_ORGANIZATIONS
+ * @returns {Object} Email domain to policy
+ */
+function organizationPolicies() {
+  if (!process.env.MODERATION_ORGANIZATIONS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.MODERATION_ORGANIZATIONS);
+  } catch (error) {
+    console.error('[Moderation] MODERATION_ORGANIZATIONS is not valid JSON:', error.message);
+    return {};
+  }
+}
+
+/**
+ * The policy of the organization an email belongs to
+ * Subdomains count, so students.school.edu gets school.edu's policy.
+ * @param {string} email
+ * @returns {string|null}
+ */
+export function organizationPolicy(email) {
+  const domain = (email || '').split('@')[1]?.toLowerCase();
+  if (!domain) {
+    return null;
+  }
+
+  const policies = organizationPolicies();
+  const match = Object.keys(policies)
+    .filter(org => domain === org.toLowerCase() || domain.endsWith(`.${org.toLowerCase()}`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? policies[match] : null;
+}
+
+/**
+ * Check that a policy name exists, falling back to off
+ */
+function knownPolicy(name, source) {
+  if (!name) {
+    return null;
+  }
+  if (!MODERATION_POLICIES[name]) {
+    console.error(`[Moderation] Unknown policy "${name}" in ${source}, using off`);
+    return 'off';
+  }
+  return name;
+}
+
+const policyCache = new Map();
+
+/**
+ * Resolve the moderation policy that applies to a user
+ * @param {number} userId
+ * @returns {Promise<{policy: string, source: string}>} source is user, organization or default
+ */
+export async function resolveModerationPolicy(userId) {
+  const cached = policyCache.get(userId);
+  if (cached && cached.expires > Date.now()) {
+    return cached.value;
+  }
+
+  const result = await query('SELECT email, moderation_policy FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+
+  let value;
+  const userPolicy = knownPolicy(user?.moderation_policy, 'users.moderation_policy');
+  const orgPolicy = knownPolicy(organizationPolicy(user?.email), 'MODERATION_ORGANIZATIONS');
+  if (userPolicy) {
+    value = { policy: userPolicy, source: 'user' };
+  } else if (orgPolicy) {
+    value = { policy: orgPolicy, source: 'organization' };
+  } else {
+    value = { policy: knownPolicy(process.env.MODERATION_DEFAULT_POLICY?.trim(), 'MODERATION_DEFAULT_POLICY') || 'off', source: 'default' };
+  }
+
+  policyCache.set(userId, { value, expires: Date.now() + POLICY_CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Set or clear a user's own moderation policy
+ * @param {number} userId
+ * @param {string|null} policy - A MODERATION_POLICIES key, or null to inherit the organization or default policy
+ * @returns {Promise<boolean>} Whether the user exists
+ */
+export async function setUserModerationPolicy(userId, policy) {
+  const result = await query(
+    'UPDATE users SET moderation_policy = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id',
+    [policy, userId]
+  );
+  policyCache.delete(userId);
+  return result.rows.length > 0;
+}
+
+/**
+ * Moderation settings for the admin endpoint
+ */
+export function getModerationConfig() {
+  return {
+    provider: resolveModerationProvider(),
+    defaultPolicy: knownPolicy(process.env.MODERATION_DEFAULT_POLICY?.trim(), 'MODERATION_DEFAULT_POLICY') || 'off',
+    organizations: organizationPolicies(),
+    policies: MODERATION_POLICIES
+  };
+}
+
+/**
+ * Screen text and images against a policy
+ * Falls back to the local rules when the provider fails, so an outage does not
+ * switch moderation off.
+ * @param {Object} content
+ * @param {Array<string>} [content.texts]
+ * @param {Array<string>} [content.images] - Image URLs or data URLs
+ * @param {string} policyName - A MODERATION_POLICIES key
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{blocked: boolean, categories: Array<string>, provider: string}>}
+ */
+export async function screenContent({ texts = [], images = [] }, policyName, { signal } = {}) {
+  const policy = MODERATION_POLICIES[policyName] || MODERATION_POLICIES.off;
+  const cleanTexts = texts
+    .filter(text => typeof text === 'string' && text.trim())
+    .map(text => text.substring(0, MAX_MODERATION_CHARS));
+  const cleanImages = images.filter(image => typeof image === 'string' && image);
+
+  if (policy.blocked.length === 0 || (cleanTexts.length === 0 && cleanImages.length === 0)) {
+    return { blocked: false, categories: [], provider: null };
+  }
+
+  let provider = resolveModerationProvider();
+  let adapter = MODERATION_PROVIDERS[provider];
+  let verdict;
+  try {
+    if (!adapter.isConfigured()) {
+      throw new Error(`${adapter.label} moderation is not configured`);
+    }
+    verdict = await adapter.classify({ texts: cleanTexts, images: cleanImages, signal });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.error(`[Moderation] ${adapter.label} failed, using local rules:`, error.message);
+    provider = 'rules';
+    adapter = MODERATION_PROVIDERS.rules;
+    verdict = await adapter.classify({ texts: cleanTexts, images: cleanImages, signal });
+  }
+
+  const categories = policy.blocked.filter(category => (verdict.scores[category] || 0) >= policy.threshold);
+  if (cleanImages.length > 0 && !verdict.imagesChecked && policy.blockUncheckedImages) {
+    categories.push('image-unchecked');
+  }
+  return { blocked: categories.length > 0, categories, provider };
+}
+
+/**
+ * Response body for blocked content
+ * @param {'input'|'output'} stage - Whether the request or the answer was blocked
+ * @param {Array<string>} categories - From screenContent
+ * @returns {{error: string, code: string, moderation: Object}}
+ */
+export function blockedResponse(stage, categories) {
+  let message = stage === 'output' ? OUTPUT_BLOCKED_MESSAGE : INPUT_BLOCKED_MESSAGE;
+  if (categories.some(category => category.startsWith('self-harm'))) {
+    message = SELF_HARM_MESSAGE;
+  } else if (categories.length === 1 && categories[0] === 'image-unchecked') {
+    message = IMAGE_UNCHECKED_MESSAGE;
+  }
+  return { error: message, code: CONTENT_BLOCKED_CODE, moderation: { stage, categories } };
+}
+
+/**
+ * Middleware: screen a route's input, and give the handler a way to screen its output
+ * Use after requireEnhancement. Sets req.moderation:
+ *   active                 - Whether a policy applies (handlers skip token streaming when it does,
+ *                            since streamed text cannot be taken back)
+ *   policy                 - The policy name
+ *   review(result, safety) - Screens a result body; resolves to a blockedResponse() body or null.
+ *                            Pass the route's safety report (config/promptSafety.js): an answer
+ *                            flagged for following instructions from the content is refused
+ * @param {string} route - For log lines
+ * @param {Object} [options]
+ * @param {Function} [options.input] - (req) => { texts, images } to screen before the handler runs
+ * @param {Function} [options.output] - (result) => text of a result body to screen
+ */
+export function requireModeration(route, { input, output } = {}) {
+  return async (req, res, next) => {
+    const userId = req.user.userId;
+
+    let policy;
+    try {
+      ({ policy } = await resolveModerationPolicy(userId));
+    } catch (error) {
+      console.error(`[Moderation] ${route} policy lookup error:`, error);
+      return res.status(500).json({ error: 'Failed to check content settings' });
+    }
+
+    const active = policy !== 'off';
+    req.moderation = {
+      active,
+      policy,
+      async review(result, safety) {
+        if (!active) {
+          return null;
+        }
+        if (safety?.injectionSuspected && safety.responseFlagged) {
+          console.log(`[Moderation] ${route}: output blocked for user ${userId} (followed instructions from the content: ${safety.reasons.join(', ')})`);
+          return blockedResponse('output', ['prompt-injection']);
+        }
+        if (!output) {
+          return null;
+        }
+        const verdict = await screenContent({ texts: [output(result)] }, policy);
+        if (!verdict.blocked) {
+          return null;
+        }
+        console.log(`[Moderation] ${route}: output blocked for user ${userId} (${verdict.categories.join(', ')}, ${verdict.provider})`);
+        return blockedResponse('output', verdict.categories);
+      }
+    };
+
+    if (active && input) {
+      try {
+        const verdict = await screenContent(input(req), policy);
+        if (verdict.blocked) {
+          console.log(`[Moderation] ${route}: input blocked for user ${userId} (${verdict.categories.join(', ')}, ${verdict.provider})`);
+          const usage = req.enhancement ? await req.enhancement.fail() : undefined;
+          return res.status(422).json({ ...blockedResponse('input', verdict.categories), usage });
+        }
+      } catch (error) {
+        console.error(`[Moderation] ${route} screening error:`, error);
+        return res.status(500).json({ error: 'Failed to check content' });
+      }
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Reading Levels
+ * Describes who generated study material is written for, so prompts can
+ * adapt vocabulary, depth and length to the reader
+ */
+
+export const READING_LEVELS = {
+  elementary: {
+    label: 'Elementary school',
+    audience: 'a 5th grader',
+    style: 'Use simple words and short sentences. If you need to use a big word, explain what it means. Focus on the main ideas.',
+    lengthFactor: 1,
+    answerTokens: 150
+  },
+  'middle-school': {
+    label: 'Middle school',
+    audience: 'a middle school student',
+    style: 'Use everyday words and clear sentences. Give a short definition the first time a key term appears. Cover the main ideas and the most important details.',
+    lengthFactor: 1.1,
+    answerTokens: 200
+  },
+  'high-school': {
+    label: 'High school',
+    audience: 'a high school student',
+    style: 'Use the subject\'s vocabulary and define specialized terms. Explain causes, connections and the important details.',
+    lengthFactor: 1.25,
+    answerTokens: 250
+  },
+  undergraduate: {
+    label: 'Undergraduate',
+    audience: 'an undergraduate student',
+    style: 'Use the field\'s standard terminology. Cover mechanisms, evidence, assumptions and how the ideas relate. Be precise.',
+    lengthFactor: 1.4,
+    answerTokens: 350
+  },
+  expert: {
+    label: 'Expert',
+    audience: 'an expert in the field',
+    style: 'Use technical language without defining standard terms. Prioritize nuance, methods, limitations and precise details over background.',
+    lengthFactor: 1.5,
+    answerTokens: 400
+  }
+};
+
+// Matches the original 5th-grade prompts for clients that don't send a level
+export const DEFAULT_READING_LEVEL = 'elementary';
+
+/**
+ * Read the reading level sent by the client
+ * @param {string} [value] - Reading level key from the request body
+ * @returns {{level: Object|null, error: string|null}} The level settings (with its `key`), or why it was rejected
+ */
+export function resolveReadingLevel(value) {
+  const key = value || DEFAULT_READING_LEVEL;
+  if (!READING_LEVELS[key]) {
+    return { level: null, error: `readingLevel must be one of: ${Object.keys(READING_LEVELS).join(', ')}` };
+  }
+  return { level: { key, ...READING_LEVELS[key] }, error: null };
+}
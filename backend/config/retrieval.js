@@ -0,0 +1,201 @@
+/**
+ * Retrieval
+ * Splits content into passages, embeds them and keeps the vectors in an
+ * in-process index per content item, so each chat turn can pull the passages
+ * most relevant to the question instead of only the start of the content
+ *
+ * Environment:
+ *   RAG_CHUNK_CHARS        - Characters per indexed passage (default: 1500)
+ *   RAG_MAX_SOURCE_CHARS   - Characters of source text a chat request may send in total (default: 600000)
+ *   RAG_INDEX_MAX_ENTRIES  - Content items whose index is kept in memory (default: 200)
+ *   RAG_INDEX_MAX_MB       - Memory the kept vectors may use in total (default: 256)
+ *   RAG_INDEX_TTL_MINUTES  - Drop an index that has not been used for this long (default: 120)
+ */
+
+import crypto from 'crypto';
+import { chunkContent } from './chunking.js';
+import { splitIntoPassages } from './citations.js';
+import { generateEmbeddings, resolveEmbeddingModel } from './embeddings.js';
+
+export const RETRIEVAL_POLICY = {
+  chunkChars: parseInt(process.env.RAG_CHUNK_CHARS, 10) || 1500,
+  maxSourceChars: parseInt(process.env.RAG_MAX_SOURCE_CHARS, 10) || 600000,
+  maxEntries: parseInt(process.env.RAG_INDEX_MAX_ENTRIES, 10) || 200,
+  maxIndexBytes: (parseInt(process.env.RAG_INDEX_MAX_MB, 10) || 256) * 1024 * 1024,
+  ttlMinutes: parseInt(process.env.RAG_INDEX_TTL_MINUTES, 10) || 120
+};
+
+// Content key -> { passages, vectors, bytes, lastUsedAt }, least recently used first
+const indexes = new Map();
+
+// Memory used by the vectors of every kept index
+let indexedBytes = 0;
+
+/**
+ * Key of a content item's index: the same text indexed with the same embedding
+ * model and chunk size is only embedded once
+ */
+function contentIndexKey(text, contentType) {
+  const { provider, model } = resolveEmbeddingModel();
+  return crypto.createHash('sha256')
+    .update(`${provider}:${model}:${RETRIEVAL_POLICY.chunkChars}:${contentType}:${text}`)
+    .digest('hex');
+}
+
+function dropIndex(key) {
+  indexedBytes -= indexes.get(key).bytes;
+  indexes.delete(key);
+}
+
+/**
+ * Drop indexes past their TTL, then the least recently used ones beyond maxEntries or maxIndexBytes
+ */
+function evictIndexes() {
+  const expiredBefore = Date.now() - RETRIEVAL_POLICY.ttlMinutes * 60 * 1000;
+  for (const [key, index] of indexes) {
+    if (index.lastUsedAt < expiredBefore) {
+      dropIndex(key);
+    }
+  }
+  while (indexes.size > RETRIEVAL_POLICY.maxEntries || (indexes.size > 1 && indexedBytes > RETRIEVAL_POLICY.maxIndexBytes)) {
+    dropIndex(indexes.keys().next().value);
+  }
+}
+
+/**
+ * Characters of the sources that retrievePassages would have to embed now
+ * (0 when everything fits in maxChars or is already indexed), for pricing a request
+ * @param {Array<{contentType?: string, text: string}>} sources
+ * @param {number} maxChars - Same budget as passed to retrievePassages
+ * @returns {number}
+ */
+export function unindexedChars(sources, maxChars) {
+  const items = sources.filter(source => source?.text?.trim());
+  const totalChars = items.reduce((sum, source) => sum + source.text.length, 0);
+  if (totalChars <= maxChars) {
+    return 0;
+  }
+  return items
+    .filter(source => !indexes.has(contentIndexKey(source.text, source.contentType || 'webpage')))
+    .reduce((sum, source) => sum + source.text.length, 0);
+}
+
+/**
+ * Get the index of a content item, building it on first use
+ * @param {string} text - Full content text
+ * @param {Object} [options]
+ * @param {string} [options.contentType='webpage'] - 'video', 'pdf' or 'webpage' (chooses chunk boundaries)
+ * @param {AbortSignal} [options.signal] - Aborts the embedding requests
+ * @param {Function} [options.onUsage] - Receives the embedding calls' token usage
+ * @returns {Promise<{passages: Array<{index: number, label: string|null, kind: string, start: string|null, text: string}>, vectors: Float32Array[]}>}
+ */
+export async function getContentIndex(text, { contentType = 'webpage', signal, onUsage } = {}) {
+  const key = contentIndexKey(text, contentType);
+  const cached = indexes.get(key);
+  if (cached) {
+    // Re-insert so the Map stays ordered by last use
+    indexes.delete(key);
+    cached.lastUsedAt = Date.now();
+    indexes.set(key, cached);
+    return cached;
+  }
+
+  const passages = chunkContent(text, { contentType, maxChars: RETRIEVAL_POLICY.chunkChars });
+  // Float32 halves the memory of plain number arrays and is precise enough for ranking
+  const vectors = (await generateEmbeddings(passages.map(passage => passage.text), { signal, onUsage }))
+    .map(vector => Float32Array.from(vector));
+  const bytes = vectors.reduce((sum, vector) => sum + vector.byteLength, 0);
+  console.log(`[Retrieval] Indexed ${passages.length} passages (${key.substring(0, 12)}, ${Math.ceil(bytes / 1024)} KB)`);
+
+  // Another request may have indexed the same content meanwhile
+  if (indexes.has(key)) {
+    dropIndex(key);
+  }
+  const index = { passages, vectors, bytes, lastUsedAt: Date.now() };
+  indexes.set(key, index);
+  indexedBytes += bytes;
+  evictIndexes();
+  return index;
+}
+
+/**
+ * Cosine similarity of two vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Pick the passages most relevant to a question from one or more content items
+ * Content that already fits in maxChars is returned whole (as passages) without embedding it.
+ * @param {Array<{id?: string, label?: string, contentType?: string, text: string}>} sources - Content items (transcript, page text, uploaded file...)
+ * @param {string} question - Text to match passages against (the user's message)
+ * @param {Object} [options]
+ * @param {number} [options.maxChars=6000] - Character budget for the returned passages
+ * @param {AbortSignal} [options.signal] - Aborts the embedding requests
+ * @param {Function} [options.onUsage] - Receives the embedding calls' token usage
+ * @returns {Promise<{passages: Array<{source: string|null, sourceId: string|null, label: string|null, kind: string, start: string|null, text: string, score: number|null}>, retrieved: boolean, totalPassages: number}>}
+ *   Passages are in reading order (by source, then position); retrieved is false when everything fit
+ */
+export async function retrievePassages(sources, question, { maxChars = 6000, signal, onUsage } = {}) {
+  const items = sources.filter(source => source?.text?.trim());
+  const totalChars = items.reduce((sum, source) => sum + source.text.length, 0);
+
+  if (totalChars <= maxChars) {
+    // Still split into passages (without embedding them) so each can be cited
+    const passages = items.flatMap(source => splitIntoPassages(source.text, {
+      contentType: source.contentType,
+      source: source.label || null,
+      sourceId: source.id || null
+    }).map(passage => ({ ...passage, score: null })));
+    return { passages, retrieved: false, totalPassages: passages.length };
+  }
+
+  const candidates = [];
+  for (const [sourceIndex, source] of items.entries()) {
+    const index = await getContentIndex(source.text, { contentType: source.contentType, signal, onUsage });
+    index.passages.forEach((passage, i) => {
+      candidates.push({ sourceIndex, source, passage, vector: index.vectors[i] });
+    });
+  }
+
+  const [questionVector] = await generateEmbeddings([question], { signal, onUsage });
+  candidates.forEach(candidate => {
+    candidate.score = cosineSimilarity(questionVector, candidate.vector);
+  });
+
+  // Best matches first, until the budget is used up
+  const selected = [];
+  let usedChars = 0;
+  for (const candidate of [...candidates].sort((a, b) => b.score - a.score)) {
+    if (usedChars + candidate.passage.text.length > maxChars) {
+      continue;
+    }
+    selected.push(candidate);
+    usedChars += candidate.passage.text.length;
+  }
+
+  return {
+    passages: selected
+      .sort((a, b) => a.sourceIndex - b.sourceIndex || a.passage.index - b.passage.index)
+      .map(candidate => ({
+        source: candidate.source.label || null,
+        sourceId: candidate.source.id || null,
+        label: candidate.passage.label,
+        kind: candidate.passage.kind,
+        start: candidate.passage.start,
+        text: candidate.passage.text,
+        score: Math.round(candidate.score * 1000) / 1000
+      })),
+    retrieved: true,
+    totalPassages: candidates.length
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * Safe URL Fetching
+ * Downloads URLs supplied by users (e.g. a PDF open in Chrome's viewer) without
+ * letting them reach the server's own network: only http(s), no private,
+ * loopback or link-local addresses (checked on the address actually connected
+ * to, so DNS tricks do not get around it), every redirect checked again, a
+ * byte cap while streaming and an overall timeout.
+ *
+ * Environment:
+ *   URL_FETCH_MAX_BYTES      - Largest download (default: 20 MB)
+ *   URL_FETCH_TIMEOUT_MS     - Time allowed for the whole download, redirects included (default: 20000)
+ *   URL_FETCH_MAX_REDIRECTS  - Redirects followed (default: 5)
+ *   URL_FETCH_ALLOW_PRIVATE  - Set to true to allow private addresses, for local development only (default: false)
+ */
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+
+export const URL_FETCH_POLICY = {
+  maxBytes: parseInt(process.env.URL_FETCH_MAX_BYTES, 10) || 20 * 1024 * 1024,
+  timeoutMs: parseInt(process.env.URL_FETCH_TIMEOUT_MS, 10) || 20000,
+  maxRedirects: parseInt(process.env.URL_FETCH_MAX_REDIRECTS, 10) || 5,
+  allowPrivate: process.env.URL_FETCH_ALLOW_PRIVATE === 'true'
+};
+
+// Addresses that are not on the public internet
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12],    // private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // documentation
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['198.51.100.0', 24],  // documentation
+  ['203.0.113.0', 24],   // documentation
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['fc00::', 7],         // unique local
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8],         // multicast
+  ['2001:db8::', 32]     // documentation
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv6 forms that carry an IPv4 address: mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d)
+const EMBEDDED_IPV4_PATTERN = /^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i;
+
+/**
+ * Error for a URL that cannot or may not be fetched
+ * The status is the one the route should answer with.
+ */
+function fetchError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Error for a download over the byte cap
+ */
+function tooLarge(maxBytes) {
+  const limit = maxBytes >= 1024 * 1024 ? `${Math.round(maxBytes / 1024 / 1024)} MB` : `${Math.ceil(maxBytes / 1024)} KB`;
+  return fetchError(`File is too large (limit ${limit})`, 413);
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  }
+  if (family !== 6) {
+    return true;
+  }
+
+  const embedded = address.match(EMBEDDED_IPV4_PATTERN);
+  if (embedded) {
+    const ipv4 = embedded[1] || [embedded[2], embedded[3]]
+      .map(hex => parseInt(hex, 16))
+      .flatMap(word => [word >> 8, word & 0xff])
+      .join('.');
+    return BLOCKED_ADDRESSES.check(ipv4, 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+/**
+ * DNS lookup for http.request that refuses blocked addresses
+ * Runs when the connection is made, so the checked address is the one used.
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const allowed = URL_FETCH_POLICY.allowPrivate
+      ? addresses
+      : addresses.filter(({ address }) => !isBlockedAddress(address));
+    if (allowed.length === 0) {
+      return callback(fetchError(`${hostname} resolves to an address that cannot be fetched`));
+    }
+    if (options.all) {
+      return callback(null, allowed);
+    }
+    callback(null, allowed[0].address, allowed[0].family);
+  });
+}
+
+/**
+ * Check a URL before connecting
+ * @param {string|URL} value
+ * @returns {URL}
+ */
+function validateUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw fetchError('Invalid URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw fetchError(`Only http and https URLs can be fetched, not ${url.protocol.replace(':', '')}`);
+  }
+  if (url.username || url.password) {
+    throw fetchError('URLs with credentials cannot be fetched');
+  }
+
+  // IP literals skip the DNS lookup, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !URL_FETCH_POLICY.allowPrivate && isBlockedAddress(host)) {
+    throw fetchError('Private, loopback and link-local addresses cannot be fetched');
+  }
+  return url;
+}
+
+/**
+ * Why a URL cannot be fetched, or null
+ * Checks only the URL itself (scheme, credentials, IP literals); host names are
+ * checked when safeFetch connects.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function urlFetchError(url) {
+  try {
+    validateUrl(url);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Make one request and read the body up to maxBytes
+ * @returns {Promise<{status: number, headers: Object, body: Buffer|null}>} body is null for redirects
+ */
+function requestOnce(url, { maxBytes, signal, headers }) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { headers, lookup: safeLookup, signal }, (response) => {
+      const { statusCode, headers: responseHeaders } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && responseHeaders.location) {
+        response.resume();
+        return resolve({ status: statusCode, headers: responseHeaders, body: null });
+      }
+
+      const declaredLength = parseInt(responseHeaders['content-length'], 10);
+      if (declaredLength > maxBytes) {
+        response.destroy();
+        return reject(tooLarge(maxBytes));
+      }
+
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          response.destroy();
+          reject(tooLarge(maxBytes));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ status: statusCode, headers: responseHeaders, body: Buffer.concat(chunks) }));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Download a URL supplied by a user
+ * @param {string} url - http(s) URL
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes=URL_FETCH_POLICY.maxBytes] - Largest accepted body
+ * @param {number} [options.timeoutMs=URL_FETCH_POLICY.timeoutMs] - Time for the whole download
+ * @param {AbortSignal} [options.signal] - Stops the download (e.g. the client disconnected)
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<{buffer: Buffer, contentType: string, url: string}>} Body, its Content-Type and the final URL after redirects.
+ *   Errors have a `status` to answer with: 400 for a URL that may not be fetched,
+ *   413 when too large, 502 when the server answers with an error, 504 on timeout.
+ */
+export async function safeFetch(url, {
+  maxBytes = URL_FETCH_POLICY.maxBytes,
+  timeoutMs = URL_FETCH_POLICY.timeoutMs,
+  signal,
+  headers = {}
+} = {}) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const combinedSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  let current = validateUrl(url);
+
+  for (let redirects = 0; ; redirects++) {
+    let response;
+    try {
+      response = await requestOnce(current, {
+        maxBytes,
+        signal: combinedSignal,
+        headers: { 'User-Agent': 'EurekaAI/1.0', ...headers }
+      });
+    } catch (error) {
+      if (timeout.aborted) {
+        throw fetchError(`Download timed out after ${Math.round(timeoutMs / 1000)} seconds`, 504);
+      }
+      if (error.status) {
+        throw error;
+      }
+      throw fetchError(`Could not download ${current.hostname}: ${error.message}`, 502);
+    }
+
+    if (response.body === null) {
+      if (redirects >= URL_FETCH_POLICY.maxRedirects) {
+        throw fetchError('Too many redirects', 502);
+      }
+      // Every hop is checked like the original URL
+      current = validateUrl(new URL(response.headers.location, current));
+      continue;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw fetchError(`Failed to fetch: the server answered ${response.status}`, 502);
+    }
+    return {
+      buffer: response.body,
+      contentType: response.headers['content-type'] || '',
+      url: current.href
+    };
+  }
+}
+
+/**
+ * Whether a download is a PDF
+ * Readers accept the "%PDF-" header anywhere in the first 1024 bytes.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isPdf(buffer) {
+  return buffer.subarray(0, 1024).includes('%PDF-');
+}
@@ -0,0 +1,131 @@
+/**
+ * Database Schema
+ * The tables, columns and indexes the backend needs, as idempotent statements.
+ * Applied by `npm run migrate` on PostgreSQL and at startup by the embedded
+ * engine (config/embeddedDatabase.js).
+ */
+
+export const SCHEMA_STATEMENTS = [
+  // Create users table
+  `
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      name VARCHAR(255),
+      enhancements_used INTEGER DEFAULT 0,
+      enhancements_limit INTEGER DEFAULT 10,
+      subscription_status VARCHAR(50) DEFAULT 'freemium',
+      stripe_customer_id VARCHAR(255),
+      stripe_subscription_id VARCHAR(255),
+      password_reset_token VARCHAR(255),
+      password_reset_expires TIMESTAMP,
+      last_reset_date DATE,
+      timezone VARCHAR(64) DEFAULT 'UTC',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  // Daily usage resets at midnight in the user's timezone (see config/usage.js)
+  `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC'
+  `,
+
+  // Content moderation policy; NULL uses the organization's or the default policy (see config/moderation.js)
+  `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS moderation_policy VARCHAR(20)
+  `,
+
+  // Create index on email for faster lookups
+  `
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)
+  `,
+
+  // Create index on stripe_customer_id for faster lookups
+  `
+    CREATE INDEX IF NOT EXISTS idx_users_stripe_customer_id ON users(stripe_customer_id)
+    WHERE stripe_customer_id IS NOT NULL
+  `,
+
+  // Shared cache of generated study material (see config/generationCache.js)
+  `
+    CREATE TABLE IF NOT EXISTS generation_cache (
+      cache_key CHAR(64) PRIMARY KEY,
+      task VARCHAR(50) NOT NULL,
+      prompt_version INTEGER NOT NULL,
+      result JSONB NOT NULL,
+      hit_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_hit_at TIMESTAMP
+    )
+  `,
+
+  `
+    CREATE INDEX IF NOT EXISTS idx_generation_cache_created_at ON generation_cache(created_at)
+  `,
+
+  // Ledger of charged actions (see config/usageLedger.js)
+  `
+    CREATE TABLE IF NOT EXISTS usage_events (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      route VARCHAR(50) NOT NULL,
+      content_type VARCHAR(20),
+      content_url TEXT,
+      content_title VARCHAR(500),
+      model VARCHAR(255),
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      tokens_estimated BOOLEAN DEFAULT false,
+      credits INTEGER NOT NULL DEFAULT 0,
+      status VARCHAR(20) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  `
+    CREATE INDEX IF NOT EXISTS idx_usage_events_user_created ON usage_events(user_id, created_at DESC)
+  `,
+
+  // Background jobs and their stored requests (see config/jobs.js)
+  `
+    CREATE TABLE IF NOT EXISTS jobs (
+      id UUID PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      input JSONB NOT NULL,
+      file BYTEA,
+      progress JSONB,
+      result JSONB,
+      error TEXT,
+      reservation JSONB,
+      cancel_requested BOOLEAN DEFAULT false,
+      attempts INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      heartbeat_at TIMESTAMP,
+      finished_at TIMESTAMP
+    )
+  `,
+
+  `
+    CREATE INDEX IF NOT EXISTS idx_jobs_status_created ON jobs(status, created_at)
+  `,
+
+  `
+    CREATE INDEX IF NOT EXISTS idx_jobs_user_created ON jobs(user_id, created_at DESC)
+  `
+];
+
+/**
+ * Create or update every table, column and index
+ * Runs inside the caller's transaction when the client has one open.
+ * @param {Object} client - pg client or pool
+ */
+export async function applySchema(client) {
+  for (const statement of SCHEMA_STATEMENTS) {
+    await client.query(statement);
+  }
+}
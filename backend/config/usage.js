@@ -5,71 +5,73 @@
 
 import { query } from './database.js';
 
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// Today's date in the user's timezone, so the counter resets at their local midnight
+const LOCAL_DATE = `(CURRENT_TIMESTAMP AT TIME ZONE COALESCE(timezone, '${DEFAULT_TIMEZONE}'))::date`;
+
+// The moment of the user's next local midnight
+const NEXT_RESET_AT = `((${LOCAL_DATE} + 1)::timestamp AT TIME ZONE COALESCE(timezone, '${DEFAULT_TIMEZONE}'))`;
+
+// A row whose counter belongs to an earlier day (or was never reset)
+const NEEDS_RESET = `(last_reset_date IS NULL OR last_reset_date < ${LOCAL_DATE})`;
+
+/**
+ * Check a timezone name before storing it
+ * @param {string} timezone - IANA timezone name from the browser, e.g. 'Europe/Berlin'
+ * @returns {string|null} The timezone, or null if it is not a known IANA name
+ */
+export function normalizeTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone || timezone.length > 64) {
+    return null;
+  }
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store the timezone a user's daily usage resets in
+ * Invalid names are ignored so a bad value from the client never blocks login.
+ * @param {number} userId - User ID
+ * @param {string} timezone - IANA timezone name
+ * @returns {Promise<string|null>} The stored timezone, or null if it was invalid
+ */
+export async function setUserTimezone(userId, timezone) {
+  const normalized = normalizeTimezone(timezone);
+  if (!normalized) {
+    return null;
+  }
+
+  await query(
+    'UPDATE users SET timezone = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND (timezone IS NULL OR timezone <> $2)',
+    [userId, normalized]
+  );
+  return normalized;
+}
+
 /**
- * Resets daily usage if the last reset date is not today
- * Uses UTC date to ensure consistency across timezones
+ * Resets daily usage if the last reset date is not today in the user's timezone
+ * A single conditional UPDATE, so concurrent requests cannot reset the
+ * counter after another request has already counted against the new day.
+ * Uses the database's clock so every server agrees on the day.
  * @param {number} userId - User ID
  * @returns {Promise<boolean>} True if reset occurred, false if already reset today
  */
 export async function resetDailyUsageIfNeeded(userId) {
   try {
-    const checkResult = await query(
-      `SELECT 
-        last_reset_date, 
-        enhancements_used,
-        CASE 
-          WHEN last_reset_date IS NULL THEN true
-          WHEN last_reset_date < CURRENT_DATE THEN true
-          ELSE false
-        END as needs_reset
-      FROM users 
-      WHERE id = $1`,
-      [userId]
-    );
-
-    if (checkResult.rows.length === 0) {
-      throw new Error('User not found');
-    }
-
-    const user = checkResult.rows[0];
-    
-    const limitResult = await query(
-      'SELECT enhancements_limit FROM users WHERE id = $1',
+    const result = await query(
+      `UPDATE users SET enhancements_used = 0, last_reset_date = ${LOCAL_DATE}
+       WHERE id = $1 AND ${NEEDS_RESET}`,
       [userId]
     );
-    const enhancementsLimit = limitResult.rows[0]?.enhancements_limit || 10;
-    
-    console.log(`[Usage] Reset check for user ${userId}:`, {
-      last_reset_date: user.last_reset_date,
-      enhancements_used: user.enhancements_used,
-      enhancements_limit: enhancementsLimit,
-      needs_reset: user.needs_reset,
-      current_date: new Date().toISOString().split('T')[0]
-    });
-
-    const isToday = user.last_reset_date && 
-      new Date(user.last_reset_date).toISOString().split('T')[0] === new Date().toISOString().split('T')[0];
-    
-    if (isToday && user.enhancements_used > enhancementsLimit) {
-      console.log(`[Usage] Data corruption detected for user ${userId}: count ${user.enhancements_used} exceeds limit ${enhancementsLimit} but last_reset_date is today. Forcing reset.`);
-      await query(
-        'UPDATE users SET enhancements_used = 0, last_reset_date = CURRENT_DATE WHERE id = $1',
-        [userId]
-      );
-      return true;
-    }
 
-    if (user.needs_reset) {
-      await query(
-        'UPDATE users SET enhancements_used = 0, last_reset_date = CURRENT_DATE WHERE id = $1',
-        [userId]
-      );
-      console.log(`[Usage] Daily usage reset for user ${userId} (was ${user.enhancements_used}, now 0)`);
+    if (result.rowCount > 0) {
+      console.log(`[Usage] Daily usage reset for user ${userId}`);
       return true;
     }
-    
-    console.log(`[Usage] No reset needed for user ${userId} - already reset today (count: ${user.enhancements_used})`);
-
     return false;
   } catch (error) {
     console.error('Error resetting daily usage:', error);
@@ -80,13 +82,16 @@ export async function resetDailyUsageIfNeeded(userId) {
 /**
  * Gets user's current usage with daily reset applied
  * @param {number} userId - User ID
- * @returns {Promise<Object>} Usage object with enhancementsUsed and enhancementsLimit
+ * @returns {Promise<Object>} Usage object with enhancementsUsed, enhancementsLimit,
+ *   timezone and nextResetAt (ISO timestamp of the user's next local midnight)
  */
 export async function getUserUsage(userId) {
-  const resetOccurred = await resetDailyUsageIfNeeded(userId);
+  await resetDailyUsageIfNeeded(userId);
   
   const result = await query(
-    'SELECT enhancements_used, enhancements_limit, subscription_status, last_reset_date FROM users WHERE id = $1',
+    `SELECT enhancements_used, enhancements_limit, subscription_status,
+            COALESCE(timezone, '${DEFAULT_TIMEZONE}') AS timezone, ${NEXT_RESET_AT} AS next_reset_at
+     FROM users WHERE id = $1`,
     [userId]
   );
 
@@ -95,52 +100,58 @@ export async function getUserUsage(userId) {
   }
 
   const user = result.rows[0];
-  console.log(`[Usage] getUserUsage for user ${userId}:`, {
-    enhancementsUsed: user.enhancements_used,
-    enhancementsLimit: user.enhancements_limit,
-    last_reset_date: user.last_reset_date,
-    resetOccurred
-  });
-  
   return {
     enhancementsUsed: user.enhancements_used,
     enhancementsLimit: user.enhancements_limit,
-    subscriptionStatus: user.subscription_status
+    subscriptionStatus: user.subscription_status,
+    timezone: user.timezone,
+    nextResetAt: new Date(user.next_reset_at).toISOString()
   };
 }
 
 /**
  * Increment user's enhancement usage
+ * The daily reset, the limit check and the increment happen in one conditional
+ * UPDATE. Postgres locks the row and re-checks the WHERE clause for each
+ * concurrent update, so N parallel requests can never take the count past the limit.
  * @param {number} userId - User ID
- * @returns {Promise<{success: boolean, error?: string, usage?: Object}>}
+ * @param {number} [amount=1] - Credits to use (see config/credits.js)
+ * @returns {Promise<{success: boolean, error?: string, usage?: Object, resetDate?: string}>}
+ *   resetDate is the day ('YYYY-MM-DD') the enhancement was counted on
  */
-export async function incrementUsage(userId) {
+export async function incrementUsage(userId, amount = 1) {
   try {
-    // First check if reset is needed
-    await resetDailyUsageIfNeeded(userId);
-
-    // Get current usage
-    const usage = await getUserUsage(userId);
+    const result = await query(
+      `UPDATE users
+       SET enhancements_used = CASE WHEN ${NEEDS_RESET} THEN $2 ELSE enhancements_used + $2 END,
+           last_reset_date = ${LOCAL_DATE}
+       WHERE id = $1
+         AND CASE WHEN ${NEEDS_RESET} THEN $2 ELSE enhancements_used + $2 END <= enhancements_limit
+       RETURNING enhancements_used, enhancements_limit, subscription_status, last_reset_date::text AS reset_date`,
+      [userId, amount]
+    );
 
-    if (usage.enhancementsUsed >= usage.enhancementsLimit) {
+    if (result.rows.length === 0) {
+      // Either the user does not exist or there are not enough credits left today
+      const usage = await getUserUsage(userId);
       return {
         success: false,
-        error: 'Daily enhancement limit reached'
+        error: amount > 1
+          ? `This action needs ${amount} credits but only ${Math.max(0, usage.enhancementsLimit - usage.enhancementsUsed)} are left today`
+          : 'Daily enhancement limit reached',
+        usage
       };
     }
 
-    // Increment usage
-    await query(
-      'UPDATE users SET enhancements_used = enhancements_used + 1 WHERE id = $1',
-      [userId]
-    );
-
-    // Get updated usage
-    const updatedUsage = await getUserUsage(userId);
-
+    const user = result.rows[0];
     return {
       success: true,
-      usage: updatedUsage
+      usage: {
+        enhancementsUsed: user.enhancements_used,
+        enhancementsLimit: user.enhancements_limit,
+        subscriptionStatus: user.subscription_status
+      },
+      resetDate: user.reset_date
     };
   } catch (error) {
     console.error('Error incrementing usage:', error);
@@ -150,3 +161,64 @@ export async function incrementUsage(userId) {
     };
   }
 }
+
+/**
+ * Reserve credits before a generation starts
+ * The credits count against the limit right away so concurrent requests
+ * cannot go over it. Finish with commitUsage once the result is ready, or
+ * releaseUsage if generation fails, times out or the client disconnects.
+ * @param {number} userId - User ID
+ * @param {number} [amount=1] - Credits the action costs
+ * @returns {Promise<{success: boolean, error?: string, usage?: Object, reservation?: Object}>}
+ */
+export async function reserveUsage(userId, amount = 1) {
+  const { resetDate, ...result } = await incrementUsage(userId, amount);
+  if (!result.success) {
+    return result;
+  }
+
+  // Remember which day the enhancement was counted on, so a release after the
+  // daily reset does not take it off the new day's count
+  return {
+    ...result,
+    reservation: { userId, amount, resetDate, state: 'reserved' }
+  };
+}
+
+/**
+ * Keep reserved credits: the generation succeeded
+ * @param {Object|null} reservation - From reserveUsage
+ */
+export function commitUsage(reservation) {
+  if (reservation?.state === 'reserved') {
+    reservation.state = 'committed';
+  }
+}
+
+/**
+ * Give back reserved credits: the generation failed or was aborted
+ * Does nothing if the reservation was already committed or released.
+ * Errors are logged rather than thrown so they never hide the original failure.
+ * @param {Object|null} reservation - From reserveUsage
+ * @returns {Promise<boolean>} True if the credits were refunded
+ */
+export async function releaseUsage(reservation) {
+  if (reservation?.state !== 'reserved') {
+    return false;
+  }
+  reservation.state = 'released';
+
+  try {
+    // $3 is cast: the in-memory database swaps the operands of `column - $n` for untyped parameters
+    const result = await query(
+      `UPDATE users SET enhancements_used = GREATEST(enhancements_used - $3::integer, 0)
+       WHERE id = $1 AND last_reset_date = $2::date`,
+      [reservation.userId, reservation.resetDate, reservation.amount]
+    );
+    console.log(`[Usage] Released ${reservation.amount} reserved credit(s) for user ${reservation.userId}${result.rowCount ? '' : ' (usage was reset since, nothing to refund)'}`);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error releasing usage:', error);
+    return false;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Usage Ledger
+ * Records every charged action in usage_events so users (and support) can see
+ * what their credits were spent on: route, content, model, tokens and credits
+ */
+
+import { query } from './database.js';
+
+export const USAGE_HISTORY_PAGE_SIZE = 20;
+export const MAX_USAGE_HISTORY_PAGE_SIZE = 100;
+
+/**
+ * Collect token usage across every model call made for one request
+ * Pass `meter.record` as the onUsage option of generateCompletion, condenseContent or generateQuiz.
+ * @returns {{record: Function, totals: Function}}
+ */
+export function createUsageMeter() {
+  const models = new Set();
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let estimated = false;
+
+  return {
+    record(usage) {
+      models.add(usage.model);
+      promptTokens += usage.promptTokens || 0;
+      completionTokens += usage.completionTokens || 0;
+      estimated = estimated || usage.estimated;
+    },
+    totals() {
+      return {
+        model: models.size > 0 ? [...models].join(', ') : null,
+        promptTokens,
+        completionTokens,
+        estimated
+      };
+    }
+  };
+}
+
+/**
+ * Add an entry to the usage ledger
+ * Failures are logged, never thrown: the ledger must not break a generation
+ * that already succeeded.
+ * @param {number} userId - User ID
+ * @param {Object} event
+ * @param {string} event.route - Route name (summarize, quiz, qa, chat, flashcards, process-file)
+ * @param {string} [event.contentType] - video, webpage or pdf
+ * @param {string} [event.contentUrl]
+ * @param {string} [event.contentTitle]
+ * @param {Object} [event.meter] - From createUsageMeter
+ * @param {number} event.credits - Credits charged (0 for cached or failed requests)
+ * @param {string} event.status - 'completed', 'cached' or 'failed'
+ */
+export async function recordUsageEvent(userId, { route, contentType, contentUrl, contentTitle, meter, credits, status }) {
+  const totals = meter ? meter.totals() : { model: null, promptTokens: 0, completionTokens: 0, estimated: false };
+
+  try {
+    await query(
+      `INSERT INTO usage_events
+         (user_id, route, content_type, content_url, content_title, model,
+          prompt_tokens, completion_tokens, tokens_estimated, credits, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        userId,
+        route,
+        contentType || null,
+        contentUrl ? String(contentUrl).substring(0, 2048) : null,
+        contentTitle ? String(contentTitle).substring(0, 500) : null,
+        totals.model,
+        totals.promptTokens,
+        totals.completionTokens,
+        totals.estimated,
+        credits,
+        status
+      ]
+    );
+  } catch (error) {
+    console.error('[UsageLedger] Failed to record usage event:', error.message);
+  }
+}
+
+/**
+ * Read a page of a user's usage history, newest first
+ * @param {number} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize=USAGE_HISTORY_PAGE_SIZE]
+ * @returns {Promise<{events: Array, page: number, pageSize: number, total: number, totalPages: number}>}
+ */
+export async function getUsageHistory(userId, { page = 1, pageSize = USAGE_HISTORY_PAGE_SIZE } = {}) {
+  const size = Math.min(MAX_USAGE_HISTORY_PAGE_SIZE, Math.max(1, pageSize));
+  const currentPage = Math.max(1, page);
+
+  const [eventsResult, countResult] = await Promise.all([
+    query(
+      `SELECT id, route, content_type, content_url, content_title, model,
+              prompt_tokens, completion_tokens, tokens_estimated, credits, status, created_at
+       FROM usage_events
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, size, (currentPage - 1) * size]
+    ),
+    query('SELECT COUNT(*)::int AS total FROM usage_events WHERE user_id = $1', [userId])
+  ]);
+
+  const total = countResult.rows[0].total;
+  return {
+    events: eventsResult.rows.map(row => ({
+      id: row.id,
+      route: row.route,
+      contentType: row.content_type,
+      contentUrl: row.content_url,
+      contentTitle: row.content_title,
+      model: row.model,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      tokensEstimated: row.tokens_estimated,
+      credits: row.credits,
+      status: row.status,
+      createdAt: row.created_at
+    })),
+    page: currentPage,
+    pageSize: size,
+    total,
+    totalPages: Math.ceil(total / size)
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Admin Routes
+ * Operational endpoints for administrators (see ADMIN_EMAILS)
+ */
+
+import express from 'express';
+import { authenticate, requireAdmin } from '../config/auth.js';
+import { getGenerationCacheStats, evictGenerationCache } from '../config/generationCache.js';
+import { getModerationConfig, setUserModerationPolicy, resolveModerationPolicy, MODERATION_POLICIES } from '../config/moderation.js';
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(authenticate, requireAdmin);
+
+/**
+ * GET /api/admin/generation-cache
+ * Show the generation cache eviction policy and per-task size and hit counts
+ */
+router.get('/generation-cache', async (req, res) => {
+  try {
+    const stats = await getGenerationCacheStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Generation cache stats error:', error);
+    res.status(500).json({ error: 'Failed to load generation cache stats' });
+  }
+});
+
+/**
+ * POST /api/admin/generation-cache/evict
+ * Apply the eviction policy now instead of waiting for the next scheduled run
+ */
+router.post('/generation-cache/evict', async (req, res) => {
+  try {
+    const evicted = await evictGenerationCache();
+    const stats = await getGenerationCacheStats();
+    res.json({ evicted, ...stats });
+  } catch (error) {
+    console.error('Generation cache eviction error:', error);
+    res.status(500).json({ error: 'Failed to evict generation cache entries' });
+  }
+});
+
+/**
+ * GET /api/admin/moderation
+ * Show the moderation provider, default and organization policies, and what each policy blocks
+ */
+router.get('/moderation', (req, res) => {
+  try {
+    res.json(getModerationConfig());
+  } catch (error) {
+    console.error('Moderation config error:', error);
+    res.status(500).json({ error: error.message || 'Failed to load moderation settings' });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/moderation
+ * Set a user's moderation policy: { policy: 'off' | 'standard' | 'strict' },
+ * or { policy: null } to use their organization's or the default policy
+ */
+router.put('/users/:id/moderation', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    const { policy } = req.body;
+
+    if (!Number.isInteger(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+    if (policy !== null && !MODERATION_POLICIES[policy]) {
+      return res.status(400).json({ error: `Invalid policy. Must be null or one of: ${Object.keys(MODERATION_POLICIES).join(', ')}` });
+    }
+
+    if (!await setUserModerationPolicy(userId, policy)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ userId, ...await resolveModerationPolicy(userId) });
+  } catch (error) {
+    console.error('Set moderation policy error:', error);
+    res.status(500).json({ error: 'Failed to set moderation policy' });
+  }
+});
+
+export default router;
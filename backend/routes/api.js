@@ -4,104 +4,440 @@
  */
 
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import { authenticate } from '../config/auth.js';
-import { query } from '../config/database.js';
-import { resetDailyUsageIfNeeded, incrementUsage } from '../config/usage.js';
+import { generateCompletion } from '../config/llm.js';
+import { condenseContent } from '../config/mapReduce.js';
+import { estimateCreditCost } from '../config/credits.js';
+import { requireEnhancement } from '../config/enhancementGate.js';
+import { retrievePassages, unindexedChars, RETRIEVAL_POLICY } from '../config/retrieval.js';
+import { splitIntoPassages, numberPassages, collectCitations, CITATION_INSTRUCTION } from '../config/citations.js';
+import { detectDocumentFormat, parseDocument, DOCUMENT_FORMATS } from '../config/documents.js';
+import { ocrPdf, OCR_POLICY } from '../config/ocr.js';
+import { jobRoute } from '../config/jobs.js';
+import { safeFetch, isPdf, urlFetchError } from '../config/safeFetch.js';
+import { requireModeration } from '../config/moderation.js';
+import { untrustedBlock, promptTitle, detectInjection, injectionWarning, checkResponse, safetyReport, UNTRUSTED_CONTENT_INSTRUCTION } from '../config/promptSafety.js';
+import { resolveReadingLevel } from '../config/readingLevel.js';
+import { resolveOutputLanguage, languageInstruction } from '../config/language.js';
+import { generationCacheKey, getCachedGeneration, saveCachedGeneration } from '../config/generationCache.js';
+import { generateQuiz, describeQuizSchema, resolveQuizOptions, gradeShortAnswer, GRADING_RATE_LIMIT, QUIZ_DIFFICULTIES, MAX_EXCERPT_CHARS, MAX_STUDENT_ANSWER_CHARS } from '../config/quiz.js';
 
 const router = express.Router();
 
 // All API routes require authentication
 router.use(authenticate);
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY) {
-  console.warn('[API] Warning: OPENAI_API_KEY not configured');
+/**
+ * Check whether the client asked for a streamed (Server-Sent Events) response
+ */
+function wantsStream(req) {
+  return req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
 }
 
 /**
- * Helper function to call OpenAI API
+ * Chat history from the client as model messages
+ * Only user and assistant turns with text are kept: a client-supplied system
+ * turn (or any other role) would be read as instructions.
+ * @param {*} chatHistory - req.body.chatHistory
+ * @returns {Array<{role: string, content: string}>}
  */
-async function callOpenAI(messages, maxTokens = 1500, temperature = 0.7) {
-  if (!OPENAI_API_KEY) {
-    throw new Error('OpenAI API key not configured');
+function historyMessages(chatHistory) {
+  if (!Array.isArray(chatHistory)) {
+    return [];
   }
+  return chatHistory
+    .filter(msg => (msg?.role === 'user' || msg?.role === 'assistant') && typeof msg.content === 'string' && msg.content)
+    .map(msg => ({ role: msg.role, content: msg.content }));
+}
+
+/**
+ * Switch the response to Server-Sent Events
+ * The returned signal aborts when the client disconnects before the stream ends
+ * @returns {{send: Function, end: Function, signal: AbortSignal}}
+ */
+function startEventStream(res) {
+  const signal = clientAbortSignal(res);
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so tokens arrive immediately
+  });
+  res.flushHeaders();
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENAI_API_KEY}`
+  return {
+    send(event, data) {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
     },
-    body: JSON.stringify({
-      model: 'gpt-3.5-turbo',
-      messages: messages,
-      max_tokens: maxTokens,
-      temperature: temperature
-    })
+    end() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    },
+    signal
+  };
+}
+
+/**
+ * Signal that aborts when the client disconnects before the response is sent
+ * Passed to model calls so an abandoned request stops generating and its
+ * reserved enhancement is released.
+ * @returns {AbortSignal}
+ */
+function clientAbortSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
   });
+  return controller.signal;
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI API error: ${errorText}`);
+/**
+ * Respond with a result from the generation cache
+ * Cached results do not use credits, so the usage is reported unchanged
+ * (the ledger records them with 0 credits).
+ * Streaming clients get a single 'done' event.
+ */
+async function sendCachedResult(req, res, cached) {
+  // Cached results were generated for other users, so they are screened like new ones
+  const blocked = await req.moderation?.review(cached);
+  if (blocked) {
+    return sendBlocked(req, res, blocked);
   }
 
-  const data = await response.json();
-  return data.choices[0].message.content;
+  const result = await req.enhancement.cached(cached);
+
+  if (wantsStream(req)) {
+    const stream = startEventStream(res);
+    stream.send('done', result);
+    return stream.end();
+  }
+  res.json(result);
 }
 
 /**
- * POST /api/summarize
- * Generate summary for video, webpage, or PDF
+ * Respond with a result the moderation policy refused (config/moderation.js)
+ * Nothing is shown to the user, so the reserved credits are released.
+ * Pass the open stream when the response has already switched to Server-Sent Events.
  */
-router.post('/summarize', async (req, res) => {
-  try {
-    const { videoId, transcript, context, title, contentType, contentUrl } = req.body;
-    const userId = req.user.userId;
+async function sendBlocked(req, res, blocked, stream) {
+  const usage = await req.enhancement.fail();
+  if (stream) {
+    stream.send('error', { ...blocked, usage });
+    return stream.end();
+  }
+  if (wantsStream(req)) {
+    stream = startEventStream(res);
+    stream.send('error', { ...blocked, usage });
+    return stream.end();
+  }
+  res.status(422).json({ ...blocked, usage });
+}
 
-    // Validate content type
-    const validContentTypes = ['video', 'webpage', 'pdf'];
-    const type = contentType || 'video'; // Default to video for backward compatibility
-    
-    if (!validContentTypes.includes(type)) {
-      return res.status(400).json({ error: `Invalid contentType. Must be one of: ${validContentTypes.join(', ')}` });
+/**
+ * Image sent to /api/chat for the vision model, if any
+ * Checks imageData first (preferred), then falls back to image or the images array
+ */
+function chatImage(body) {
+  const { useVisionModel, imageData, image, images } = body;
+  if (!useVisionModel) {
+    return null;
+  }
+  return imageData || image || (Array.isArray(images) && images.length > 0 ? images[0] : null);
+}
+
+/**
+ * Content items a chat message is about
+ * Accepts `sources` (one `{ id, label, contentType, text }` per transcript, page or
+ * uploaded file) or, from older clients, a single `context` string. The id
+ * ('content', 'upload' or 'page') is returned with citations to tell them apart.
+ * Text past RETRIEVAL_POLICY.maxSourceChars (all sources together) is dropped.
+ * @returns {Array<{id: string|null, label: string|null, contentType: string, text: string}>}
+ */
+function chatSources(body) {
+  const validContentTypes = ['video', 'webpage', 'pdf'];
+  const items = Array.isArray(body.sources) && body.sources.length > 0
+    ? body.sources
+    : [{ contentType: body.contentType, text: body.context }];
+
+  // Sources share one length budget, in the order they were sent
+  let remainingChars = RETRIEVAL_POLICY.maxSourceChars;
+  return items
+    .filter(item => item && typeof item.text === 'string' && item.text.trim())
+    .map(item => {
+      const text = item.text.substring(0, remainingChars);
+      remainingChars -= text.length;
+      return {
+        id: typeof item.id === 'string' ? item.id.substring(0, 50) : null,
+        label: typeof item.label === 'string' ? item.label.substring(0, 200) : null,
+        contentType: validContentTypes.includes(item.contentType) ? item.contentType : 'webpage',
+        text
+      };
+    })
+    .filter(source => source.text.trim());
+}
+
+/**
+ * Characters of content a chat turn can include; less room when an image is present,
+ * since chat history also needs space
+ */
+function chatContextChars(body) {
+  return chatImage(body) ? 4000 : 8000; // ~1000 / ~2000 tokens
+}
+
+/**
+ * Parse a single uploaded file into req.file (multer, memory storage)
+ * @param {string} field - Form field name
+ * @param {number} maxBytes - Size limit
+ */
+function uploadFile(field, maxBytes) {
+  return async (req, res, next) => {
+    // Check if multer is available
+    let multer;
+    try {
+      multer = (await import('multer')).default;
+    } catch (e) {
+      return res.status(500).json({ 
+        error: 'File upload middleware not available. Please install multer: npm install multer' 
+      });
     }
 
-    // Get content text (transcript for video, text for webpage/pdf)
-    const contentText = transcript || req.body.text || req.body.content;
-    if (!contentText) {
-      return res.status(400).json({ error: 'Content text is required' });
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxBytes }
+    });
+
+    upload.single(field)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message || 'File upload error' });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file provided' });
+      }
+      next();
+    });
+  };
+}
+
+/**
+ * Extract PDF text with a "[Page N]" marker before each page
+ * The markers let long documents be chunked and cited by page.
+ * @param {Function} pdfParse - pdf-parse module
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<{text: string, hasText: boolean, numpages: number, info: Object}>}
+ */
+async function parsePdfWithPages(pdfParse, buffer) {
+  const pdfData = await pdfParse(buffer, {
+    // Same line-joining as pdf-parse's default renderer, plus the page marker
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+      });
+
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      return `[Page ${pageData.pageNumber}]\n${text}`;
     }
+  });
 
-    // Check usage limit before generation
-    await resetDailyUsageIfNeeded(userId);
-    const usageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
+  const text = (pdfData.text || '').trim();
+  return {
+    text,
+    hasText: !!text.replace(/\[Page \d+\]/g, '').trim(),
+    numpages: pdfData.numpages || 0,
+    info: pdfData.info || {}
+  };
+}
 
-    if (usageResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+/**
+ * Respond with the text of a parsed PDF, reading scanned pages with OCR when it has no text layer
+ * PDFs with text are free. Every scanned page costs credits (config/credits.js),
+ * so OCR only runs when the request opts in with `ocr` (true, or "true" in a form
+ * upload); otherwise the client gets a 422 with the page count and cost to ask
+ * the user first. With Server-Sent Events, OCR sends a progress event per page.
+ * @param {Object} pdfData - From parsePdfWithPages
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} [fields] - Extra response fields (info, fileType, filename...)
+ */
+async function sendPdfText(req, res, pdfData, buffer, fields = {}) {
+  if (pdfData.hasText) {
+    if (!await req.enhancement.reserve(res)) {
+      return;
     }
+    return res.json(await req.enhancement.complete({ text: pdfData.text, pages: pdfData.numpages, ...fields }));
+  }
 
-    const user = usageResult.rows[0];
-    if (user.enhancements_used >= user.enhancements_limit) {
-      return res.status(403).json({
-        error: 'Daily enhancement limit reached',
-        enhancementsUsed: user.enhancements_used,
-        enhancementsLimit: user.enhancements_limit
-      });
+  const ocrPages = Math.min(pdfData.numpages, OCR_POLICY.maxPages);
+  if (!OCR_POLICY.enabled || ocrPages === 0) {
+    return res.status(400).json({ error: 'Could not extract text from PDF. The PDF may be image-based or encrypted.' });
+  }
+
+  const { cost } = estimateCreditCost(req.enhancement.route, {
+    task: OCR_POLICY.provider === 'vision' ? 'vision' : 'text',
+    ocrPages
+  });
+  if (req.body?.ocr !== true && req.body?.ocr !== 'true') {
+    const limited = ocrPages < pdfData.numpages ? ` (the first ${ocrPages} of ${pdfData.numpages})` : '';
+    return res.status(422).json({
+      error: `This PDF is scanned and has no text layer. Reading its ${ocrPages} pages${limited} with OCR uses ${cost} credits.`,
+      scanned: true,
+      pages: pdfData.numpages,
+      ocrPages,
+      cost
+    });
+  }
+
+  req.enhancement.setCost(cost);
+  if (!await req.enhancement.reserve(res)) {
+    return;
+  }
+
+  let stream = null;
+  try {
+    if (wantsStream(req)) {
+      stream = startEventStream(res);
+    }
+    const signal = stream ? stream.signal : clientAbortSignal(res);
+
+    const ocr = await ocrPdf(buffer, {
+      route: req.enhancement.route,
+      maxPages: ocrPages,
+      signal,
+      onProgress: stream ? (progress) => stream.send('progress', progress) : undefined,
+      onUsage: req.enhancement.onUsage
+    });
+    if (!ocr.text.replace(/\[Page \d+\]/g, '').trim()) {
+      throw new Error('No text was found on the scanned pages.');
     }
 
-    // Increment usage before generation
-    const incrementResult = await incrementUsage(userId);
-    if (!incrementResult.success) {
-      return res.status(403).json({
-        error: incrementResult.error || 'Failed to increment usage',
-        usage: incrementResult.usage
-      });
+    const result = await req.enhancement.complete({
+      text: ocr.text,
+      pages: pdfData.numpages,
+      ...fields,
+      ocr: { provider: ocr.provider, pages: ocr.pages, truncated: ocr.truncated }
+    });
+
+    if (stream) {
+      stream.send('done', result);
+      return stream.end();
     }
+    res.json(result);
+  } catch (error) {
+    console.error('PDF OCR error:', error);
+    const usage = await req.enhancement.fail();
+    if (stream) {
+      stream.send('error', { error: error.message || 'Failed to read the scanned PDF', usage });
+      return stream.end();
+    }
+    res.status(500).json({ error: error.message || 'Failed to read the scanned PDF', usage });
+  }
+}
+
+/**
+ * Content text of a summarize request: a transcript for videos, text for webpages and PDFs
+ */
+function summarizeContent(body) {
+  return body.transcript || body.text || body.content;
+}
+
+/**
+ * Why a summarize request would be answered 400, or null
+ * Also checked before the request is queued as a background job
+ */
+function summarizeRequestError(req) {
+  const { contentType, readingLevel, outputLanguage } = req.body;
+  const validContentTypes = ['video', 'webpage', 'pdf'];
+  // Default to video for backward compatibility
+  const type = contentType || 'video';
+  if (!validContentTypes.includes(type)) {
+    return `Invalid contentType. Must be one of: ${validContentTypes.join(', ')}`;
+  }
+
+  const contentText = summarizeContent(req.body);
+  if (!contentText) {
+    return 'Content text is required';
+  }
+
+  const readingLevelError = resolveReadingLevel(readingLevel).error;
+  if (readingLevelError) {
+    return readingLevelError;
+  }
+  const outputLanguageError = resolveOutputLanguage(outputLanguage).error;
+  if (outputLanguageError) {
+    return outputLanguageError;
+  }
+
+  // Video timestamps and extra whitespace do not count towards the length
+  const cleanContent = type === 'video' ? contentText.replace(/\[\d+:\d+\]/g, '') : contentText;
+  if (cleanContent.replace(/\s+/g, ' ').trim().length < 10) {
+    return 'Content is too short or empty';
+  }
+  return null;
+}
 
-    // Clean content text
+/**
+ * POST /api/summarize
+ * Generate summary for video, webpage, or PDF
+ * Long content is condensed with map-reduce so the summary covers the whole source
+ * The summary cites its passages with [S1]-style markers; `citations` lists them
+ * with the timestamp, page or section each one points to (config/citations.js)
+ * Identical requests are served from the generation cache without using an enhancement; send `refresh: true` to regenerate
+ * Set `stream: true` in the body to receive Server-Sent Events (progress, token, done, error)
+ * Set `background: true` to run it as a job instead: answers 202 { job } (see GET /api/jobs/:id)
+ */
+router.post('/summarize', ...jobRoute('summarize', { validate: summarizeRequestError }, requireEnhancement('summarize', {
+  // Longer content and pricier models cost more credits (config/credits.js)
+  cost: (req) => estimateCreditCost('summarize', {
+    contentChars: (summarizeContent(req.body) || '').length
+  }).cost
+}), requireModeration('summarize', {
+  output: (result) => result.summary
+}), async (req, res) => {
+  let stream = null;
+  try {
+    const { videoId, context, title, contentType, contentUrl } = req.body;
+
+    const invalid = summarizeRequestError(req);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const type = contentType || 'video';
+    const contentText = summarizeContent(req.body);
+    const { level: readingLevel } = resolveReadingLevel(req.body.readingLevel);
+    const { language: outputLanguage } = resolveOutputLanguage(req.body.outputLanguage);
+
+    req.enhancement.describe({ contentType: type });
+
+    // The same content with the same settings was already generated: serve it without using an enhancement
+    const cacheKey = generationCacheKey('summarize', contentText, {
+      contentType: type,
+      title,
+      context,
+      readingLevel: readingLevel.key,
+      outputLanguage: outputLanguage?.code
+    });
+    if (!req.body.refresh) {
+      const cached = await getCachedGeneration(cacheKey);
+      if (cached) {
+        return sendCachedResult(req, res, cached);
+      }
+    }
+
+    // Plain text for the length check and word count
+    // (the prompt keeps timestamps and page markers so the summary can cite them)
     let cleanContent = contentText;
     if (type === 'video') {
       // Remove timestamps from video transcripts
@@ -111,8 +447,10 @@ router.post('/summarize', async (req, res) => {
       cleanContent = contentText.replace(/\s+/g, ' ').trim();
     }
 
-    if (cleanContent.length < 10) {
-      return res.status(400).json({ error: 'Content is too short or empty' });
+    // Reserve the credits: they are committed once the result is ready and
+    // released if generation fails, times out or the client disconnects
+    if (!await req.enhancement.reserve(res)) {
+      return;
     }
 
     // Calculate target word count based on content type
@@ -125,11 +463,11 @@ router.post('/summarize', async (req, res) => {
       const estimatedVideoMinutes = contentWordCount / 150;
       const targetReadingMinutes = estimatedVideoMinutes / 10;
       targetWordCount = Math.round(targetReadingMinutes * 150);
-      targetWordCount = Math.max(300, Math.min(2000, targetWordCount));
+      targetWordCount = Math.max(300, Math.min(2000, Math.round(targetWordCount * readingLevel.lengthFactor)));
     } else {
       // Webpage/PDF: summarize to 10-20% of original
       targetWordCount = Math.round(contentWordCount * 0.15);
-      targetWordCount = Math.max(200, Math.min(2000, targetWordCount));
+      targetWordCount = Math.max(200, Math.min(2000, Math.round(targetWordCount * readingLevel.lengthFactor)));
     }
 
     maxTokens = Math.round(targetWordCount * 1.2);
@@ -139,193 +477,329 @@ router.post('/summarize', async (req, res) => {
     let systemPrompt;
 
     if (type === 'video') {
-      systemPrompt = `Summarize this video about ${title || 'the topic'} for a 5th grader, aiming for about ${targetWordCount} words. Use <h4> for headings and <strong> for important terms.${contextPrompt}`;
+      systemPrompt = `Summarize this video about ${promptTitle(title, 'the topic')} for ${readingLevel.audience}, aiming for about ${targetWordCount} words. Use <h4> for headings and <strong> for important terms. ${readingLevel.style}${contextPrompt}`;
     } else if (type === 'webpage') {
-      systemPrompt = `Summarize this webpage "${title || 'article'}" for a 5th grader, aiming for about ${targetWordCount} words. Use <h4> for headings and <strong> for important terms. Keep it simple and easy to understand.${contextPrompt}`;
+      systemPrompt = `Summarize this webpage "${promptTitle(title, 'article')}" for ${readingLevel.audience}, aiming for about ${targetWordCount} words. Use <h4> for headings and <strong> for important terms. ${readingLevel.style}${contextPrompt}`;
     } else if (type === 'pdf') {
-      systemPrompt = `Summarize this PDF document "${title || 'document'}" for a 5th grader, aiming for about ${targetWordCount} words. Use <h4> for headings and <strong> for important terms. Keep it simple and easy to understand.${contextPrompt}`;
+      systemPrompt = `Summarize this PDF document "${promptTitle(title, 'document')}" for ${readingLevel.audience}, aiming for about ${targetWordCount} words. Use <h4> for headings and <strong> for important terms. ${readingLevel.style}${contextPrompt}`;
+    }
+    systemPrompt += `\n\n${CITATION_INSTRUCTION}`;
+    // The content is third-party text: it goes in a delimited user block and cannot give instructions
+    const injection = detectInjection(contentText, title);
+    systemPrompt += `\n\n${UNTRUSTED_CONTENT_INSTRUCTION}${injectionWarning(injection)}`;
+    if (outputLanguage) {
+      systemPrompt += `\n\n${languageInstruction(outputLanguage)}`;
     }
 
-    const summary = await callOpenAI([
+    // Switch to Server-Sent Events if requested (progress, token, done, error)
+    if (wantsStream(req)) {
+      stream = startEventStream(res);
+    }
+    const signal = stream ? stream.signal : clientAbortSignal(res);
+
+    // Number the passages, keeping their timestamps and page markers, so the summary can cite them
+    const numbered = numberPassages(splitIntoPassages(contentText, { contentType: type, sourceId: 'content' }));
+
+    // Long content is condensed chunk by chunk so the summary covers all of it
+    const condensed = await condenseContent(numbered.text, {
+      contentType: type,
+      route: 'summarize',
+      title,
+      signal,
+      onProgress: stream ? (progress) => stream.send('progress', progress) : undefined,
+      onUsage: req.enhancement.onUsage,
+      keepCitations: true
+    });
+    const promptContent = condensed.condensed
+      ? condensed.text
+      : numbered.text;
+
+    const completion = await generateCompletion([
       { role: 'system', content: systemPrompt },
-      { role: 'user', content: cleanContent }
-    ], maxTokens);
+      { role: 'user', content: untrustedBlock(promptContent, { source: condensed.condensed ? `${type} notes` : type }) }
+    ], {
+      route: 'summarize',
+      maxTokens,
+      signal,
+      onUsage: req.enhancement.onUsage,
+      // Moderated summaries, and summaries of content that tries to instruct the model,
+      // are checked whole before any of them is shown
+      onToken: stream && !req.moderation.active && !injection.suspected ? (text) => stream.send('token', { text }) : undefined
+    });
+
+    const cited = collectCitations(completion, numbered.citations);
+    const check = checkResponse(cited.text, { detection: injection, content: contentText });
+    const summary = check.text;
+    const { citations } = cited;
+    const safety = safetyReport('summarize', injection, check);
 
-    // Get updated usage
-    const updatedUsageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
-    const updatedUsage = updatedUsageResult.rows[0];
+    const blocked = await req.moderation.review({ summary }, safety);
+    if (blocked) {
+      return sendBlocked(req, res, blocked, stream);
+    }
 
-    res.json({
+    await saveCachedGeneration(cacheKey, 'summarize', { summary, citations, contentType: type, chunks: condensed.chunkCount, truncated: condensed.truncated, safety });
+
+    const result = await req.enhancement.complete({
       summary,
+      citations,
       contentType: type,
-      usage: {
-        enhancementsUsed: updatedUsage.enhancements_used,
-        enhancementsLimit: updatedUsage.enhancements_limit,
-        remaining: Math.max(0, updatedUsage.enhancements_limit - updatedUsage.enhancements_used)
-      }
+      chunks: condensed.chunkCount,
+      truncated: condensed.truncated,
+      safety
     });
+
+    if (stream) {
+      stream.send('done', result);
+      return stream.end();
+    }
+    res.json(result);
   } catch (error) {
     console.error('Summarize error:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate summary' });
+    const usage = await req.enhancement.fail();
+    if (stream) {
+      stream.send('error', { error: error.message || 'Failed to generate summary', usage });
+      return stream.end();
+    }
+    res.status(500).json({ error: error.message || 'Failed to generate summary', usage });
   }
-});
+}));
 
 /**
  * POST /api/quiz
  * Generate quiz questions
+ * Options: `questionCount` (3-30), `questionTypes` (multiple-choice, true-false, multi-select,
+ * fill-blank, short-answer), `difficulty` (intro, intermediate, exam), `optionCount` (4-6)
+ * Returns `quiz: { questions: [{ type, question, ..., explanation, source }] }` (see config/quiz.js)
+ * Identical requests are served from the generation cache without using an enhancement; send `refresh: true` to regenerate
+ * Set `stream: true` in the body to receive progress as Server-Sent Events (progress, done, error)
  */
-router.post('/quiz', async (req, res) => {
+router.post('/quiz', requireEnhancement('quiz', {
+  // Longer content, bigger quizzes and pricier models cost more credits (config/credits.js)
+  cost: (req) => estimateCreditCost('quiz', {
+    contentChars: (req.body.transcript || '').length,
+    questionCount: resolveQuizOptions(req.body).options?.questionCount
+  }).cost
+}), requireModeration('quiz', {
+  output: (result) => JSON.stringify(result.quiz)
+}), async (req, res) => {
+  let stream = null;
   try {
-    const { videoId, transcript, summary, difficulty, title } = req.body;
-    const userId = req.user.userId;
+    const { videoId, transcript, summary, title, contentType } = req.body;
 
     if (!transcript && !summary) {
       return res.status(400).json({ error: 'Transcript or summary is required' });
     }
 
-    // Check usage limit before generation
-    await resetDailyUsageIfNeeded(userId);
-    const usageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
+    const { options: quizOptions, error: optionsError } = resolveQuizOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
 
-    if (usageResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const { level: readingLevel, error: readingLevelError } = resolveReadingLevel(req.body.readingLevel);
+    if (readingLevelError) {
+      return res.status(400).json({ error: readingLevelError });
+    }
+    const { language: outputLanguage, error: outputLanguageError } = resolveOutputLanguage(req.body.outputLanguage);
+    if (outputLanguageError) {
+      return res.status(400).json({ error: outputLanguageError });
     }
 
-    const user = usageResult.rows[0];
-    if (user.enhancements_used >= user.enhancements_limit) {
-      return res.status(403).json({
-        error: 'Daily enhancement limit reached',
-        enhancementsUsed: user.enhancements_used,
-        enhancementsLimit: user.enhancements_limit
-      });
+    // The same content with the same settings was already generated: serve it without using an enhancement
+    const cacheKey = generationCacheKey('quiz', [transcript, summary], {
+      contentType,
+      title,
+      quizOptions,
+      readingLevel: readingLevel.key,
+      outputLanguage: outputLanguage?.code
+    });
+    if (!req.body.refresh) {
+      const cached = await getCachedGeneration(cacheKey);
+      if (cached) {
+        return sendCachedResult(req, res, cached);
+      }
     }
 
-    // Increment usage before generation
-    const incrementResult = await incrementUsage(userId);
-    if (!incrementResult.success) {
-      return res.status(403).json({
-        error: incrementResult.error || 'Failed to increment usage',
-        usage: incrementResult.usage
-      });
+    // Reserve the credits: they are committed once the result is ready and
+    // released if generation fails, times out or the client disconnects
+    if (!await req.enhancement.reserve(res)) {
+      return;
     }
 
-    // Truncate transcript/summary aggressively to avoid token limits
-    // Rough estimate: 4 chars per token, so 4000 chars ≈ 1000 tokens
-    // System prompt is ~500 tokens, so we have ~1500 tokens left for content
-    const maxTranscriptLength = 4000; // ~1000 tokens
-    const maxSummaryLength = 1000; // ~250 tokens
-    const truncatedTranscript = transcript ? transcript.substring(0, maxTranscriptLength) : '';
-    const truncatedSummary = summary ? summary.substring(0, maxSummaryLength) : '';
-    
-    // Use summary if available (shorter), otherwise use truncated transcript
-    const contentToUse = truncatedSummary || truncatedTranscript;
-    
-    if (!contentToUse) {
-      return res.status(400).json({ error: 'Transcript or summary is required' });
+    // Switch to Server-Sent Events if requested (progress, done, error)
+    if (wantsStream(req)) {
+      stream = startEventStream(res);
     }
-    
+    const signal = stream ? stream.signal : clientAbortSignal(res);
+
+    // Quiz questions are drawn from the whole source: long transcripts are
+    // condensed chunk by chunk instead of being cut off after a few pages
+    const condensed = transcript
+      ? await condenseContent(transcript, {
+        contentType: contentType || 'video',
+        route: 'quiz',
+        title,
+        signal,
+        onProgress: stream ? (progress) => stream.send('progress', progress) : undefined,
+        onUsage: req.enhancement.onUsage
+      })
+      : null;
+    const maxSummaryLength = 4000; // ~1000 tokens
+
     // Generate quiz
-    const contextToUse = difficulty ? `\n\nThe user requests: ${difficulty} difficulty` : '';
-    const systemPrompt = `You are making a quiz about content (video, webpage, or document). Create EXACTLY 3 multiple-choice questions that a 5th grader can understand.${contextToUse}
-Topic: ${title || 'unknown topic'}
+    const { questionCount, difficulty: level } = quizOptions;
+    const injection = detectInjection(transcript, summary, title);
+    const systemPrompt = `You are making a quiz about content (video, webpage, or document). Create EXACTLY ${questionCount} questions written for ${readingLevel.audience}.
+Topic: ${promptTitle(title, 'unknown topic')}
+Difficulty: ${QUIZ_DIFFICULTIES[level]}
+Reading level: ${readingLevel.style}
 Follow these rules:
-1. Make EXACTLY 3 questions
-2. Use simple words and short sentences
-3. Ask about the main ideas from the video
-4. Make questions clear and easy to understand
-5. Focus on the important parts
-6. Use words that a 5th grader knows
-7. Each question needs 3 choices (A, B, C)
-8. Only one answer should be right
-9. Wrong answers should make sense but be clearly wrong
-10. Use this exact format for each question:
-<div class="question">
-  <p class="question-text">1. Your question text here?</p>
-  <div class="answers">
-    <label class="answer">
-      <input type="radio" name="q1" value="a">
-      <span>Answer A</span>
-    </label>
-    <label class="answer">
-      <input type="radio" name="q1" value="b">
-      <span>Answer B</span>
-    </label>
-    <label class="answer">
-      <input type="radio" name="q1" value="c">
-      <span>Answer C</span>
-    </label>
-  </div>
-  <div class="correct-answer" style="display: none;">a</div>
-</div>
-
-11. After all questions, add this navigation structure:
-<div class="quiz-navigation">
-  <span id="questionCounter">Question 1/3</span>
-  <div class="quiz-nav-controls">
-    <button id="prevQuestion" class="nav-button" disabled>&lt;</button>
-    <button id="nextQuestion" class="nav-button">&gt;</button>
-    <button id="submitQuiz" class="submit-quiz">Submit Quiz</button>
-  </div>
-</div>
-
-- Use q1, q2, q3 for the radio button names
-- Use a, b, c for the radio button values
-- Include the correct answer in the hidden div
-- Number questions 1, 2, 3
-- Make all 3 questions in one response
-- Check that you have exactly 3 questions`;
-
-    // Use truncated content to avoid token limits
-    const content = truncatedSummary 
-      ? `Content Summary: ${truncatedSummary}${contextToUse}` 
-      : `Content Transcript: ${truncatedTranscript}${contextToUse}`;
-
-    const quiz = await callOpenAI([
+1. Make EXACTLY ${questionCount} questions
+2. Ask about the main ideas from the content
+3. Make questions clear and unambiguous
+4. Cover the whole content, not just the beginning
+5. Do not repeat a question or ask the same thing twice
+6. Every question must be answerable from the content, with no room for argument
+7. Wrong answers should make sense but be clearly wrong
+8. Only ask about things that are in the content
+
+${describeQuizSchema(quizOptions)}
+
+${UNTRUSTED_CONTENT_INSTRUCTION}${injectionWarning(injection)}${outputLanguage ? `\n\n${languageInstruction(outputLanguage, { json: true })}` : ''}`;
+
+    const contentParts = [];
+    if (condensed) {
+      contentParts.push(untrustedBlock(condensed.text, { source: condensed.condensed ? 'content notes' : 'content transcript' }));
+    }
+    if (summary) {
+      contentParts.push(untrustedBlock(summary.substring(0, maxSummaryLength), { source: 'content summary' }));
+    }
+    const content = contentParts.join('\n\n');
+
+    // Validated JSON; malformed output is sent back to the model to repair
+    const quiz = await generateQuiz([
       { role: 'system', content: systemPrompt },
       { role: 'user', content: content }
-    ], 1500);
+    ], { route: 'quiz', quizOptions, signal, onUsage: req.enhancement.onUsage });
 
-    // Verify we got exactly 3 questions
-    const questionCount = (quiz.match(/<div class="question">/g) || []).length;
-    if (questionCount !== 3) {
-      console.warn(`[API] Generated ${questionCount} questions instead of 3`);
+    const safety = safetyReport('quiz', injection, checkResponse(JSON.stringify(quiz), { detection: injection, content: transcript || summary }));
+
+    const blocked = await req.moderation.review({ quiz }, safety);
+    if (blocked) {
+      return sendBlocked(req, res, blocked, stream);
     }
 
-    // Get updated usage
-    const updatedUsageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
-    const updatedUsage = updatedUsageResult.rows[0];
+    await saveCachedGeneration(cacheKey, 'quiz', { quiz, chunks: condensed?.chunkCount || 1, truncated: condensed?.truncated || null, safety });
 
-    res.json({
+    const result = await req.enhancement.complete({
       quiz,
-      usage: {
-        enhancementsUsed: updatedUsage.enhancements_used,
-        enhancementsLimit: updatedUsage.enhancements_limit,
-        remaining: Math.max(0, updatedUsage.enhancements_limit - updatedUsage.enhancements_used)
-      }
+      chunks: condensed?.chunkCount || 1,
+      truncated: condensed?.truncated || null,
+      safety
     });
+
+    if (stream) {
+      stream.send('done', result);
+      return stream.end();
+    }
+    res.json(result);
   } catch (error) {
     console.error('Quiz generation error:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate quiz' });
+    const usage = await req.enhancement.fail();
+    if (stream) {
+      stream.send('error', { error: error.message || 'Failed to generate quiz', usage });
+      return stream.end();
+    }
+    res.status(500).json({ error: error.message || 'Failed to generate quiz', usage });
+  }
+});
+
+// Per user rather than per IP, since a class can share one address
+const gradingLimiter = rateLimit({
+  windowMs: GRADING_RATE_LIMIT.windowMinutes * 60 * 1000,
+  max: GRADING_RATE_LIMIT.maxGrades,
+  keyGenerator: (req) => `user:${req.user.userId}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false }, // Not keyed on the IP
+  message: { error: 'Too many answers graded. Please wait a few minutes and try again.' }
+});
+
+/**
+ * POST /api/quiz/grade
+ * Grade a free-text answer to a short-answer quiz question
+ * Body: `question`, `answer`, optional `excerpt` (source passage), `rubric` and `sampleAnswer`
+ * Returns `{ score (0-100), verdict, feedback, citation }`. Grading is part of the quiz
+ * the user already paid for, so it uses no credits; it is rate limited per user
+ * (QUIZ_GRADE_RATE_LIMIT per 15 minutes) and recorded in the usage ledger.
+ */
+router.post('/quiz/grade', gradingLimiter, requireEnhancement('quiz-grade', {
+  cost: 0
+}), requireModeration('quiz-grade', {
+  input: (req) => ({ texts: [req.body.answer] }),
+  output: (result) => result.feedback
+}), async (req, res) => {
+  try {
+    const { question, answer, excerpt, rubric, sampleAnswer } = req.body;
+
+    if (!question || typeof question !== 'string') {
+      return res.status(400).json({ error: 'Question is required' });
+    }
+    if (answer !== undefined && typeof answer !== 'string') {
+      return res.status(400).json({ error: 'Answer must be a string' });
+    }
+    if ((answer || '').length > MAX_STUDENT_ANSWER_CHARS) {
+      return res.status(400).json({ error: `Answer must be at most ${MAX_STUDENT_ANSWER_CHARS} characters` });
+    }
+    if (excerpt && (typeof excerpt !== 'string' || excerpt.length > MAX_EXCERPT_CHARS)) {
+      return res.status(400).json({ error: `Excerpt must be a string of at most ${MAX_EXCERPT_CHARS} characters` });
+    }
+
+    const { level: readingLevel, error: readingLevelError } = resolveReadingLevel(req.body.readingLevel);
+    if (readingLevelError) {
+      return res.status(400).json({ error: readingLevelError });
+    }
+    const { language: outputLanguage, error: outputLanguageError } = resolveOutputLanguage(req.body.outputLanguage);
+    if (outputLanguageError) {
+      return res.status(400).json({ error: outputLanguageError });
+    }
+
+    const grade = await gradeShortAnswer({
+      question,
+      answer: answer || '',
+      excerpt: typeof excerpt === 'string' ? excerpt : '',
+      rubric: typeof rubric === 'string' ? rubric : '',
+      sampleAnswer: typeof sampleAnswer === 'string' ? sampleAnswer : '',
+      audience: readingLevel.audience,
+      language: outputLanguage,
+      signal: clientAbortSignal(res),
+      onUsage: req.enhancement.onUsage
+    });
+
+    const blocked = await req.moderation.review(grade);
+    if (blocked) {
+      return sendBlocked(req, res, blocked, null);
+    }
+
+    res.json(await req.enhancement.complete(grade));
+  } catch (error) {
+    console.error('Quiz grading error:', error);
+    const usage = await req.enhancement.fail();
+    res.status(500).json({ error: error.message || 'Failed to grade answer', usage });
   }
 });
 
 /**
  * POST /api/qa
  * Answer questions about video, webpage, or PDF
+ * The answer cites the content with [S1]-style markers listed in `citations`
  */
-router.post('/qa', async (req, res) => {
+router.post('/qa', requireEnhancement('qa'), requireModeration('qa', {
+  input: (req) => ({ texts: [req.body.question] }),
+  output: (result) => result.answer
+}), async (req, res) => {
   try {
     const { videoId, transcript, question, chatHistory, summary, title, contentType, text, contentUrl } = req.body;
-    const userId = req.user.userId;
 
     if (!question) {
       return res.status(400).json({ error: 'Question is required' });
@@ -339,58 +813,53 @@ router.post('/qa', async (req, res) => {
       return res.status(400).json({ error: 'Content text or summary is required' });
     }
 
-    // Check usage limit before generation
-    await resetDailyUsageIfNeeded(userId);
-    const usageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (usageResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const { level: readingLevel, error: readingLevelError } = resolveReadingLevel(req.body.readingLevel);
+    if (readingLevelError) {
+      return res.status(400).json({ error: readingLevelError });
     }
-
-    const user = usageResult.rows[0];
-    if (user.enhancements_used >= user.enhancements_limit) {
-      return res.status(403).json({
-        error: 'Daily enhancement limit reached',
-        enhancementsUsed: user.enhancements_used,
-        enhancementsLimit: user.enhancements_limit
-      });
+    const { language: outputLanguage, error: outputLanguageError } = resolveOutputLanguage(req.body.outputLanguage);
+    if (outputLanguageError) {
+      return res.status(400).json({ error: outputLanguageError });
     }
 
-    // Increment usage before generation
-    const incrementResult = await incrementUsage(userId);
-    if (!incrementResult.success) {
-      return res.status(403).json({
-        error: incrementResult.error || 'Failed to increment usage',
-        usage: incrementResult.usage
-      });
+    req.enhancement.describe({ contentType: type });
+
+    // Reserve the credits: they are committed once the result is ready and
+    // released if generation fails, times out or the client disconnects
+    if (!await req.enhancement.reserve(res)) {
+      return;
     }
 
     // Build system message based on content type
     let systemContent;
-    const contentTitle = title || (type === 'video' ? 'unknown video' : type === 'pdf' ? 'unknown document' : 'unknown page');
+    const contentTitle = promptTitle(title, type === 'video' ? 'unknown video' : type === 'pdf' ? 'unknown document' : 'unknown page');
     
     if (type === 'video') {
-      systemContent = `You are helping a 5th grader understand a YouTube video titled "${contentTitle}". Give short, simple answers that are easy to understand. Use basic words and short sentences. If you're not sure about something, just say so in a simple way.`;
+      systemContent = `You are helping ${readingLevel.audience} understand a YouTube video titled "${contentTitle}". Give short, clear answers. ${readingLevel.style} If you're not sure about something, just say so.`;
     } else if (type === 'webpage') {
-      systemContent = `You are helping a 5th grader understand a webpage titled "${contentTitle}". Give short, simple answers that are easy to understand. Use basic words and short sentences. If you're not sure about something, just say so in a simple way.`;
+      systemContent = `You are helping ${readingLevel.audience} understand a webpage titled "${contentTitle}". Give short, clear answers. ${readingLevel.style} If you're not sure about something, just say so.`;
     } else if (type === 'pdf') {
-      systemContent = `You are helping a 5th grader understand a PDF document titled "${contentTitle}". Give short, simple answers that are easy to understand. Use basic words and short sentences. If you're not sure about something, just say so in a simple way.`;
+      systemContent = `You are helping ${readingLevel.audience} understand a PDF document titled "${contentTitle}". Give short, clear answers. ${readingLevel.style} If you're not sure about something, just say so.`;
     }
 
     systemContent += `
 
 Rules:
 1. Keep answers short (2-3 sentences if possible)
-2. Use words that a 5th grader knows
-3. Break down complex ideas into simple parts
+2. Match the vocabulary and depth to ${readingLevel.audience}
+3. Break down complex ideas into parts
 4. Use examples when it helps
 5. Be friendly and encouraging
-6. If you need to use a big word, explain what it means
-7. Focus on the main points
-8. Keep explanations clear and direct`;
+6. Focus on the main points
+7. Keep explanations clear and direct`;
+    if (contentText) {
+      systemContent += `\n\n${CITATION_INSTRUCTION}`;
+    }
+    const injection = detectInjection(contentText, summary, title);
+    systemContent += `\n\n${UNTRUSTED_CONTENT_INSTRUCTION}${injectionWarning(injection)}`;
+    if (outputLanguage) {
+      systemContent += `\n\n${languageInstruction(outputLanguage)}`;
+    }
 
     // Build messages array with chat history
     const messages = [
@@ -401,104 +870,139 @@ Rules:
     ];
 
     // Add chat history if provided
-    if (chatHistory && Array.isArray(chatHistory)) {
-      chatHistory.forEach(msg => {
-        if (msg.role && msg.content) {
-          messages.push({ role: msg.role, content: msg.content });
-        }
-      });
-    }
+    messages.push(...historyMessages(chatHistory));
 
-    // Add current context
+    // Add current context, numbered so the answer can cite it
     const contentLabel = type === 'video' ? 'Video' : type === 'pdf' ? 'PDF document' : 'Webpage';
+    const numbered = numberPassages(splitIntoPassages(contentText, { contentType: type, sourceId: 'content' }));
     const contextContent = summary
-      ? `${contentLabel} content: ${contentText || ''}\n\n${contentLabel} summary: ${summary}\n\nQuestion: ${question}`
-      : `${contentLabel} content: ${contentText}\n\nQuestion: ${question}`;
+      ? `${untrustedBlock(numbered.text, { source: `${contentLabel} content` })}\n\n${untrustedBlock(summary, { source: `${contentLabel} summary` })}\n\nQuestion: ${question}`
+      : `${untrustedBlock(numbered.text, { source: `${contentLabel} content` })}\n\nQuestion: ${question}`;
 
     messages.push({ role: 'user', content: contextContent });
 
     // Generate answer
-    const answer = await callOpenAI(messages, 150, 0.7);
+    const completion = await generateCompletion(messages, {
+      route: 'qa',
+      maxTokens: readingLevel.answerTokens,
+      temperature: 0.7,
+      signal: clientAbortSignal(res),
+      onUsage: req.enhancement.onUsage
+    });
+
+    const cited = collectCitations(completion, numbered.citations);
+    const check = checkResponse(cited.text, { detection: injection, content: contentText });
+    const safety = safetyReport('qa', injection, check);
 
-    // Get updated usage
-    const updatedUsageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
-    const updatedUsage = updatedUsageResult.rows[0];
+    const blocked = await req.moderation.review({ answer: check.text }, safety);
+    if (blocked) {
+      return sendBlocked(req, res, blocked);
+    }
 
-    res.json({
-      answer,
+    res.json(await req.enhancement.complete({
+      answer: check.text,
+      citations: cited.citations,
       contentType: type,
-      usage: {
-        enhancementsUsed: updatedUsage.enhancements_used,
-        enhancementsLimit: updatedUsage.enhancements_limit,
-        remaining: Math.max(0, updatedUsage.enhancements_limit - updatedUsage.enhancements_used)
-      }
-    });
+      safety
+    }));
   } catch (error) {
     console.error('Q&A error:', error);
-    res.status(500).json({ error: error.message || 'Failed to answer question' });
+    const usage = await req.enhancement.fail();
+    res.status(500).json({ error: error.message || 'Failed to answer question', usage });
   }
 });
 
 /**
  * POST /api/chat
- * Simple ChatGPT chat (no context from video/webpage)
+ * Chat about the open content and uploaded files (or without any context)
+ * Send the full content as `sources: [{ label, contentType, text }]` (or a single
+ * `context` string): long content is indexed and each turn gets the passages
+ * most relevant to the message (config/retrieval.js)
+ * The reply cites those passages with [S1]-style markers listed in `citations`
  * Supports vision model for image analysis
+ * Set `stream: true` in the body to receive Server-Sent Events (token, done, error)
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', requireEnhancement('chat', {
+  // Image analysis, indexing long sources and pricier models cost more credits (config/credits.js)
+  cost: (req) => estimateCreditCost('chat', {
+    task: chatImage(req.body) ? 'vision' : 'text',
+    embeddingChars: unindexedChars(chatSources(req.body), chatContextChars(req.body))
+  }).cost
+}), requireModeration('chat', {
+  // Clarify requests send the selected text as `selection`; their message also carries page context, which is not screened
+  input: (req) => ({ texts: [req.body.selection || req.body.message], images: [chatImage(req.body)] }),
+  output: (result) => result.reply
+}), async (req, res) => {
   try {
-    const { message, chatHistory, context, useVisionModel, imageData, image, images } = req.body;
-    const userId = req.user.userId;
+    const { message, chatHistory, useVisionModel } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Check usage limit before generation
-    await resetDailyUsageIfNeeded(userId);
-    const usageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (usageResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const user = usageResult.rows[0];
-    if (user.enhancements_used >= user.enhancements_limit) {
-      return res.status(403).json({
-        error: 'Daily enhancement limit reached',
-        enhancementsUsed: user.enhancements_used,
-        enhancementsLimit: user.enhancements_limit
-      });
+    const { level: readingLevel, error: readingLevelError } = resolveReadingLevel(req.body.readingLevel);
+    if (readingLevelError) {
+      return res.status(400).json({ error: readingLevelError });
     }
-
-    // Increment usage before generation
-    const incrementResult = await incrementUsage(userId);
-    if (!incrementResult.success) {
-      return res.status(403).json({
-        error: incrementResult.error || 'Failed to increment usage',
-        usage: incrementResult.usage
-      });
+    const { language: outputLanguage, error: outputLanguageError } = resolveOutputLanguage(req.body.outputLanguage);
+    if (outputLanguageError) {
+      return res.status(400).json({ error: outputLanguageError });
     }
 
     // Check if vision model is needed (image present)
-    // Check imageData first (preferred), then fall back to image or images array
-    const hasImage = useVisionModel && (imageData || image || (Array.isArray(images) && images.length > 0));
-    const imageToUse = imageData || image || (Array.isArray(images) && images.length > 0 ? images[0] : null);
+    const imageToUse = chatImage(req.body);
+    const hasImage = !!imageToUse;
     
     console.log(`[API Chat] Vision request: useVisionModel=${useVisionModel}, hasImage=${hasImage}, imageDataLength=${imageToUse?.length || 0}`);
 
-    // Build system message with context if provided
-    // Truncate context aggressively to avoid token limits
-    // Chat history can be long, so we need to be conservative with context
-    const maxContextLength = 3000; // ~750 tokens, leaving room for chat history
-    const truncatedContext = context ? context.substring(0, maxContextLength) : '';
+    // Reserve the credits: they are committed once the result is ready and
+    // released if generation fails, times out or the client disconnects
+    if (!await req.enhancement.reserve(res)) {
+      return;
+    }
+
+    // Pull the passages most relevant to this turn from the whole content
+    const maxContextChars = chatContextChars(req.body);
+    const sources = chatSources(req.body);
+    const lastUserTurn = Array.isArray(chatHistory)
+      ? [...chatHistory].reverse().find(msg => msg?.role === 'user' && typeof msg.content === 'string')
+      : null;
+    let retrieval = { passages: [], retrieved: false, totalPassages: 0 };
+    if (sources.length > 0) {
+      const retrievalSignal = clientAbortSignal(res);
+      try {
+        retrieval = await retrievePassages(sources, [lastUserTurn?.content, message].filter(Boolean).join('\n'), {
+          maxChars: maxContextChars,
+          signal: retrievalSignal,
+          onUsage: req.enhancement.onUsage
+        });
+      } catch (retrievalError) {
+        if (retrievalSignal.aborted) {
+          throw retrievalError;
+        }
+        // Answer from the start of the content rather than not at all
+        console.error('[API Chat] Retrieval failed, using the start of the content:', retrievalError.message);
+        retrieval = {
+          passages: sources.map(source => ({
+            source: source.label,
+            sourceId: source.id,
+            label: null,
+            kind: 'paragraph',
+            start: null,
+            text: source.text.substring(0, Math.floor(maxContextChars / sources.length))
+          })),
+          retrieved: false,
+          totalPassages: sources.length
+        };
+      }
+    }
+    if (retrieval.retrieved) {
+      console.log(`[API Chat] Using ${retrieval.passages.length} of ${retrieval.totalPassages} passages`);
+    }
     
-    let systemContent = `You are a helpful AI assistant. Give clear, concise answers. Keep responses simple and easy to understand.`;
+    const numbered = numberPassages(retrieval.passages);
+
+    let systemContent = `You are a helpful AI assistant. Give clear, concise answers written for ${readingLevel.audience}. ${readingLevel.style}`;
     
     // Add vision capabilities notice if image is present
     if (hasImage) {
@@ -508,20 +1012,23 @@ router.post('/chat', async (req, res) => {
       systemContent += `Analyze the image carefully and provide detailed, accurate descriptions based on what you see.`;
     }
     
-    if (truncatedContext) {
-      systemContent += `\n\nCRITICAL: The user has uploaded a PDF document and/or is viewing webpage/video content. `;
-      systemContent += `The context below contains the ACTUAL TEXT CONTENT from these sources. `;
-      systemContent += `You MUST use this content to answer questions. `;
-      systemContent += `If the user asks about chapters, sections, topics, or specific information from the PDF, `;
-      systemContent += `you CAN and MUST reference the actual text content provided below. `;
-      systemContent += `Do NOT say you cannot access the PDF - you have the full text content. `;
-      systemContent += `Do NOT say you need more context - use what is provided below.\n\n`;
-      systemContent += `=== FULL CONTEXT (PDF, WEBPAGE, OR VIDEO CONTENT) ===\n${truncatedContext}`;
-      if (context && context.length > maxContextLength) {
-        systemContent += `\n[Note: Context truncated for length. Original content was ${Math.ceil(context.length / 1000)}k characters.]`;
+    // The content is third-party text: it goes with the user's message in a delimited block, never in this prompt
+    const injection = detectInjection(numbered.text);
+    if (retrieval.passages.length > 0) {
+      systemContent += `\n\nThe user has uploaded a PDF document and/or is viewing webpage/video content. `;
+      systemContent += `Their message comes with the actual text of that content. `;
+      systemContent += `Use it to answer questions about chapters, sections, topics or specific information, with specific, detailed answers. `;
+      systemContent += `Do NOT say you cannot access the PDF - you have the text content.\n\n`;
+      if (retrieval.retrieved) {
+        systemContent += `The content is long, so these are the passages most relevant to the user's message, in reading order. `;
+        systemContent += `If they do not cover the question, say which part of the content the user could ask about instead.\n\n`;
       }
-      systemContent += `\n=== END OF CONTEXT ===\n\n`;
-      systemContent += `Remember: You have access to the actual content. Use it to provide specific, detailed answers.`;
+      systemContent += CITATION_INSTRUCTION;
+      systemContent += `\n\n${UNTRUSTED_CONTENT_INSTRUCTION}${injectionWarning(injection)}`;
+    }
+
+    if (outputLanguage) {
+      systemContent += `\n\n${languageInstruction(outputLanguage)}`;
     }
 
     // Build messages array with chat history
@@ -533,24 +1040,22 @@ router.post('/chat', async (req, res) => {
     ];
 
     // Add chat history if provided
-    if (chatHistory && Array.isArray(chatHistory)) {
-      chatHistory.forEach(msg => {
-        if (msg.role && msg.content) {
-          messages.push({ role: msg.role, content: msg.content });
-        }
-      });
-    }
+    messages.push(...historyMessages(chatHistory));
 
     // Add current message with image if present
+    const messageText = retrieval.passages.length > 0
+      ? `${untrustedBlock(numbered.text, { source: retrieval.retrieved ? 'relevant passages' : 'content' })}\n\n${message}`
+      : message;
+    let task = 'text';
     if (hasImage && imageToUse) {
-      // Use vision-capable model (gpt-4-turbo or gpt-4o)
-      // Format message with image for OpenAI vision API
-      const userMessage = {
+      // Format message with image in the OpenAI vision format
+      // (providers with a different format translate it in config/llm.js)
+      messages.push({
         role: 'user',
         content: [
           {
             type: 'text',
-            text: message
+            text: messageText
           },
           {
             type: 'image_url',
@@ -559,86 +1064,92 @@ router.post('/chat', async (req, res) => {
             }
           }
         ]
-      };
-      messages.push(userMessage);
-
-      // Use vision model
-      console.log(`[API Chat] Using vision model (gpt-4o) for image analysis`);
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o', // Use gpt-4o for vision (better and cheaper than gpt-4-turbo)
-          messages: messages,
-          max_tokens: 500,
-          temperature: 0.7
-        })
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OpenAI API error: ${errorText}`);
-      }
-
-      const data = await response.json();
-      const reply = data.choices[0].message.content;
-
-      // Get updated usage
-      const updatedUsageResult = await query(
-        'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-        [userId]
-      );
-      const updatedUsage = updatedUsageResult.rows[0];
-
-      return res.json({
-        reply,
-        usage: {
-          enhancementsUsed: updatedUsage.enhancements_used,
-          enhancementsLimit: updatedUsage.enhancements_limit,
-          remaining: Math.max(0, updatedUsage.enhancements_limit - updatedUsage.enhancements_used)
-        }
-      });
+      // Use the configured vision model
+      console.log('[API Chat] Using vision model for image analysis');
+      task = 'vision';
     } else {
       // No image - use regular text model
-      // Add current message
-      messages.push({ role: 'user', content: message });
-
-      // Generate reply
-      const reply = await callOpenAI(messages, 500, 0.7);
-
-      // Get updated usage
-      const updatedUsageResult = await query(
-        'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-        [userId]
-      );
-      const updatedUsage = updatedUsageResult.rows[0];
-
-      res.json({
-        reply,
-        usage: {
-          enhancementsUsed: updatedUsage.enhancements_used,
-          enhancementsLimit: updatedUsage.enhancements_limit,
-          remaining: Math.max(0, updatedUsage.enhancements_limit - updatedUsage.enhancements_used)
+      messages.push({ role: 'user', content: messageText });
+    }
+
+    // Resolve citations and check the reply for instructions followed from the content
+    const reviewReply = (completion) => {
+      const cited = collectCitations(completion, numbered.citations);
+      const check = checkResponse(cited.text, { detection: injection, content: sources.map(source => source.text).join('\n') });
+      return { reply: check.text, citations: cited.citations, safety: safetyReport('chat', injection, check) };
+    };
+
+    // Stream tokens to the client as they are generated
+    if (wantsStream(req)) {
+      const stream = startEventStream(res);
+      try {
+        const completion = await generateCompletion(messages, {
+          route: 'chat',
+          task,
+          maxTokens: 500,
+          temperature: 0.7,
+          signal: stream.signal,
+          onUsage: req.enhancement.onUsage,
+          // Moderated replies, and replies about content that tries to instruct the model,
+          // are checked whole before any of them is shown
+          onToken: req.moderation.active || injection.suspected ? undefined : (text) => stream.send('token', { text })
+        });
+        const result = reviewReply(completion);
+        const blocked = await req.moderation.review(result, result.safety);
+        if (blocked) {
+          return sendBlocked(req, res, blocked, stream);
         }
-      });
+        stream.send('done', await req.enhancement.complete(result));
+      } catch (streamError) {
+        console.error('Chat stream error:', streamError);
+        const usage = await req.enhancement.fail();
+        stream.send('error', { error: streamError.message || 'Failed to generate reply', usage });
+      }
+      return stream.end();
     }
+
+    // Generate reply
+    const completion = await generateCompletion(messages, {
+      route: 'chat',
+      task,
+      maxTokens: 500,
+      temperature: 0.7,
+      signal: clientAbortSignal(res),
+      onUsage: req.enhancement.onUsage
+    });
+
+    const result = reviewReply(completion);
+    const blocked = await req.moderation.review(result, result.safety);
+    if (blocked) {
+      return sendBlocked(req, res, blocked);
+    }
+    res.json(await req.enhancement.complete(result));
   } catch (error) {
     console.error('Chat error:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate reply' });
+    const usage = await req.enhancement.fail();
+    res.status(500).json({ error: error.message || 'Failed to generate reply', usage });
   }
 });
 
 /**
  * POST /api/flashcards
  * Generate flashcards from content (video, webpage, PDF)
+ * Identical requests are served from the generation cache without using an enhancement; send `refresh: true` to regenerate
+ * Set `stream: true` in the body to receive progress as Server-Sent Events (progress, done, error)
  */
-router.post('/flashcards', async (req, res) => {
+router.post('/flashcards', requireEnhancement('flashcards', {
+  // Longer content and pricier models cost more credits (config/credits.js)
+  cost: (req) => estimateCreditCost('flashcards', {
+    contentChars: (((req.body.contentType || 'video') === 'video' ? req.body.transcript : req.body.text) || '').length
+  }).cost
+}), requireModeration('flashcards', {
+  output: (result) => (result.flashcards || []).map(card => `${card.question}\n${card.answer}`).join('\n')
+}), async (req, res) => {
+  let stream = null;
   try {
     const { contentType, transcript, text, title } = req.body;
-    const userId = req.user.userId;
 
     // Determine content type
     const type = contentType || 'video';
@@ -648,59 +1159,72 @@ router.post('/flashcards', async (req, res) => {
       return res.status(400).json({ error: 'Content text is required' });
     }
 
-    // Check usage limit before generation
-    await resetDailyUsageIfNeeded(userId);
-    const usageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (usageResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const { level: readingLevel, error: readingLevelError } = resolveReadingLevel(req.body.readingLevel);
+    if (readingLevelError) {
+      return res.status(400).json({ error: readingLevelError });
     }
-
-    const user = usageResult.rows[0];
-    if (user.enhancements_used >= user.enhancements_limit) {
-      return res.status(403).json({
-        error: 'Daily enhancement limit reached',
-        enhancementsUsed: user.enhancements_used,
-        enhancementsLimit: user.enhancements_limit
-      });
+    const { language: outputLanguage, error: outputLanguageError } = resolveOutputLanguage(req.body.outputLanguage);
+    if (outputLanguageError) {
+      return res.status(400).json({ error: outputLanguageError });
     }
 
-    // Increment usage before generation
-    const incrementResult = await incrementUsage(userId);
-    if (!incrementResult.success) {
-      return res.status(403).json({
-        error: incrementResult.error || 'Failed to increment usage',
-        usage: incrementResult.usage
-      });
+    req.enhancement.describe({ contentType: type });
+
+    // The same content with the same settings was already generated: serve it without using an enhancement
+    const cacheKey = generationCacheKey('flashcards', contentText, {
+      contentType: type,
+      title,
+      readingLevel: readingLevel.key,
+      outputLanguage: outputLanguage?.code
+    });
+    if (!req.body.refresh) {
+      const cached = await getCachedGeneration(cacheKey);
+      if (cached) {
+        return sendCachedResult(req, res, cached);
+      }
     }
 
-    // Clean and truncate content text to avoid token limits
-    // Truncate to 4000 chars (~1000 tokens) to leave room for system prompt and response
-    const maxContentLength = 4000;
-    let cleanContent = type === 'video' 
+    const cleanContent = type === 'video' 
       ? contentText.replace(/\[\d+:\d+\]/g, '').replace(/\s+/g, ' ').trim()
       : contentText.replace(/\s+/g, ' ').trim();
-    
-    // Truncate if too long
-    if (cleanContent.length > maxContentLength) {
-      cleanContent = cleanContent.substring(0, maxContentLength);
-      console.log(`[API] Truncated flashcard content from ${contentText.length} to ${maxContentLength} chars`);
-    }
 
     if (cleanContent.length < 50) {
       return res.status(400).json({ error: 'Content is too short to generate flashcards' });
     }
 
+    // Reserve the credits: they are committed once the result is ready and
+    // released if generation fails, times out or the client disconnects
+    if (!await req.enhancement.reserve(res)) {
+      return;
+    }
+
+    // Switch to Server-Sent Events if requested (progress, done, error)
+    if (wantsStream(req)) {
+      stream = startEventStream(res);
+    }
+    const signal = stream ? stream.signal : clientAbortSignal(res);
+
+    // Long content is condensed chunk by chunk so cards cover the whole source
+    const condensed = await condenseContent(contentText, {
+      contentType: type,
+      route: 'flashcards',
+      title,
+      signal,
+      onProgress: stream ? (progress) => stream.send('progress', progress) : undefined,
+      onUsage: req.enhancement.onUsage
+    });
+    const promptContent = condensed.condensed ? condensed.text : cleanContent;
+
     // Generate flashcards
     const contentLabel = type === 'video' ? 'video' : type === 'pdf' ? 'document' : 'page';
-    const systemPrompt = `You are a flashcard generator. Create flashcards from the following ${contentLabel} content about "${title || 'the topic'}".
+    const injection = detectInjection(contentText, title);
+    const systemPrompt = `You are a flashcard generator. Create flashcards from the following ${contentLabel} content about "${promptTitle(title, 'the topic')}".
 
 Generate 5-10 flashcards. Each flashcard should have:
 - A clear, concise question on the front
-- A simple, easy-to-understand answer on the back (written for a 5th grader)
+- A clear answer on the back, written for ${readingLevel.audience}
+
+${readingLevel.style}
 
 Format your response as a JSON array where each flashcard is an object with "question" and "answer" fields.
 
@@ -710,15 +1234,18 @@ Example format:
   {"question": "What do plants need to grow?", "answer": "Plants need sunlight, water, soil, and air to grow."}
 ]
 
-Return ONLY the JSON array, no additional text.`;
+Return ONLY the JSON array, no additional text.
+
+${UNTRUSTED_CONTENT_INSTRUCTION}${injectionWarning(injection)}${outputLanguage ? `\n\n${languageInstruction(outputLanguage, { json: true })}` : ''}`;
 
-    const response = await callOpenAI([
+    const response = await generateCompletion([
       { role: 'system', content: systemPrompt },
-      { role: 'user', content: cleanContent }
-    ], 2000);
+      { role: 'user', content: untrustedBlock(promptContent, { source: condensed.condensed ? `${contentLabel} notes` : contentLabel }) }
+    ], { route: 'flashcards', maxTokens: 2000, signal, onUsage: req.enhancement.onUsage });
 
     // Parse JSON response
     let flashcards;
+    let usedFallback = false;
     try {
       // Try to extract JSON from response (may have markdown code blocks)
       const jsonMatch = response.match(/\[[\s\S]*\]/);
@@ -730,6 +1257,7 @@ Return ONLY the JSON array, no additional text.`;
     } catch (parseError) {
       console.error('[API] Error parsing flashcard JSON:', parseError);
       // Fallback: try to create simple flashcards from response
+      usedFallback = true;
       const lines = response.split('\n').filter(line => line.trim());
       flashcards = lines.slice(0, 10).map((line, index) => ({
         question: `Question ${index + 1}`,
@@ -742,48 +1270,86 @@ Return ONLY the JSON array, no additional text.`;
       flashcards = [];
     }
     
+    // Each side is checked for instructions followed from the content
+    const checks = [];
+    const reviewCardText = (text) => {
+      const check = checkResponse(String(text), { detection: injection, content: contentText });
+      checks.push(check);
+      return check.text;
+    };
     flashcards = flashcards
       .filter(card => card && (card.question || card.front) && (card.answer || card.back))
       .map(card => ({
-        question: card.question || card.front || '',
-        answer: card.answer || card.back || ''
+        question: reviewCardText(card.question || card.front || ''),
+        answer: reviewCardText(card.answer || card.back || '')
       }))
       .slice(0, 10); // Limit to 10 flashcards
+    if (flashcards.length === 0) {
+      throw new Error('The model did not return any flashcards');
+    }
+    const reasons = [...new Set(checks.flatMap(check => check.reasons))];
+    const safety = safetyReport('flashcards', injection, { flagged: reasons.length > 0, reasons });
+
+    const blocked = await req.moderation.review({ flashcards }, safety);
+    if (blocked) {
+      return sendBlocked(req, res, blocked, stream);
+    }
 
-    // Get updated usage
-    const updatedUsageResult = await query(
-      'SELECT enhancements_used, enhancements_limit FROM users WHERE id = $1',
-      [userId]
-    );
-    const updatedUsage = updatedUsageResult.rows[0];
+    // Placeholder cards from unparsed output are returned, but not shared with other users
+    if (!usedFallback) {
+      await saveCachedGeneration(cacheKey, 'flashcards', { flashcards, contentType: type, chunks: condensed.chunkCount, truncated: condensed.truncated, safety });
+    }
 
-    res.json({
+    const result = await req.enhancement.complete({
       flashcards,
       contentType: type,
-      usage: {
-        enhancementsUsed: updatedUsage.enhancements_used,
-        enhancementsLimit: updatedUsage.enhancements_limit,
-        remaining: Math.max(0, updatedUsage.enhancements_limit - updatedUsage.enhancements_used)
-      }
+      chunks: condensed.chunkCount,
+      truncated: condensed.truncated,
+      safety
     });
+
+    if (stream) {
+      stream.send('done', result);
+      return stream.end();
+    }
+    res.json(result);
   } catch (error) {
     console.error('Flashcard generation error:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate flashcards' });
+    const usage = await req.enhancement.fail();
+    if (stream) {
+      stream.send('error', { error: error.message || 'Failed to generate flashcards', usage });
+      return stream.end();
+    }
+    res.status(500).json({ error: error.message || 'Failed to generate flashcards', usage });
   }
 });
 
+/**
+ * Why an extract-pdf-url request would be answered 400, or null
+ * Also checked before the request is queued as a background job
+ */
+function pdfUrlRequestError(req) {
+  if (!req.body.pdfUrl) {
+    return 'PDF URL is required';
+  }
+  return urlFetchError(req.body.pdfUrl);
+}
+
 /**
  * POST /api/extract-pdf-url
  * Extract text from PDF URL (for Chrome PDF viewer)
+ * The PDF is downloaded with safeFetch: public http(s) addresses only, size and time limited
+ * Scanned PDFs answer 422 with the OCR cost; send `ocr: true` to read them page by page
+ * (`stream: true` for progress events, or `background: true` to run it as a job)
  * Note: Requires pdf-parse package
  */
-router.post('/extract-pdf-url', async (req, res) => {
+router.post('/extract-pdf-url', ...jobRoute('extract-pdf-url', { validate: pdfUrlRequestError }, requireEnhancement('extract-pdf'), async (req, res) => {
   try {
     const { pdfUrl } = req.body;
-    const userId = req.user.userId;
 
-    if (!pdfUrl) {
-      return res.status(400).json({ error: 'PDF URL is required' });
+    const invalid = pdfUrlRequestError(req);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
     // Check if pdf-parse is available
@@ -796,56 +1362,52 @@ router.post('/extract-pdf-url', async (req, res) => {
       });
     }
 
+    let pdfBuffer;
     try {
-      // Fetch PDF from URL
-      const pdfResponse = await fetch(pdfUrl);
-      if (!pdfResponse.ok) {
-        throw new Error(`Failed to fetch PDF: ${pdfResponse.status} ${pdfResponse.statusText}`);
-      }
+      ({ buffer: pdfBuffer } = await safeFetch(pdfUrl, { signal: clientAbortSignal(res) }));
+    } catch (fetchError) {
+      console.error('PDF download error:', fetchError.message);
+      return res.status(fetchError.status || 502).json({ error: fetchError.message });
+    }
+    if (!isPdf(pdfBuffer)) {
+      return res.status(415).json({ error: 'The URL did not return a PDF' });
+    }
 
-      const pdfBuffer = await pdfResponse.arrayBuffer();
-      
+    let pdfData;
+    try {
       // Extract text from PDF
-      const pdfData = await pdfParse(Buffer.from(pdfBuffer));
-      const text = pdfData.text || '';
-
-      if (!text.trim()) {
-        return res.status(400).json({ error: 'Could not extract text from PDF. The PDF may be image-based or encrypted.' });
-      }
-
-      res.json({ 
-        text: text,
-        pages: pdfData.numpages || 0,
-        info: pdfData.info || {}
-      });
+      pdfData = await parsePdfWithPages(pdfParse, pdfBuffer);
     } catch (parseError) {
       console.error('PDF parsing error:', parseError);
-      res.status(500).json({ error: 'Failed to parse PDF: ' + parseError.message });
+      return res.status(500).json({ error: 'Failed to parse PDF: ' + parseError.message });
     }
+
+    req.enhancement.describe({ contentType: 'pdf', contentUrl: pdfUrl, contentTitle: pdfData.info.Title });
+    await sendPdfText(req, res, pdfData, pdfBuffer, { info: pdfData.info });
   } catch (error) {
     console.error('PDF extraction error:', error);
     res.status(500).json({ error: error.message || 'Failed to extract PDF text' });
   }
-});
+}));
+
+/**
+ * Why an uploaded PDF would be answered 400, or null
+ * Also checked before the request is queued as a background job
+ */
+function pdfUploadError(req) {
+  return req.file.mimetype === 'application/pdf' ? null : 'File must be a PDF';
+}
 
 /**
  * POST /api/extract-pdf
  * Extract text from uploaded PDF file
+ * Scanned PDFs answer 422 with the OCR cost; send an `ocr` field of "true" to read them
+ * Send a `background` field of "true" to run it as a job
  * Note: Requires multer and pdf-parse packages
  * Install: npm install multer pdf-parse
  */
-router.post('/extract-pdf', async (req, res) => {
+router.post('/extract-pdf', uploadFile('pdf', 10 * 1024 * 1024), ...jobRoute('extract-pdf', { validate: pdfUploadError }, requireEnhancement('extract-pdf'), async (req, res) => {
   try {
-    // Check if multer is available
-    let multer;
-    try {
-      multer = (await import('multer')).default;
-    } catch (e) {
-      return res.status(500).json({ 
-        error: 'File upload middleware not available. Please install multer: npm install multer' 
-      });
-    }
-
     // Check if pdf-parse is available
     let pdfParse;
     try {
@@ -856,191 +1418,182 @@ router.post('/extract-pdf', async (req, res) => {
       });
     }
 
-    // Configure multer for memory storage
-    const upload = multer({ 
-      storage: multer.memoryStorage(),
-      limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-    });
-
-    // Handle file upload and extraction
-    const uploadMiddleware = upload.single('pdf');
-    
-    uploadMiddleware(req, res, async (err) => {
-      if (err) {
-        return res.status(400).json({ error: err.message || 'File upload error' });
-      }
-
-      if (!req.file) {
-        return res.status(400).json({ error: 'No PDF file provided' });
-      }
-
-      if (req.file.mimetype !== 'application/pdf') {
-        return res.status(400).json({ error: 'File must be a PDF' });
-      }
-
-      try {
-        // Extract text from PDF
-        const pdfData = await pdfParse(req.file.buffer);
-        const text = pdfData.text || '';
+    const invalid = pdfUploadError(req);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
 
-        if (!text.trim()) {
-          return res.status(400).json({ error: 'Could not extract text from PDF. The PDF may be image-based or encrypted.' });
-        }
+    let pdfData;
+    try {
+      // Extract text from PDF
+      pdfData = await parsePdfWithPages(pdfParse, req.file.buffer);
+    } catch (parseError) {
+      console.error('PDF parsing error:', parseError);
+      return res.status(500).json({ error: 'Failed to parse PDF: ' + parseError.message });
+    }
 
-        res.json({ 
-          text: text,
-          pages: pdfData.numpages || 0,
-          info: pdfData.info || {}
-        });
-      } catch (parseError) {
-        console.error('PDF parsing error:', parseError);
-        res.status(500).json({ error: 'Failed to parse PDF: ' + parseError.message });
-      }
-    });
+    req.enhancement.describe({ contentType: 'pdf', contentTitle: req.file.originalname });
+    await sendPdfText(req, res, pdfData, req.file.buffer, { info: pdfData.info });
   } catch (error) {
     console.error('PDF extraction error:', error);
     res.status(500).json({ error: error.message || 'Failed to extract PDF text' });
   }
-});
+}));
+
+/**
+ * Why an uploaded file would be answered 400 (a type process-file cannot read), or null
+ * Also checked before the request is queued as a background job
+ */
+function processFileError(req) {
+  const { mimetype, originalname } = req.file;
+  if (mimetype === 'application/pdf' || mimetype.startsWith('image/') || detectDocumentFormat(originalname, mimetype)) {
+    return null;
+  }
+
+  // Legacy binary Word files have no parser
+  if (mimetype === 'application/msword' || originalname.toLowerCase().endsWith('.doc')) {
+    return 'Legacy Word files (.doc) are not supported. Please save the document as .docx or PDF.';
+  }
+  return `Unsupported file type: ${mimetype}. Supported types: PDF, images (PNG, JPEG, etc.), Word (.docx), PowerPoint (.pptx), EPUB, Markdown, text and CSV files`;
+}
 
 /**
  * POST /api/process-file
- * Process uploaded file (PDF, image, etc.) and extract content
- * Uses gpt-4-turbo for images with vision capabilities
+ * Process uploaded file (PDF, image, document) and extract content
+ * Uses the configured vision model for images
+ * Word, PowerPoint, EPUB, Markdown, text and CSV files are parsed by config/documents.js,
+ * keeping headings ("#" lines) and slide numbers ("[Slide N]") for chunking and citations
+ * Scanned PDFs answer 422 with the OCR cost; send an `ocr` field of "true" to read them page by page
+ * (Accept: text/event-stream for progress events)
+ * Send a `background` field of "true" to run it as a job: answers 202 { job } (see GET /api/jobs/:id)
  */
-router.post('/process-file', async (req, res) => {
+router.post('/process-file', uploadFile('file', 20 * 1024 * 1024), ...jobRoute('process-file', { validate: processFileError }, requireEnhancement('process-file', {
+  // Extracting text from PDFs and documents is free; describing an image pays the vision cost (config/credits.js)
+  cost: (req) => estimateCreditCost('process-file', {
+    task: req.file.mimetype.startsWith('image/') ? 'vision' : 'text'
+  }).cost
+}), requireModeration('process-file', {
+  // Uploaded images are screened before they are described; documents are only read, not generated
+  input: (req) => ({
+    images: req.file.mimetype.startsWith('image/') ? [`data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`] : []
+  }),
+  output: (result) => (result.imageData ? result.text : '')
+}), async (req, res) => {
   try {
-    // Check if multer is available
-    let multer;
-    try {
-      multer = (await import('multer')).default;
-    } catch (e) {
-      return res.status(500).json({ 
-        error: 'File upload middleware not available. Please install multer: npm install multer' 
+    const file = req.file;
+    const fileType = file.mimetype;
+
+    // Handle PDF files
+    if (fileType === 'application/pdf') {
+      let pdfParse;
+      try {
+        pdfParse = (await import('pdf-parse')).default;
+      } catch (e) {
+        return res.status(500).json({ 
+          error: 'PDF parsing library not available. Please install pdf-parse: npm install pdf-parse' 
+        });
+      }
+
+      const pdfData = await parsePdfWithPages(pdfParse, file.buffer);
+
+      // Scanned PDFs are read with OCR when the upload opts in (see sendPdfText)
+      req.enhancement.describe({ contentType: 'pdf', contentTitle: file.originalname });
+      return sendPdfText(req, res, pdfData, file.buffer, {
+        fileType: fileType,
+        filename: file.originalname
       });
     }
 
-    // Configure multer for memory storage
-    const upload = multer({ 
-      storage: multer.memoryStorage(),
-      limits: { fileSize: 20 * 1024 * 1024 } // 20MB limit
-    });
+    // Handle image files (use the configured vision model)
+    if (fileType.startsWith('image/')) {
+      // Convert image to base64
+      const base64Image = file.buffer.toString('base64');
+      const dataUrl = `data:${fileType};base64,${base64Image}`;
 
-    // Handle file upload
-    const uploadMiddleware = upload.single('file');
-    
-    uploadMiddleware(req, res, async (err) => {
-      if (err) {
-        return res.status(400).json({ error: err.message || 'File upload error' });
+      req.enhancement.describe({ contentType: 'image', contentTitle: file.originalname });
+      if (!await req.enhancement.reserve(res)) {
+        return;
       }
 
-      if (!req.file) {
-        return res.status(400).json({ error: 'No file provided' });
+      // Use the configured vision model for image analysis
+      const description = await generateCompletion([
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: 'Please describe this image in detail, including any text visible in the image.'
+            },
+            {
+              type: 'image_url',
+              image_url: {
+                url: dataUrl
+              }
+            }
+          ]
+        }
+      ], {
+        route: 'process-file',
+        task: 'vision',
+        maxTokens: 1000,
+        signal: clientAbortSignal(res),
+        onUsage: req.enhancement.onUsage
+      });
+
+      const blocked = await req.moderation.review({ text: description, imageData: dataUrl });
+      if (blocked) {
+        return sendBlocked(req, res, blocked);
       }
 
+      return res.json(await req.enhancement.complete({
+        text: description,
+        imageData: dataUrl,
+        fileType: fileType,
+        filename: file.originalname
+      }));
+    }
+
+    // Handle documents (Word, PowerPoint, EPUB, Markdown, text, CSV)
+    const documentFormat = detectDocumentFormat(file.originalname, fileType);
+    if (documentFormat) {
+      let parsed;
       try {
-        const file = req.file;
-        const fileType = file.mimetype;
-        
-        // Handle PDF files
-        if (fileType === 'application/pdf') {
-          let pdfParse;
-          try {
-            pdfParse = (await import('pdf-parse')).default;
-          } catch (e) {
-            return res.status(500).json({ 
-              error: 'PDF parsing library not available. Please install pdf-parse: npm install pdf-parse' 
-            });
-          }
-          
-          const pdfData = await pdfParse(file.buffer);
-          const text = pdfData.text || '';
-          
-          if (!text.trim()) {
-            return res.status(400).json({ error: 'Could not extract text from PDF. The PDF may be image-based or encrypted.' });
-          }
-          
-          return res.json({ 
-            text: text,
-            fileType: fileType,
-            filename: file.originalname
-          });
-        }
-        
-        // Handle image files (use gpt-4-turbo with vision)
-        if (fileType.startsWith('image/')) {
-          // Convert image to base64
-          const base64Image = file.buffer.toString('base64');
-          const dataUrl = `data:${fileType};base64,${base64Image}`;
-          
-          // Use gpt-4-turbo for image analysis
-          const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-              model: 'gpt-4-turbo',
-              messages: [
-                {
-                  role: 'user',
-                  content: [
-                    {
-                      type: 'text',
-                      text: 'Please describe this image in detail, including any text visible in the image.'
-                    },
-                    {
-                      type: 'image_url',
-                      image_url: {
-                        url: dataUrl
-                      }
-                    }
-                  ]
-                }
-              ],
-              max_tokens: 1000
-            })
-          });
-          
-          if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`OpenAI API error: ${errorText}`);
-          }
-          
-          const data = await response.json();
-          const description = data.choices[0].message.content;
-          
-          return res.json({
-            text: description,
-            imageData: dataUrl,
-            fileType: fileType,
-            filename: file.originalname
-          });
-        }
-        
-        // Handle document files (.doc, .docx) - return error for now as we don't have a parser
-        // In the future, could use mammoth for .docx or similar library
-        if (fileType === 'application/msword' || 
-            fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-          return res.status(400).json({ 
-            error: `Document files (.doc, .docx) are not yet supported. Please convert to PDF or extract text manually.` 
-          });
+        parsed = await parseDocument(documentFormat, file.buffer);
+      } catch (parseError) {
+        if (parseError.status === 400) {
+          return res.status(400).json({ error: parseError.message });
         }
-        
-        // For other file types, return error
-        return res.status(400).json({ 
-          error: `Unsupported file type: ${fileType}. Supported types: PDF, images (PNG, JPEG, etc.)` 
-        });
-      } catch (processError) {
-        console.error('File processing error:', processError);
-        res.status(500).json({ error: 'Failed to process file: ' + processError.message });
+        throw parseError;
       }
-    });
+
+      const { label, mimeType } = DOCUMENT_FORMATS[documentFormat];
+      if (!parsed.text.trim()) {
+        return res.status(400).json({ error: `Could not extract any text from the ${label.toLowerCase()}.` });
+      }
+
+      req.enhancement.describe({ contentType: 'document', contentTitle: parsed.title || file.originalname });
+      if (!await req.enhancement.reserve(res)) {
+        return;
+      }
+
+      // headings, slides, chapters (and title) or rows, depending on the format
+      const { text, ...details } = parsed;
+      return res.json(await req.enhancement.complete({
+        text,
+        ...details,
+        format: documentFormat,
+        fileType: mimeType,
+        filename: file.originalname
+      }));
+    }
+
+    // Legacy Word and other file types
+    return res.status(400).json({ error: processFileError(req) });
   } catch (error) {
     console.error('File processing error:', error);
-    res.status(500).json({ error: error.message || 'Failed to process file' });
+    const usage = await req.enhancement.fail();
+    res.status(500).json({ error: 'Failed to process file: ' + error.message, usage });
   }
-});
+}));
 
 export default router;
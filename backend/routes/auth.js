@@ -7,6 +7,7 @@ import express from 'express';
 import { query } from '../config/database.js';
 import { hashPassword, comparePassword, generateToken, generateResetToken, verifyToken, authenticate } from '../config/auth.js';
 import { findAndLinkStripeCustomerByEmail } from '../config/stripe.js';
+import { normalizeTimezone, setUserTimezone, DEFAULT_TIMEZONE } from '../config/usage.js';
 
 const router = express.Router();
 
@@ -16,7 +17,7 @@ const router = express.Router();
  */
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, timezone } = req.body;
 
     // Validation
     if (!email || !password) {
@@ -40,8 +41,8 @@ router.post('/register', async (req, res) => {
     // Hash password and create user
     const hashedPassword = await hashPassword(password);
     const result = await query(
-      'INSERT INTO users (email, password_hash, name, created_at, enhancements_used, enhancements_limit, subscription_status) VALUES ($1, $2, $3, NOW(), 0, 10, $4) RETURNING id, email, name, created_at',
-      [email.toLowerCase(), hashedPassword, name || null, 'freemium']
+      'INSERT INTO users (email, password_hash, name, created_at, enhancements_used, enhancements_limit, subscription_status, timezone) VALUES ($1, $2, $3, NOW(), 0, 10, $4, $5) RETURNING id, email, name, created_at',
+      [email.toLowerCase(), hashedPassword, name || null, 'freemium', normalizeTimezone(timezone) || DEFAULT_TIMEZONE]
     );
 
     const user = result.rows[0];
@@ -82,7 +83,7 @@ router.post('/register', async (req, res) => {
  */
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, timezone } = req.body;
 
     // Validation
     if (!email || !password) {
@@ -120,6 +121,15 @@ router.post('/login', async (req, res) => {
       }
     }
 
+    // Keep the daily usage reset on the timezone the user is in now
+    if (timezone) {
+      try {
+        await setUserTimezone(user.id, timezone);
+      } catch (timezoneError) {
+        console.warn('[Auth] Failed to update timezone (login will continue):', timezoneError.message);
+      }
+    }
+
     // Generate token
     const token = generateToken({ userId: user.id, email: user.email });
 
@@ -0,0 +1,64 @@
+/**
+ * Job Routes
+ * Progress, results and cancellation of background jobs (see config/jobs.js)
+ */
+
+import express from 'express';
+import { authenticate } from '../config/auth.js';
+import { getJob, listJobs, cancelJob } from '../config/jobs.js';
+
+const router = express.Router();
+
+// All job routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/jobs
+ * List the user's 20 most recent jobs, newest first
+ * Query: `active=true` for queued and running jobs only
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await listJobs(req.user.userId, { active: req.query.active === 'true' });
+    res.json({ jobs });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get a job's status, progress and, once it has finished, its result or error
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.user.userId, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job; credits it reserved are released
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await cancelJob(req.user.userId, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+export default router;
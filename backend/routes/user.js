@@ -6,7 +6,9 @@
 import express from 'express';
 import { authenticate } from '../config/auth.js';
 import { query } from '../config/database.js';
-import { getUserUsage } from '../config/usage.js';
+import { getUserUsage, setUserTimezone } from '../config/usage.js';
+import { actionCreditCosts, CREDIT_COSTS } from '../config/credits.js';
+import { getUsageHistory, USAGE_HISTORY_PAGE_SIZE } from '../config/usageLedger.js';
 
 const router = express.Router();
 
@@ -38,7 +40,8 @@ router.get('/profile', async (req, res) => {
       user: {
         ...user,
         enhancements_used: usage.enhancementsUsed,
-        enhancements_limit: usage.enhancementsLimit
+        enhancements_limit: usage.enhancementsLimit,
+        timezone: usage.timezone
       }
     });
   } catch (error) {
@@ -50,17 +53,25 @@ router.get('/profile', async (req, res) => {
 /**
  * GET /api/user/usage
  * Get user's usage statistics (with daily reset applied)
+ * Optional query `contentChars` (length of the open content) and `questionCount`
+ * make `costs` reflect what each sidebar action would cost right now.
  */
 router.get('/usage', async (req, res) => {
   try {
     // Get usage with daily reset applied
     const usage = await getUserUsage(req.user.userId);
+    const contentChars = Math.max(0, parseInt(req.query.contentChars, 10) || 0);
+    const questionCount = Math.max(0, parseInt(req.query.questionCount, 10) || 0);
     
     res.json({
       enhancementsUsed: usage.enhancementsUsed,
       enhancementsLimit: usage.enhancementsLimit,
       subscriptionStatus: usage.subscriptionStatus,
-      remaining: Math.max(0, usage.enhancementsLimit - usage.enhancementsUsed)
+      remaining: Math.max(0, usage.enhancementsLimit - usage.enhancementsUsed),
+      timezone: usage.timezone,
+      nextResetAt: usage.nextResetAt,
+      costs: actionCreditCosts({ contentChars, questionCount }),
+      costTable: CREDIT_COSTS
     });
   } catch (error) {
     console.error('Usage error:', error);
@@ -68,6 +79,43 @@ router.get('/usage', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/user/timezone
+ * Set the timezone whose midnight resets the user's daily usage
+ * Body: `timezone` (IANA name, e.g. 'America/New_York')
+ */
+router.put('/timezone', async (req, res) => {
+  try {
+    const timezone = await setUserTimezone(req.user.userId, req.body.timezone);
+    if (!timezone) {
+      return res.status(400).json({ error: 'A valid IANA timezone is required' });
+    }
+
+    const usage = await getUserUsage(req.user.userId);
+    res.json({ timezone, nextResetAt: usage.nextResetAt });
+  } catch (error) {
+    console.error('Timezone update error:', error);
+    res.status(500).json({ error: 'Failed to update timezone' });
+  }
+});
+
+/**
+ * GET /api/user/usage/history
+ * Get what the user's credits were spent on, newest first
+ * Query: `page` (1-based, default 1), `pageSize` (default 20, max 100)
+ */
+router.get('/usage/history', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = parseInt(req.query.pageSize, 10) || USAGE_HISTORY_PAGE_SIZE;
+    const history = await getUsageHistory(req.user.userId, { page, pageSize });
+    res.json(history);
+  } catch (error) {
+    console.error('Usage history error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage history' });
+  }
+});
+
 /**
  * POST /api/user/increment-usage
  * Increment user's enhancement usage (internal endpoint, called by API routes)
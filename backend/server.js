@@ -14,6 +14,10 @@ import apiRoutes from './routes/api.js';
 import userRoutes from './routes/user.js';
 import webhookRoutes from './routes/webhooks.js';
 import checkoutRoutes from './routes/checkout.js';
+import adminRoutes from './routes/admin.js';
+import jobRoutes from './routes/jobs.js';
+import { scheduleGenerationCacheEviction } from './config/generationCache.js';
+import { startJobWorker } from './config/jobs.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -107,7 +111,9 @@ app.use(express.urlencoded({ extended: true, limit: '20mb' }));
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // The sidebar polls job status every few seconds while a background job runs
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs')
 });
 app.use('/api/', limiter);
 
@@ -136,6 +142,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/checkout', checkoutRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Stripe redirect pages
 app.get('/checkout-success', (req, res) => {
@@ -165,6 +173,8 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`SumVid Learn backend server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  scheduleGenerationCacheEviction();
+  startJobWorker();
 });
 
 // Graceful shutdown
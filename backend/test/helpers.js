@@ -0,0 +1,145 @@
+/**
+ * Route Test Helpers
+ * Runs the API routers on the in-memory database with the fake LLM provider, so
+ * the tests need no Postgres, network or API keys. Import this module before any
+ * module from config/ or routes/: the environment has to be set before the
+ * database pool is created.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+
+process.env.DATABASE_ENGINE = 'memory';
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.DEMO_USERS_ENABLED = 'false';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-tests';
+process.env.MODERATION_PROVIDER = 'rules';
+
+// The query log and route logs would drown the test report; errors still show
+console.log = () => {};
+
+/**
+ * Run the calling test file on the PostgreSQL server in DATABASE_URL, if the
+ * shell sets one (.env is not read for this). Call at the top level of the test
+ * file, before anything opens the database. The tests add users to it and
+ * schema.js must have been applied (`npm run migrate`).
+ * @returns {boolean} Whether the server is used instead of the in-memory database
+ */
+export function usePostgresIfConfigured() {
+  if (!process.env.DATABASE_URL) {
+    return false;
+  }
+  process.env.DATABASE_ENGINE = 'postgres';
+  return true;
+}
+
+/**
+ * Close the database pool, which would otherwise keep a PostgreSQL test process running
+ */
+export async function closeDatabase() {
+  const { pool } = await import('../config/database.js');
+  await pool.end();
+}
+
+/**
+ * Start the API routers on a free port
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+export async function startServer() {
+  const [{ default: authRoutes }, { default: userRoutes }, { default: jobRoutes }, { default: apiRoutes }] = await Promise.all([
+    import('../routes/auth.js'),
+    import('../routes/user.js'),
+    import('../routes/jobs.js'),
+    import('../routes/api.js')
+  ]);
+
+  const app = express();
+  app.use(express.json({ limit: '20mb' }));
+  app.use('/api/auth', authRoutes);
+  app.use('/api/user', userRoutes);
+  app.use('/api/jobs', jobRoutes);
+  app.use('/api', apiRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Add a user and sign a token for them
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Daily credits
+ * @param {number} [options.used=0] - Credits already used today
+ * @param {string} [options.plan='freemium'] - Subscription status
+ * @param {string} [options.moderationPolicy] - off, standard or strict
+ * @returns {Promise<{id: number, token: string}>}
+ */
+export async function createUser({ limit = 10, used = 0, plan = 'freemium', moderationPolicy = null } = {}) {
+  const { query } = await import('../config/database.js');
+  const { generateToken } = await import('../config/auth.js');
+  const { getUserUsage } = await import('../config/usage.js');
+
+  const email = `test-${crypto.randomUUID()}@example.com`;
+  const result = await query(
+    `INSERT INTO users (email, password_hash, name, enhancements_used, enhancements_limit, subscription_status, moderation_policy)
+     VALUES ($1, 'not-used', 'Test User', 0, $2, $3, $4)
+     RETURNING id`,
+    [email, limit, plan, moderationPolicy]
+  );
+  const id = result.rows[0].id;
+
+  // The first usage check starts the user's day, which sets the credits used to 0
+  await getUserUsage(id);
+  await query('UPDATE users SET enhancements_used = $2 WHERE id = $1', [id, used]);
+  return { id, token: generateToken({ userId: id, email }) };
+}
+
+/**
+ * Client for one user
+ * @param {string} url - From startServer
+ * @param {Object} user - From createUser
+ * @returns {{post: Function, get: Function}} Each resolves to { status, body }
+ */
+export function client(url, user) {
+  async function send(method, path, body) {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user.token}` },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  }
+
+  return {
+    post: (path, body) => send('POST', path, body),
+    get: (path) => send('GET', path)
+  };
+}
+
+/**
+ * Run a function with FAKE_LLM_FAULT (and its options) set, then clear them
+ * @param {Object} fault - { FAKE_LLM_FAULT, FAKE_LLM_FAULT_ROUTES, FAKE_LLM_FAULT_COUNT }
+ * @param {Function} fn
+ */
+export async function withFault(fault, fn) {
+  Object.assign(process.env, fault);
+  try {
+    return await fn();
+  } finally {
+    for (const key of Object.keys(fault)) {
+      delete process.env[key];
+    }
+  }
+}
+
+// Long enough for every AI route, clean of anything moderation or injection checks flag
+export const LESSON_TEXT = `Photosynthesis is the process plants use to turn light, water and carbon dioxide into glucose and oxygen.
+It happens in the chloroplasts, which contain the green pigment chlorophyll. The light-dependent reactions
+take place in the thylakoid membranes and produce ATP and NADPH. The Calvin cycle in the stroma then uses
+them to fix carbon dioxide into sugars. Factors such as light intensity, temperature and carbon dioxide
+concentration limit the rate of photosynthesis.`;
@@ -0,0 +1,64 @@
+/**
+ * Provider adapters (config/llm.js), sent to a local server that records the
+ * requests instead of the provider's API
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import './helpers.js';
+
+let server;
+let requests = [];
+let generateCompletion;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/v1/messages', (req, res) => {
+    requests.push(req.body);
+    res.json({ content: [{ type: 'text', text: 'Recorded.' }], usage: { input_tokens: 1, output_tokens: 1 } });
+  });
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  process.env.LLM_TEST_PROVIDER = 'anthropic';
+  process.env.ANTHROPIC_API_KEY = 'test';
+  process.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  ({ generateCompletion } = await import('../config/llm.js'));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('anthropic', () => {
+  test('sends system messages separately and turns that start with the user and alternate', async () => {
+    requests = [];
+    const text = await generateCompletion([
+      { role: 'system', content: 'Answer briefly.' },
+      { role: 'assistant', content: 'Hi! Ask me about the video.' },
+      { role: 'user', content: 'What is it about?' },
+      { role: 'assistant', content: 'Photosynthesis.' },
+      { role: 'assistant', content: 'Anything else?' },
+      { role: 'user', content: 'Where does it happen?' },
+      { role: 'user', content: [{ type: 'text', text: 'In this picture?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }
+    ], { route: 'test' });
+
+    assert.equal(text, 'Recorded.');
+    const [body] = requests;
+    assert.equal(body.system, 'Answer briefly.');
+    assert.deepEqual(body.messages.map(turn => turn.role), ['user', 'assistant', 'user']);
+    assert.equal(body.messages[0].content, 'What is it about?');
+    assert.deepEqual(body.messages[1].content, [
+      { type: 'text', text: 'Photosynthesis.' },
+      { type: 'text', text: 'Anything else?' }
+    ]);
+    assert.deepEqual(body.messages[2].content, [
+      { type: 'text', text: 'Where does it happen?' },
+      { type: 'text', text: 'In this picture?' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }
+    ]);
+  });
+});
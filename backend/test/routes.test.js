@@ -0,0 +1,251 @@
+/**
+ * AI route tests: the usage gate, quiz and flashcard parsing, and what happens
+ * to credits when the model fails (FAKE_LLM_FAULT)
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, client, withFault, LESSON_TEXT } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+/**
+ * A user and a client for them
+ */
+async function signUp(options) {
+  const user = await createUser(options);
+  return { ...user, api: client(server.url, user) };
+}
+
+async function remainingCredits(api) {
+  return (await api.get('/api/user/usage')).body.remaining;
+}
+
+async function history(api) {
+  return (await api.get('/api/user/usage/history')).body.events;
+}
+
+describe('usage gate', () => {
+  test('refuses a user without credits left and charges nothing', async () => {
+    const { api } = await signUp({ limit: 3, used: 3 });
+
+    const { status, body } = await api.post('/api/summarize', { contentType: 'webpage', text: LESSON_TEXT });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Daily enhancement limit reached');
+    assert.equal(body.usage.remaining, 0);
+    assert.deepEqual(await history(api), []);
+  });
+
+  test('refuses an action that costs more than the credits left', async () => {
+    const { api } = await signUp({ limit: 10, used: 8 });
+
+    const { status, body } = await api.post('/api/summarize', { contentType: 'webpage', text: LESSON_TEXT.repeat(400) });
+    assert.equal(status, 403);
+    assert.ok(body.cost > 2);
+    assert.match(body.error, /only 2 are left today/);
+    assert.equal(await remainingCredits(api), 2);
+  });
+
+  test('charges a completed action once and serves the repeat from the cache', async () => {
+    const { api } = await signUp({ limit: 10 });
+    const request = { contentType: 'webpage', title: 'Photosynthesis', text: `${LESSON_TEXT} Gate test one.` };
+
+    const first = await api.post('/api/summarize', request);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.cost, 1);
+    assert.equal(first.body.usage.remaining, 9);
+    assert.match(first.body.summary, /<h4>/);
+
+    const repeat = await api.post('/api/summarize', request);
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.body.cached, true);
+    assert.equal(repeat.body.cost, 0);
+    assert.equal(await remainingCredits(api), 9);
+
+    const events = await history(api);
+    assert.deepEqual(events.map(event => [event.route, event.status, event.credits]), [
+      ['summarize', 'cached', 0],
+      ['summarize', 'completed', 1]
+    ]);
+  });
+
+  test('does not serve a cached transcript summary for the same words at other times', async () => {
+    const { api } = await signUp({ limit: 10 });
+    const transcript = (start) => LESSON_TEXT.split('\n').map((line, i) => `[${start + i}:00] ${line}`).join('\n');
+
+    const first = await api.post('/api/summarize', { contentType: 'video', title: 'Timing test', transcript: transcript(0) });
+    assert.equal(first.status, 200);
+    const shifted = await api.post('/api/summarize', { contentType: 'video', title: 'Timing test', transcript: transcript(5) });
+    assert.equal(shifted.status, 200);
+    assert.notEqual(shifted.body.cached, true);
+    const repeat = await api.post('/api/summarize', { contentType: 'video', title: 'Timing test', transcript: transcript(0) });
+    assert.equal(repeat.body.cached, true);
+  });
+
+  test('does not charge invalid requests', async () => {
+    const { api } = await signUp({ limit: 10 });
+
+    assert.equal((await api.post('/api/summarize', { contentType: 'audio', text: LESSON_TEXT })).status, 400);
+    assert.equal((await api.post('/api/summarize', { contentType: 'webpage', text: 'too short' })).status, 400);
+    assert.equal((await api.post('/api/quiz', { transcript: LESSON_TEXT, questionCount: 99 })).status, 400);
+    assert.equal((await api.post('/api/flashcards', { contentType: 'webpage', text: 'too short' })).status, 400);
+    assert.equal(await remainingCredits(api), 10);
+  });
+
+  test('checks background requests before storing them', async () => {
+    const { api } = await signUp({ limit: 1, used: 1 });
+
+    const invalid = await api.post('/api/summarize', { background: true, contentType: 'webpage', text: 'too short' });
+    assert.equal(invalid.status, 400);
+    const unaffordable = await api.post('/api/summarize', { background: true, contentType: 'webpage', text: LESSON_TEXT });
+    assert.equal(unaffordable.status, 403);
+    assert.deepEqual((await api.get('/api/jobs')).body.jobs, []);
+  });
+});
+
+describe('quiz parsing', () => {
+  test('returns the requested number of valid questions of the requested types', async () => {
+    const { api } = await signUp({ plan: 'premium', limit: 1000 });
+    const questionTypes = ['multiple-choice', 'true-false', 'multi-select', 'fill-blank', 'short-answer'];
+
+    const { status, body } = await api.post('/api/quiz', { transcript: LESSON_TEXT, questionCount: 10, questionTypes, optionCount: 5 });
+    assert.equal(status, 200);
+    assert.equal(body.quiz.questions.length, 10);
+    assert.deepEqual([...new Set(body.quiz.questions.map(question => question.type))].sort(), [...questionTypes].sort());
+
+    for (const question of body.quiz.questions) {
+      assert.equal(typeof question.question, 'string');
+      if (question.type === 'multiple-choice') {
+        assert.equal(question.options.length, 5);
+        assert.ok(question.correctIndex >= 0 && question.correctIndex < 5);
+      } else if (question.type === 'true-false') {
+        assert.deepEqual(question.options, ['True', 'False']);
+      } else if (question.type === 'multi-select') {
+        assert.ok(question.correctIndices.length >= 1);
+      } else if (question.type === 'fill-blank') {
+        assert.ok(question.answers.length >= 1);
+      } else {
+        assert.ok(question.answer);
+      }
+    }
+  });
+
+  test('repairs a malformed quiz with a second model call', async () => {
+    const { api } = await signUp({ plan: 'premium', limit: 1000 });
+
+    const { status, body } = await withFault(
+      { FAKE_LLM_FAULT: 'malformed', FAKE_LLM_FAULT_ROUTES: 'quiz', FAKE_LLM_FAULT_COUNT: '1' },
+      () => api.post('/api/quiz', { transcript: `${LESSON_TEXT} Repair test.`, questionCount: 3 })
+    );
+    assert.equal(status, 200);
+    assert.equal(body.quiz.questions.length, 3);
+  });
+
+  test('fails and refunds when the quiz cannot be repaired', async () => {
+    const { api } = await signUp({ limit: 10 });
+
+    const { status, body } = await withFault(
+      { FAKE_LLM_FAULT: 'malformed', FAKE_LLM_FAULT_ROUTES: 'quiz' },
+      () => api.post('/api/quiz', { transcript: `${LESSON_TEXT} Unrepairable test.`, questionCount: 3 })
+    );
+    assert.equal(status, 500);
+    assert.match(body.error, /Could not generate a valid quiz/);
+    assert.equal(body.usage.remaining, 10);
+  });
+
+  test('grades a short answer without using credits', async () => {
+    const { api } = await signUp({ limit: 10 });
+
+    const { status, body } = await api.post('/api/quiz/grade', {
+      question: 'Where does photosynthesis happen?',
+      answer: 'In the chloroplasts, which contain chlorophyll.',
+      excerpt: 'It happens in the chloroplasts, which contain the green pigment chlorophyll.'
+    });
+    assert.equal(status, 200);
+    assert.ok(body.score >= 0 && body.score <= 100);
+    assert.ok(['correct', 'partially-correct', 'incorrect'].includes(body.verdict));
+    assert.equal(body.cost, 0);
+    assert.equal(await remainingCredits(api), 10);
+  });
+});
+
+describe('flashcard parsing', () => {
+  test('returns question and answer cards', async () => {
+    const { api } = await signUp({ limit: 10 });
+
+    const { status, body } = await api.post('/api/flashcards', { contentType: 'webpage', title: 'Photosynthesis', text: LESSON_TEXT });
+    assert.equal(status, 200);
+    assert.ok(body.flashcards.length >= 1 && body.flashcards.length <= 10);
+    for (const card of body.flashcards) {
+      assert.equal(typeof card.question, 'string');
+      assert.ok(card.answer.length > 0);
+    }
+    assert.equal(body.cost, 1);
+  });
+
+  test('returns placeholder cards for unparsed output without caching them', async () => {
+    const { api } = await signUp({ limit: 10 });
+    const request = { contentType: 'webpage', title: 'Photosynthesis', text: `${LESSON_TEXT} Fallback test.` };
+
+    const fallback = await withFault(
+      { FAKE_LLM_FAULT: 'malformed', FAKE_LLM_FAULT_ROUTES: 'flashcards' },
+      () => api.post('/api/flashcards', request)
+    );
+    assert.equal(fallback.status, 200);
+    assert.equal(fallback.body.flashcards[0].question, 'Question 1');
+
+    const repeat = await api.post('/api/flashcards', request);
+    assert.notEqual(repeat.body.cached, true);
+    assert.notEqual(repeat.body.flashcards[0].question, 'Question 1');
+  });
+});
+
+describe('model faults', () => {
+  for (const [fault, status, message] of [
+    ['error', 500, /simulated server error/],
+    ['rate-limit', 500, /Rate limit reached/]
+  ]) {
+    test(`${fault}: answers ${status}, refunds the credits and records the failure`, async () => {
+      const { api } = await signUp({ limit: 10 });
+
+      const { status: actual, body } = await withFault(
+        { FAKE_LLM_FAULT: fault },
+        () => api.post('/api/summarize', { contentType: 'webpage', text: `${LESSON_TEXT} Fault test ${fault}.` })
+      );
+      assert.equal(actual, status);
+      assert.match(body.error, message);
+      assert.equal(body.usage.remaining, 10);
+      assert.deepEqual((await history(api)).map(event => [event.route, event.status, event.credits]), [['summarize', 'failed', 0]]);
+    });
+  }
+
+  test('empty: flashcards fail without charging', async () => {
+    const { api } = await signUp({ limit: 10 });
+
+    const { status, body } = await withFault(
+      { FAKE_LLM_FAULT: 'empty', FAKE_LLM_FAULT_ROUTES: 'flashcards' },
+      () => api.post('/api/flashcards', { contentType: 'webpage', text: `${LESSON_TEXT} Empty test.` })
+    );
+    assert.equal(status, 500);
+    assert.equal(body.usage.remaining, 10);
+  });
+
+  test('error while grading: answers 500 and records nothing as charged', async () => {
+    const { api } = await signUp({ limit: 10 });
+
+    const { status } = await withFault(
+      { FAKE_LLM_FAULT: 'error', FAKE_LLM_FAULT_ROUTES: 'quiz' },
+      () => api.post('/api/quiz/grade', { question: 'Where?', answer: 'In the chloroplasts.', excerpt: LESSON_TEXT })
+    );
+    assert.equal(status, 500);
+    assert.equal(await remainingCredits(api), 10);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Credit reservations under parallel requests: they must never use more credits
+ * than the user has left
+ *
+ * The in-memory database runs one statement at a time, so there these tests only
+ * check the reservation logic, not that it holds up under concurrency. With
+ * DATABASE_URL set in the shell they run on that PostgreSQL server, where the
+ * reservations do interleave.
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, client, usePostgresIfConfigured, closeDatabase, LESSON_TEXT } from './helpers.js';
+
+const concurrent = usePostgresIfConfigured();
+
+let server;
+let usage;
+
+before(async () => {
+  server = await startServer();
+  usage = await import('../config/usage.js');
+});
+
+after(async () => {
+  await server.close();
+  if (concurrent) {
+    await closeDatabase();
+  }
+});
+
+describe(concurrent ? 'parallel reservations (PostgreSQL)' : 'parallel reservations (functional check, statements run one at a time)', () => {
+  test('only as many reservations succeed as there are credits left', async () => {
+    const { id } = await createUser({ limit: 5 });
+
+    const results = await Promise.all(Array.from({ length: 20 }, () => usage.reserveUsage(id, 1)));
+    assert.equal(results.filter(result => result.success).length, 5);
+    assert.equal((await usage.getUserUsage(id)).enhancementsUsed, 5);
+  });
+
+  test('multi-credit reservations never go over the limit', async () => {
+    const { id } = await createUser({ limit: 10, used: 3 });
+
+    const results = await Promise.all(Array.from({ length: 12 }, () => usage.reserveUsage(id, 3)));
+    assert.equal(results.filter(result => result.success).length, 2);
+    assert.equal((await usage.getUserUsage(id)).enhancementsUsed, 9);
+  });
+
+  test('released reservations give their credits back once', async () => {
+    const { id } = await createUser({ limit: 4 });
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => usage.reserveUsage(id, 1)));
+    const reservations = results.filter(result => result.success).map(result => result.reservation);
+    assert.equal(reservations.length, 4);
+
+    // Releasing each reservation twice still refunds it only once
+    await Promise.all([...reservations, ...reservations].map(reservation => usage.releaseUsage(reservation)));
+    assert.equal((await usage.getUserUsage(id)).enhancementsUsed, 0);
+  });
+
+  test('parallel AI requests are charged up to the limit and refused after it', async () => {
+    const user = await createUser({ limit: 3 });
+    const api = client(server.url, user);
+
+    const responses = await Promise.all(Array.from({ length: 10 }, (_, i) => api.post('/api/summarize', {
+      contentType: 'webpage',
+      // Unique per user, so no request is served from a cache filled by an earlier run
+      text: `${LESSON_TEXT} Parallel request ${user.id}-${i}.`
+    })));
+    const statuses = responses.map(response => response.status);
+    assert.equal(statuses.filter(status => status === 200).length, 3);
+    assert.equal(statuses.filter(status => status === 403).length, 7);
+    assert.equal((await usage.getUserUsage(user.id)).enhancementsUsed, 3);
+  });
+});
@@ -30,6 +30,23 @@ async function clearAuthToken() {
   });
 }
 
+// Backend routes that generate study material; each request to them carries
+// the user's generation settings from the Settings panel
+const GENERATION_ENDPOINTS = ['/api/summarize', '/api/quiz', '/api/quiz/grade', '/api/qa', '/api/chat', '/api/flashcards'];
+
+// Helper to add the generation settings to a request body
+async function withGenerationSettings(endpoint, body) {
+  if (!body || !GENERATION_ENDPOINTS.includes(endpoint)) {
+    return body;
+  }
+  const stored = await chrome.storage.local.get(['readingLevel', 'outputLanguage']);
+  return {
+    readingLevel: stored.readingLevel || 'elementary',
+    outputLanguage: stored.outputLanguage || 'auto',
+    ...body
+  };
+}
+
 // Helper function to make authenticated backend API calls
 async function callBackendAPI(endpoint, method = 'POST', body = null) {
   const token = await getAuthToken();
@@ -49,7 +66,7 @@ async function callBackendAPI(endpoint, method = 'POST', body = null) {
   };
 
   if (body) {
-    options.body = JSON.stringify(body);
+    options.body = JSON.stringify(await withGenerationSettings(endpoint, body));
   }
 
   const response = await fetch(url, options);
@@ -62,12 +79,74 @@ async function callBackendAPI(endpoint, method = 'POST', body = null) {
 
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    error.data = errorData; // e.g. the OCR cost of a scanned PDF
+    throw error;
   }
 
   return await response.json();
 }
 
+// Helper function to make a streamed (Server-Sent Events) backend API call
+// onEvent is called with (eventName, data) for every event the backend sends
+async function streamBackendAPI(endpoint, body, onEvent, signal) {
+  const token = await getAuthToken();
+  if (!token) {
+    throw new Error('Not authenticated. Please log in.');
+  }
+
+  const response = await fetch(`${BACKEND_URL}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ ...(await withGenerationSettings(endpoint, body)), stream: true }),
+    signal
+  });
+
+  if (response.status === 401) {
+    await clearAuthToken();
+    throw new Error('Authentication expired. Please log in again.');
+  }
+
+  // Errors raised before generation starts (validation, usage limit) are plain JSON
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    error.data = errorData; // e.g. CONTENT_BLOCKED from a moderation policy
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let eventName = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+
+      if (data) {
+        onEvent(eventName, JSON.parse(data));
+      }
+    }
+  }
+}
+
 function sanitizeInput(input) {
   if (typeof input !== 'string') return input;
   return input
@@ -83,8 +162,8 @@ function sanitizeInput(input) {
 let currentVideoInfo = null;
 let transcriptCache = new Map();
 
-// Helper to generate summary via backend API (supports video, webpage, PDF)
-async function generateSummary(contentText, context, title, contentId, contentType = 'video') {
+// Helper to build the /api/summarize request body (supports video, webpage, PDF)
+function buildSummaryRequest(contentText, context, title, contentId, contentType = 'video') {
   const cleanContent = contentType === 'video' 
     ? contentText.replace(/\[\d+:\d+\]/g, '').replace(/\s+/g, ' ').trim()
     : contentText.replace(/\s+/g, ' ').trim();
@@ -99,38 +178,280 @@ async function generateSummary(contentText, context, title, contentId, contentTy
     title: title || (contentType === 'video' ? 'unknown video' : contentType === 'pdf' ? 'unknown document' : 'unknown page')
   };
 
+  // Send the raw text: the backend splits long content on its timestamps,
+  // page markers and headings, and cleans it up itself
   if (contentType === 'video') {
     requestBody.videoId = contentId || null;
-    requestBody.transcript = cleanContent;
+    requestBody.transcript = contentText.trim();
   } else {
-    requestBody.text = cleanContent;
+    requestBody.text = contentText.trim();
     if (contentType === 'pdf') {
       requestBody.contentUrl = contentId; // PDF URL
     }
   }
 
+  return requestBody;
+}
+
+// Helper to generate summary via backend API (supports video, webpage, PDF)
+async function generateSummary(contentText, context, title, contentId, contentType = 'video') {
+  const requestBody = buildSummaryRequest(contentText, context, title, contentId, contentType);
   const response = await callBackendAPI('/api/summarize', 'POST', requestBody);
 
-  return response.summary;
+  // The summary is only used as prompt context here, so drop its citation markers
+  return (response.summary || '').replace(/\[S\d+\]/g, '');
+}
+
+// Build the /api/summarize request for a sidebar 'summarize' message
+async function prepareSummarizeRequest(message) {
+  // Get current content info
+  const stored = await chrome.storage.local.get(['currentContentInfo']);
+  const contentInfo = stored.currentContentInfo || currentVideoInfo;
+  
+  if (!contentInfo) {
+    throw new Error('No content available to summarize');
+  }
+
+  const contentType = contentInfo.type || 'video';
+  const contentText = contentType === 'video' ? message.transcript || contentInfo.transcript : (message.text || contentInfo.text);
+  
+  if (!contentText) {
+    throw new Error('No content text available');
+  }
+
+  const contentId = contentType === 'video' 
+    ? (contentInfo.url ? new URL(contentInfo.url).searchParams.get('v') : null)
+    : null;
+
+  return {
+    ...buildSummaryRequest(contentText, message.context, contentInfo.title, contentId, contentType),
+    contentUrl: contentInfo.pdfUrl || contentInfo.url || null, // Shown in the usage history
+    refresh: message.refresh === true
+  };
 }
 
-// Helper to generate quiz via backend API
-async function generateQuiz(transcript, summary, context, title, videoId) {
-  const response = await callBackendAPI('/api/quiz', 'POST', {
+// Build the /api/quiz request for a sidebar 'generate-quiz' message
+async function prepareQuizRequest(message) {
+  // Get current content info (supports video, webpage, PDF)
+  const stored = await chrome.storage.local.get(['currentContentInfo']);
+  const contentInfo = stored.currentContentInfo || currentVideoInfo;
+  
+  if (!contentInfo) {
+    throw new Error('No content available to generate quiz from');
+  }
+
+  const contentType = contentInfo.type || 'video';
+  const videoId = contentType === 'video' && contentInfo.url 
+    ? new URL(contentInfo.url).searchParams.get('v') 
+    : null;
+  
+  // Get transcript or text based on content type
+  const transcript = contentType === 'video' 
+    ? (message.transcript || contentInfo.transcript || '')
+    : null;
+  const text = contentType !== 'video' 
+    ? (message.text || contentInfo.text || '')
+    : null;
+  
+  // Generate summary if not provided
+  let summary = message.summary;
+  if (!summary && (transcript || text)) {
+    try {
+      summary = await generateSummary(
+        transcript || text || '',
+        message.context || '',
+        contentInfo.title || 'unknown',
+        videoId,
+        contentType
+      );
+    } catch (error) {
+      console.warn('[Eureka AI] Could not generate summary for quiz:', error);
+      // Continue without summary
+    }
+  }
+  
+  // Use transcript or text (whichever is available)
+  const contentForQuiz = transcript || text || '';
+  if (!contentForQuiz && !summary) {
+    throw new Error('Transcript or summary is required');
+  }
+
+  return {
     videoId: videoId || null,
-    transcript: transcript || '',
+    contentType: contentType,
+    transcript: contentForQuiz,
     summary: summary || '',
-    difficulty: context || '',
-    title: title || 'unknown video'
+    title: contentInfo.title || 'unknown',
+    contentUrl: contentInfo.pdfUrl || contentInfo.url || null,
+    // Quiz settings from the Quiz tab (the backend fills in defaults)
+    questionCount: message.questionCount,
+    questionTypes: message.questionTypes,
+    difficulty: message.difficulty,
+    refresh: message.refresh === true
+  };
+}
+
+// Build the /api/flashcards request for a sidebar 'generate-flashcards' message
+async function prepareFlashcardsRequest(message) {
+  // Get current content info
+  const stored = await chrome.storage.local.get(['currentContentInfo']);
+  const contentInfo = stored.currentContentInfo || currentVideoInfo;
+  
+  if (!contentInfo) {
+    throw new Error('No content available to generate flashcards from');
+  }
+
+  const contentType = message.contentType || contentInfo.type || 'video';
+  const contentText = contentType === 'video' 
+    ? (message.transcript || contentInfo.transcript || '')
+    : (message.text || contentInfo.text || '');
+
+  if (!contentText) {
+    throw new Error('No content text available');
+  }
+
+  const requestBody = {
+    contentType: contentType,
+    title: message.title || contentInfo.title || (contentType === 'video' ? 'unknown video' : contentType === 'pdf' ? 'unknown document' : 'unknown page'),
+    contentUrl: contentInfo.pdfUrl || contentInfo.url || null
+  };
+
+  if (contentType === 'video') {
+    requestBody.transcript = contentText;
+  } else {
+    requestBody.text = contentText;
+  }
+
+  return requestBody;
+}
+
+// Build the /api/extract-pdf-url request that reads a scanned PDF with OCR
+async function preparePdfOcrRequest() {
+  const stored = await chrome.storage.local.get(['currentContentInfo']);
+  const contentInfo = stored.currentContentInfo;
+
+  if (!contentInfo?.scannedPdf || !contentInfo.pdfUrl) {
+    throw new Error('No scanned PDF to read');
+  }
+
+  return { pdfUrl: contentInfo.pdfUrl, ocr: true };
+}
+
+// Keep the text read from a scanned PDF as the current content
+async function savePdfOcrText(result) {
+  const stored = await chrome.storage.local.get(['currentContentInfo']);
+  const contentInfo = stored.currentContentInfo;
+  if (!contentInfo) return;
+
+  await chrome.storage.local.set({
+    currentContentInfo: {
+      ...contentInfo,
+      text: sanitizeInput(result.text),
+      needsServerExtraction: false,
+      scannedPdf: null
+    }
   });
+}
+
+// Longest text sent per chat source. Sources go with every chat turn, and the backend
+// keeps at most RAG_MAX_SOURCE_CHARS (default 600,000) across all of them
+const MAX_CHAT_SOURCE_CHARS = 300000;
+
+// Build the /api/chat request for a sidebar 'sidechat' message
+async function prepareChatRequest(message) {
+  // Get current content info for context if available
+  const stored = await chrome.storage.local.get(['currentContentInfo']);
+  const contentInfo = stored.currentContentInfo || currentVideoInfo;
+  
+  const requestBody = {
+    message: message.message,
+    chatHistory: message.chatHistory || []
+  };
+
+  // Text selected for Clarify, screened on its own by accounts with a moderation policy
+  if (message.selection) {
+    requestBody.selection = message.selection;
+  }
+
+  // Add useVisionModel flag and image data if images/files are present
+  if (message.useVisionModel) {
+    requestBody.useVisionModel = true;
+    if (message.imageData) {
+      // Send image data as base64 data URL to backend
+      // Only send once to reduce payload size (backend checks imageData, image, and images)
+      requestBody.imageData = message.imageData;
+      console.log('[Eureka AI] Including imageData in request, length:', message.imageData.length, 'bytes');
+      console.log('[Eureka AI] imageData format:', message.imageData.substring(0, 50) + '...');
+    } else {
+      console.warn('[Eureka AI] useVisionModel is true but no imageData provided');
+    }
+  }
+  
+  console.log('[Eureka AI] Request body keys:', Object.keys(requestBody));
+  console.log('[Eureka AI] Request body size:', JSON.stringify(requestBody).length, 'bytes');
+  console.log('[Eureka AI] useVisionModel flag:', requestBody.useVisionModel);
+  console.log('[Eureka AI] has imageData field:', !!requestBody.imageData);
+  console.log('[Eureka AI] has image field:', !!requestBody.image);
+  console.log('[Eureka AI] has images array:', Array.isArray(requestBody.images) && requestBody.images.length > 0);
+
+  // Limit chat history size when images are present to prevent "request entity too large" errors
+  // Images are large, so we need to be more aggressive with history truncation
+  let chatHistoryToSend = message.chatHistory || [];
+  if (message.useVisionModel && chatHistoryToSend.length > 0) {
+    // Limit to last 5 messages when images are present to keep request size manageable
+    const maxHistoryMessages = 5;
+    if (chatHistoryToSend.length > maxHistoryMessages) {
+      console.log(`[Eureka AI] Truncating chat history from ${chatHistoryToSend.length} to ${maxHistoryMessages} messages due to image presence`);
+      chatHistoryToSend = chatHistoryToSend.slice(-maxHistoryMessages);
+    }
+    requestBody.chatHistory = chatHistoryToSend;
+  }
 
-  const quiz = response.quiz;
-  // Verify we got exactly 3 questions
-  const questionCount = (quiz.match(/<div class="question">/g) || []).length;
-  if (questionCount !== 3) {
-    console.warn(`Generated ${questionCount} questions instead of 3`);
+  // Send the full content: the backend indexes long content and picks the
+  // passages relevant to each message, so nothing is cut off here
+  if (Array.isArray(message.sources) && message.sources.length > 0) {
+    requestBody.sources = message.sources.map(source => ({
+      ...source,
+      text: (source.text || '').substring(0, MAX_CHAT_SOURCE_CHARS)
+    }));
+  } else if (message.context) {
+    requestBody.context = message.context.substring(0, MAX_CHAT_SOURCE_CHARS);
   }
-  return quiz;
+
+  if (contentInfo) {
+    const contentType = contentInfo.type || 'webpage';
+    // Lets the usage history show what the chat was about
+    requestBody.contentType = contentType;
+    requestBody.title = contentInfo.title || null;
+    requestBody.contentUrl = contentInfo.pdfUrl || contentInfo.url || null;
+
+    // Auto-include the open content when the sidebar sent no context
+    if (!requestBody.sources && !requestBody.context) {
+      const contentText = contentType === 'video'
+        ? (contentInfo.transcript || '')
+        : (contentInfo.text || '');
+
+      if (contentText) {
+        requestBody.sources = [{
+          id: 'content',
+          label: contentInfo.title || null,
+          contentType,
+          text: contentText.substring(0, MAX_CHAT_SOURCE_CHARS)
+        }];
+      }
+    }
+  }
+
+  // Check request size before sending
+  const requestSize = JSON.stringify(requestBody).length;
+  console.log(`[Eureka AI] Final request size: ${requestSize} bytes (${Math.round(requestSize / 1024)} KB)`);
+  
+  // Warn if request is getting large (most servers have ~1MB limit)
+  if (requestSize > 800 * 1024) { // 800KB
+    console.warn(`[Eureka AI] Request size is large (${Math.round(requestSize / 1024)} KB), may cause "request entity too large" error`);
+  }
+
+  return requestBody;
 }
 
 // Auto-generation removed - users must manually trigger generation via buttons
@@ -275,8 +596,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               console.log('[Eureka AI] PDF text extracted successfully, length:', extractResponse.text.length);
             }
           } catch (error) {
-            console.error('[Eureka AI] Failed to extract PDF text:', error);
-            // Continue without text - user will see error when trying to use features
+            if (error.data?.scanned) {
+              // No text layer: the sidebar offers to read it with OCR, which costs credits
+              const { pages, ocrPages, cost } = error.data;
+              contentInfo.scannedPdf = { pages, ocrPages, cost };
+              console.log('[Eureka AI] PDF is scanned, OCR available for', ocrPages, 'pages');
+            } else {
+              console.error('[Eureka AI] Failed to extract PDF text:', error);
+              // Continue without text - user will see error when trying to use features
+            }
           }
         }
 
@@ -316,88 +644,63 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.action === 'summarize') {
     (async () => {
       try {
-        // Get current content info
-        const stored = await chrome.storage.local.get(['currentContentInfo']);
-        const contentInfo = stored.currentContentInfo || currentVideoInfo;
-        
-        if (!contentInfo) {
-          throw new Error('No content available to summarize');
-        }
-
-        const contentType = contentInfo.type || 'video';
-        const contentText = contentType === 'video' ? message.transcript || contentInfo.transcript : (message.text || contentInfo.text);
-        
-        if (!contentText) {
-          throw new Error('No content text available');
-        }
-
-        const contentId = contentType === 'video' 
-          ? (contentInfo.url ? new URL(contentInfo.url).searchParams.get('v') : null)
-          : null;
-
-        const summary = await generateSummary(contentText, message.context, contentInfo.title, contentId, contentType);
-        sendResponse({ success: true, summary });
+        const requestBody = await prepareSummarizeRequest(message);
+        const response = await callBackendAPI('/api/summarize', 'POST', requestBody);
+        sendResponse({ success: true, summary: response.summary, citations: response.citations, safety: response.safety });
       } catch (error) {
         console.error('[Eureka AI] Summarization error:', error);
-        sendResponse({ success: false, error: error.message || 'Failed to generate summary' });
+        sendResponse({ success: false, error: error.message || 'Failed to generate summary', code: error.data?.code });
       }
     })();
     return true;
-  } else if (message.action === 'generate-quiz') {
+  } else if (message.action === 'submit-job') {
+    // Run a generation request as a background job; the sidebar polls it with JobClient.
+    // Without a job (jobs disabled on the backend) the response is the finished result.
     (async () => {
       try {
-        // Get current content info (supports video, webpage, PDF)
-        const stored = await chrome.storage.local.get(['currentContentInfo']);
-        const contentInfo = stored.currentContentInfo || currentVideoInfo;
-        
-        if (!contentInfo) {
-          throw new Error('No content available to generate quiz from');
-        }
-
-        const contentType = contentInfo.type || 'video';
-        const videoId = contentType === 'video' && contentInfo.url 
-          ? new URL(contentInfo.url).searchParams.get('v') 
-          : null;
-        
-        // Get transcript or text based on content type
-        const transcript = contentType === 'video' 
-          ? (message.transcript || contentInfo.transcript || '')
-          : null;
-        const text = contentType !== 'video' 
-          ? (message.text || contentInfo.text || '')
-          : null;
-        
-        // Generate summary if not provided
-        let summary = message.summary;
-        if (!summary && (transcript || text)) {
-          try {
-            summary = await generateSummary(
-              transcript || text || '',
-              message.context || '',
-              contentInfo.title || 'unknown',
-              videoId,
-              contentType
-            );
-          } catch (error) {
-            console.warn('[Eureka AI] Could not generate summary for quiz:', error);
-            // Continue without summary
-          }
-        }
-        
-        // Use transcript or text (whichever is available)
-        const contentForQuiz = transcript || text || '';
-        if (!contentForQuiz && !summary) {
-          throw new Error('Transcript or summary is required');
+        const target = STREAM_ENDPOINTS[message.jobAction];
+        if (!target) {
+          throw new Error(`Background jobs are not supported for ${message.jobAction}`);
         }
-        
-        const questions = await generateQuiz(contentForQuiz, summary, message.context, contentInfo.title || 'unknown', videoId);
-        sendResponse({ success: true, questions });
+        const requestBody = await target.prepare(message);
+        const response = await callBackendAPI(target.endpoint, 'POST', { ...requestBody, background: true });
+        sendResponse({ success: true, job: response.job || null, result: response.job ? null : response });
+      } catch (error) {
+        console.error('[Eureka AI] Job submission error:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to start the job' });
+      }
+    })();
+    return true;
+  } else if (message.action === 'generate-quiz') {
+    (async () => {
+      try {
+        const requestBody = await prepareQuizRequest(message);
+        const response = await callBackendAPI('/api/quiz', 'POST', requestBody);
+        // The backend validates the quiz, so it always has the requested questions
+        sendResponse({ success: true, quiz: response.quiz });
       } catch (error) {
         console.error('Quiz generation error:', error);
         sendResponse({ success: false, error: error.message || 'Failed to generate quiz' });
       }
     })();
     return true;
+  } else if (message.action === 'grade-quiz-answer') {
+    (async () => {
+      try {
+        const grade = await callBackendAPI('/api/quiz/grade', 'POST', {
+          question: message.question,
+          answer: message.answer || '',
+          excerpt: message.excerpt || '',
+          rubric: message.rubric || '',
+          sampleAnswer: message.sampleAnswer || ''
+        });
+        sendResponse({ success: true, grade });
+      } catch (error) {
+        console.error('[Eureka AI] Quiz grading error:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to grade answer' });
+      }
+    })();
+    return true;
   } else if (message.action === 'ask-question') {
     (async () => {
       try {
@@ -437,7 +740,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
 
         const response = await callBackendAPI('/api/qa', 'POST', requestBody);
-        sendResponse({ success: true, answer: response.answer });
+        sendResponse({ success: true, answer: response.answer, citations: response.citations });
       } catch (error) {
         console.error('[Eureka AI] Question answering error:', error);
         sendResponse({
@@ -450,34 +753,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.action === 'generate-flashcards') {
     (async () => {
       try {
-        // Get current content info
-        const stored = await chrome.storage.local.get(['currentContentInfo']);
-        const contentInfo = stored.currentContentInfo || currentVideoInfo;
-        
-        if (!contentInfo) {
-          throw new Error('No content available to generate flashcards from');
-        }
-
-        const contentType = message.contentType || contentInfo.type || 'video';
-        const contentText = contentType === 'video' 
-          ? (message.transcript || contentInfo.transcript || '')
-          : (message.text || contentInfo.text || '');
-
-        if (!contentText) {
-          throw new Error('No content text available');
-        }
-
-        const requestBody = {
-          contentType: contentType,
-          title: message.title || contentInfo.title || (contentType === 'video' ? 'unknown video' : contentType === 'pdf' ? 'unknown document' : 'unknown page')
-        };
-
-        if (contentType === 'video') {
-          requestBody.transcript = contentText;
-        } else {
-          requestBody.text = contentText;
-        }
-
+        const requestBody = await prepareFlashcardsRequest(message);
         const response = await callBackendAPI('/api/flashcards', 'POST', requestBody);
         sendResponse({ success: true, flashcards: response.flashcards });
       } catch (error) {
@@ -492,89 +768,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.action === 'sidechat') {
     (async () => {
       try {
-        // Get current content info for context if available
-        const stored = await chrome.storage.local.get(['currentContentInfo']);
-        const contentInfo = stored.currentContentInfo || currentVideoInfo;
-        
-        const requestBody = {
-          message: message.message,
-          chatHistory: message.chatHistory || []
-        };
-
-        // Add useVisionModel flag and image data if images/files are present
-        if (message.useVisionModel) {
-          requestBody.useVisionModel = true;
-          if (message.imageData) {
-            // Send image data as base64 data URL to backend
-            // Only send once to reduce payload size (backend checks imageData, image, and images)
-            requestBody.imageData = message.imageData;
-            console.log('[Eureka AI] Including imageData in request, length:', message.imageData.length, 'bytes');
-            console.log('[Eureka AI] imageData format:', message.imageData.substring(0, 50) + '...');
-          } else {
-            console.warn('[Eureka AI] useVisionModel is true but no imageData provided');
-          }
-        }
-        
-        console.log('[Eureka AI] Request body keys:', Object.keys(requestBody));
-        console.log('[Eureka AI] Request body size:', JSON.stringify(requestBody).length, 'bytes');
-        console.log('[Eureka AI] useVisionModel flag:', requestBody.useVisionModel);
-        console.log('[Eureka AI] has imageData field:', !!requestBody.imageData);
-        console.log('[Eureka AI] has image field:', !!requestBody.image);
-        console.log('[Eureka AI] has images array:', Array.isArray(requestBody.images) && requestBody.images.length > 0);
-
-        // Limit chat history size when images are present to prevent "request entity too large" errors
-        // Images are large, so we need to be more aggressive with history truncation
-        let chatHistoryToSend = message.chatHistory || [];
-        if (message.useVisionModel && chatHistoryToSend.length > 0) {
-          // Limit to last 5 messages when images are present to keep request size manageable
-          const maxHistoryMessages = 5;
-          if (chatHistoryToSend.length > maxHistoryMessages) {
-            console.log(`[Eureka AI] Truncating chat history from ${chatHistoryToSend.length} to ${maxHistoryMessages} messages due to image presence`);
-            chatHistoryToSend = chatHistoryToSend.slice(-maxHistoryMessages);
-          }
-          requestBody.chatHistory = chatHistoryToSend;
-        }
-
-        // Add context if provided (truncate to avoid token limits)
-        // When images are present, reduce context even more to leave room for image data
-        const maxContextLength = message.useVisionModel ? 1500 : 3000; // Less context when image is present
-        if (message.context) {
-          // Truncate context to leave room for chat history and image
-          requestBody.context = message.context.length > maxContextLength
-            ? message.context.substring(0, maxContextLength) + '\n[Note: Context truncated for length.]'
-            : message.context;
-        } else if (contentInfo) {
-          // Auto-include content context for better responses (truncated)
-          const contentType = contentInfo.type || 'webpage';
-          const contentText = contentType === 'video'
-            ? (contentInfo.transcript || '')
-            : (contentInfo.text || '');
-
-          if (contentText) {
-            // Truncate to leave room for image data
-            requestBody.context = contentText.substring(0, maxContextLength);
-            if (contentText.length > maxContextLength) {
-              requestBody.context += '\n[Note: Content truncated for length.]';
-            }
-          }
-        }
-
-        // Check request size before sending
-        const requestSize = JSON.stringify(requestBody).length;
-        console.log(`[Eureka AI] Final request size: ${requestSize} bytes (${Math.round(requestSize / 1024)} KB)`);
-        
-        // Warn if request is getting large (most servers have ~1MB limit)
-        if (requestSize > 800 * 1024) { // 800KB
-          console.warn(`[Eureka AI] Request size is large (${Math.round(requestSize / 1024)} KB), may cause "request entity too large" error`);
-        }
-
+        const requestBody = await prepareChatRequest(message);
         const response = await callBackendAPI('/api/chat', 'POST', requestBody);
-        sendResponse({ success: true, reply: response.reply });
+        sendResponse({ success: true, reply: response.reply, citations: response.citations });
       } catch (error) {
         console.error('[Eureka AI] Sidechat error:', error);
         sendResponse({
           success: false,
-          error: error.message || 'Failed to send message'
+          error: error.message || 'Failed to send message',
+          code: error.data?.code // CONTENT_BLOCKED is shown as a refusal, not an error
         });
       }
     })();
@@ -665,6 +867,71 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// Streamed generation requests from the sidebar
+// Each request uses its own port: the sidebar posts one message and receives
+// { type: 'progress' } while long content is read in parts, { type: 'token' },
+// then { type: 'done' } or { type: 'error', partial }.
+// Closing the port (e.g. the side panel is closed) aborts the backend request.
+// An endpoint's optional finish(result) runs before 'done' is posted.
+const STREAM_ENDPOINTS = {
+  summarize: { endpoint: '/api/summarize', prepare: prepareSummarizeRequest },
+  sidechat: { endpoint: '/api/chat', prepare: prepareChatRequest },
+  'generate-quiz': { endpoint: '/api/quiz', prepare: prepareQuizRequest },
+  'generate-flashcards': { endpoint: '/api/flashcards', prepare: prepareFlashcardsRequest },
+  'read-scanned-pdf': { endpoint: '/api/extract-pdf-url', prepare: preparePdfOcrRequest, finish: savePdfOcrText }
+};
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'generation-stream') return;
+
+  const controller = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+
+  port.onMessage.addListener(async (message) => {
+    let partial = '';
+    try {
+      const target = STREAM_ENDPOINTS[message.action];
+      if (!target) {
+        throw new Error(`Streaming is not supported for ${message.action}`);
+      }
+
+      const requestBody = await target.prepare(message);
+      let result = null;
+
+      await streamBackendAPI(target.endpoint, requestBody, (event, data) => {
+        if (event === 'progress') {
+          port.postMessage({ type: 'progress', progress: data });
+        } else if (event === 'token') {
+          partial += data.text;
+          port.postMessage({ type: 'token', text: data.text });
+        } else if (event === 'done') {
+          result = data;
+        } else if (event === 'error') {
+          const error = new Error(data.error || 'Generation failed');
+          error.data = data;
+          throw error;
+        }
+      }, controller.signal);
+
+      if (!result) {
+        throw new Error('Connection lost before the response finished');
+      }
+      if (target.finish) {
+        await target.finish(result);
+      }
+      port.postMessage({ type: 'done', success: true, ...result });
+    } catch (error) {
+      if (disconnected) return;
+      console.error(`[Eureka AI] Streaming ${message.action} error:`, error);
+      port.postMessage({ type: 'error', error: error.message || 'Generation failed', code: error.data?.code, partial });
+    }
+  });
+});
+
 // Use setPanelBehavior to automatically open side panel when icon is clicked
 // This is the recommended approach for Manifest V3 side panels
 
@@ -593,6 +593,68 @@ history.replaceState = function(...args) {
   triggerContentUpdate();
 };
 
+// Find the smallest block on the page whose text contains a quoted passage
+function findQuotedElement(quote) {
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  // The start of the passage is enough to find it and survives differences in line breaks
+  const snippet = normalize(quote).split(' ').slice(0, 8).join(' ');
+  if (!snippet) return null;
+
+  let best = null;
+  document.body.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, dd, figcaption, article, section, div').forEach((element) => {
+    const text = normalize(element.innerText);
+    if (text.includes(snippet) && (!best || text.length < best.length)) {
+      best = { element, length: text.length };
+    }
+  });
+  return best?.element || null;
+}
+
+// Find a heading by its text
+function findHeadingElement(anchor) {
+  const target = (anchor || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (!target) return null;
+  return [...document.body.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+    .find(heading => heading.innerText.replace(/\s+/g, ' ').trim().toLowerCase() === target) || null;
+}
+
+// Jump to a cited spot: seek the video, open the PDF page or scroll to the section
+function seekToCitation(citation) {
+  if (citation.type === 'timestamp') {
+    const video = document.querySelector('video.html5-main-video') || document.querySelector('video');
+    if (!video) {
+      return { success: false, error: 'No video found on this page' };
+    }
+    video.currentTime = citation.seconds || 0;
+    return { success: true };
+  }
+
+  if (citation.type === 'page') {
+    // Chrome's PDF viewer and PDF.js both follow "#page=N"
+    window.location.hash = `page=${citation.page}`;
+    // Not a new document: keep the URL watcher from re-extracting the content
+    lastUrl = location.href;
+    return { success: true };
+  }
+
+  const element = findHeadingElement(citation.anchor) || findQuotedElement(citation.quote);
+  if (!element) {
+    return { success: false, error: 'Could not find the cited section on this page' };
+  }
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  // Briefly highlight the cited section
+  const previousOutline = element.style.outline;
+  const previousBackground = element.style.backgroundColor;
+  element.style.outline = '2px solid #A855F7';
+  element.style.backgroundColor = 'rgba(168, 85, 247, 0.12)';
+  setTimeout(() => {
+    element.style.outline = previousOutline;
+    element.style.backgroundColor = previousBackground;
+  }, 2500);
+  return { success: true };
+}
+
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'REQUEST_VIDEO_INFO' || message.type === 'REQUEST_CONTENT_INFO') {
@@ -683,6 +745,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     })();
     return true;
   }
+  // Citation chips in the sidebar link back to the cited spot
+  if (message.action === 'seek-citation') {
+    try {
+      sendResponse(seekToCitation(message.citation || {}));
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return false;
+  }
   // Screenshot overlay functionality
   if (message.action === 'start-screenshot') {
     (async () => {